@@ -1,49 +1,211 @@
 // main.js
 require('dotenv').config();
-const { app, BrowserWindow, screen, Tray, Menu, ipcMain, nativeImage } = require('electron');
-const fs = require('fs');
+const { app, BrowserWindow, screen, Tray, Menu, ipcMain, nativeImage, nativeTheme, safeStorage, shell, dialog, Notification } = require('electron');
 const path = require('path');
+const { matchesSourceFilters, missingRuns, diffRuns, trackRun } = require('./src/workflowTracker');
+const { PULL_REQUEST_FILTERS, diffStatuses, statusRun } = require('./src/commitStatus');
+const { cleanText, normalizeSource, findDuplicate, describeLookupError, moveSource } = require('./src/sourceList');
+const { validateImport, filterRepos, newRepos, isSyncDue } = require('./src/repoImport');
+const { providers, detectProvider, resolveSource } = require('./src/providers');
+const { createWebhookServer } = require('./src/webhookServer');
+const { createPollScheduler } = require('./src/pollScheduler');
+const { createCredentialStore } = require('./src/credentialStore');
+const { requestDeviceCode, pollForToken } = require('./src/githubDeviceFlow');
+const { fetchJson, setRequestDefaults } = require('./src/providers/http');
+const { describeRun } = require('./src/runDetails');
+const { createNotificationManager, popupPlacement } = require('./src/notificationManager');
+const { extractFailureExcerpt } = require('./src/logExcerpt');
+const { logId, createLogCache } = require('./src/logCache');
+const { createRunHistory } = require('./src/runHistory');
+const { summarizeHealth } = require('./src/buildHealth');
+const { aggregateStatus, describeStatus } = require('./src/buildStatus');
+const { stateFrames, solidIcon, tinted, withStatusDot } = require('./src/trayIcon');
+const { createMediaLibrary } = require('./src/mediaLibrary');
+const { createGiphyProvider } = require('./src/giphy');
+const { createPreferences } = require('./src/preferences');
+const { SCHEMA, createSettings } = require('./src/settings');
+const { readJsonFile, writeJsonFile, migrateDataDir } = require('./src/dataFiles');
+const { SOUND_EXTENSIONS, isSoundFile, resolveSound, speechText } = require('./src/soundAlerts');
+const { SNOOZE_OPTIONS, snoozeUntil, activeReason, buildDigest } = require('./src/doNotDisturb');
+const { createNotificationRules } = require('./src/notificationRules');
+const { createChannelDispatcher } = require('./src/channels');
+const { nativeNotificationContent } = require('./src/nativeNotification');
+const { availableActions, describeActionError, performRunAction } = require('./src/runActions');
+const { normalizeInputs } = require('./src/workflowDispatch');
 
-let status = 'success'; // 'success', 'failure', 'start'
-
-const apiKey = process.env.GIPHY_API_KEY;
 let tray = null;
+let trayDefaultIcon = null; // shown until the first build state is known
+let trayBaseBitmap = null; // whale bitmap the status dot is drawn on, null when using the fallback
+let trayStatus = aggregateStatus([]);
+let trayAnimation = null;
 let sourcesWindow = null;
+let signInWindow = null;
+let logViewerWindow = null;
+let dashboardWindow = null;
+let rulesWindow = null;
+let channelsWindow = null;
+let dispatchWindow = null;
+let importWindow = null;
+let settingsWindow = null;
+const notificationWindows = new Map(); // webContents id -> popup state
+const notificationManager = createNotificationManager({ createPopup: presentNotification });
 let sources = [];
-let workflowStates = new Map(); // Track workflow states
+let workflowStates = new Map(); // source key -> Map of tracked runs
+let imports = []; // org/user imports, see repoImport.js
+const statusStates = new Map(); // source key -> Map of followed branch/PR check states
+let webhookServer = null;
+let lastPoll = 0;
+let checking = false;
+const etagCache = new Map(); // API URL -> { etag, data } for conditional requests
+const pollScheduler = createPollScheduler();
+let credentialStore = null;
+const authFailures = new Set(); // source keys whose token was rejected
+let heldNotifications = []; // held back by do not disturb, shown as a digest afterwards
+let historySaveTimer = null;
+let dndReason = null;
+
+const GITHUB_OAUTH_CREDENTIAL = 'github-oauth'; // token from "Sign in with GitHub"
+
+const TRAY_ICON_SIZE = 22;
+const TRAY_PULSE_INTERVAL = 600; // frame time of the "running" icon
+
+const POLL_TICK = 5000; // how often the scheduler looks for sources that are due
+const WEBHOOK_FALLBACK_INTERVAL = 5 * 60 * 1000; // polling only catches missed deliveries
+const IMPORT_SYNC_TICK = 15 * 60 * 1000; // how often kept-in-sync imports are looked at
+const WORKFLOW_CHECK_BATCH = 5; // repos checked for workflows at once during an import
+const HISTORY_SAVE_DELAY = 3000; // run history changes of one polling pass are saved together
+
+// Data file paths. State lives in the user data directory, since the app
+// folder is read-only or replaced once the app is packaged or updated.
+const dataDir = app.getPath('userData');
+const settingsPath = path.join(dataDir, 'settings.json');
+const legacySourcesPath = path.join(dataDir, 'sources.json'); // migrated into settings.json
+const credentialsPath = path.join(dataDir, 'credentials.json');
+const logsPath = path.join(dataDir, 'logs');
+const historyPath = path.join(dataDir, 'history.json');
+const preferencesPath = path.join(dataDir, 'preferences.json');
+const rulesPath = path.join(dataDir, 'rules.json');
+const channelsPath = path.join(dataDir, 'channels.json');
+const importsPath = path.join(dataDir, 'imports.json');
+
+// Older versions kept everything next to main.js
+try {
+  const copied = migrateDataDir({
+    from: __dirname,
+    to: dataDir,
+    names: ['settings.json', 'sources.json', 'credentials.json', 'logs', 'history.json', 'preferences.json', 'rules.json', 'channels.json', 'imports.json']
+  });
+  if (copied.length > 0) {
+    console.log(`Copied ${copied.join(', ')} to ${dataDir}`);
+  }
+} catch (err) {
+  console.error('Error moving data to', dataDir, err);
+}
+
+const settings = createSettings({ filePath: settingsPath, legacySourcesPath });
+const logCache = createLogCache({ dir: logsPath });
+const LOG_EXCERPT_LINES = 40;
+const NATIVE_SHOW_TIMEOUT = 5000; // a system notification not shown by then counts as failed
 
-// Data file path
-const dataPath = path.join(__dirname, 'sources.json');
+const preferences = createPreferences({
+  filePath: preferencesPath,
+  defaults: {
+    sound: { muted: false, volume: 0.75, speech: false },
+    dnd: { snoozedUntil: null, quietHoursEnabled: false }, // the schedule is in settings.json
+    display: { mode: 'popup' } // popup, native or both
+  }
+});
 
-async function getRandomGif(tag = 'failure') {
+// Quiet hours used to be edited by hand in preferences.json. The first
+// schedule moves to the settings once; the Settings window has only one.
+const legacyQuietHours = preferences.get().dnd.quietHours;
+if (legacyQuietHours !== undefined) {
+  const [schedule, ...rest] = Array.isArray(legacyQuietHours) ? legacyQuietHours : [];
   try {
-    const res = await fetch(`https://api.giphy.com/v1/gifs/random?api_key=${apiKey}&tag=${tag}`);
-    if (!res.ok) throw new Error(`HTTP error ${res.status}`);
-    
-    const json = await res.json();
-    const data = json.data;
-    const gif = data.images?.downsized_medium;
-
-    if (gif) {
-      return {
-        url: gif.url,
-        width: parseInt(gif.width, 10) || 400,
-        height: parseInt(gif.height, 10) || 300,
-      };
+    if (schedule) {
+      settings.update({ quietHours: { start: schedule.start, end: schedule.end, days: schedule.days || [0, 1, 2, 3, 4, 5, 6] } });
+    }
+    if (rest.length > 0) {
+      console.warn(`Only the first of ${legacyQuietHours.length} quiet hours schedules was kept`);
     }
   } catch (err) {
-    console.error('Error fetching gif:', err.message);
+    console.error('Ignoring quiet hours from preferences.json:', err.message);
+  }
+  preferences.update('dnd', { quietHours: undefined });
+}
+const VOLUME_LEVELS = [0.25, 0.5, 0.75, 1];
+// The tray menu only offers these levels (the first default was 0.8), so any
+// other stored volume moves to the nearest one
+const storedVolume = preferences.get().sound.volume;
+if (!VOLUME_LEVELS.includes(storedVolume)) {
+  const target = Number.isFinite(storedVolume) ? storedVolume : 0.75;
+  const volume = VOLUME_LEVELS.reduce((nearest, level) => (Math.abs(level - target) < Math.abs(nearest - target) ? level : nearest));
+  preferences.update('sound', { volume });
+}
+// Custom sounds and read-aloud events are played by the popup, so on its own
+// a system notification only makes the system's own sound
+const DISPLAY_MODES = [
+  { mode: 'popup', label: 'Popup' },
+  { mode: 'native', label: 'System notification (system sound only)' },
+  { mode: 'both', label: 'Popup and system notification' }
+];
+const nativeNotifications = new Set(); // keeps shown notifications (and their handlers) alive
+
+const runHistory = createRunHistory({ filePath: historyPath });
+const notificationRules = createNotificationRules();
+const channelDispatcher = createChannelDispatcher();
+const RECENT_RUNS = 20;
+
+// Popup media: the bundled packs in media/ and the user's own in the data
+// directory, with Giphy as an optional provider
+const mediaPath = path.join(__dirname, 'media');
+const userMediaPath = path.join(dataDir, 'media');
+const giphy = process.env.GIPHY_API_KEY
+  ? createGiphyProvider({ apiKey: process.env.GIPHY_API_KEY, rating: process.env.GIPHY_RATING })
+  : null;
+const mediaLibrary = createMediaLibrary({ dir: mediaPath, userDir: userMediaPath, pack: process.env.MEDIA_PACK, giphy });
+
+// Giphy tag of a media event (start, success or failure)
+function giphyTag(event) {
+  return settings.get().giphy[event];
+}
+
+function prefetchGifs() {
+  if (!giphy) return;
+  for (const tag of Object.values(settings.get().giphy)) {
+    giphy.prefetch(tag).catch(err => console.error('Error prefetching GIFs:', err.message));
   }
-  return { url: '', width: 400, height: 300 };
 }
 
-function animateWindow(win, startY, endY, duration = 500, onDone) {
+// Applies the settings that other modules keep a copy of
+function applySettings({ polling, network }) {
+  pollScheduler.configure(polling);
+  setRequestDefaults(network);
+}
+
+applySettings(settings.get());
+settings.onChange((values, sections) => {
+  applySettings(values);
+  if (sections.includes('giphy')) prefetchGifs();
+  if (sections.includes('quietHours')) {
+    checkDoNotDisturb();
+    updateTrayMenu();
+  }
+});
+
+// Slides a window vertically; a duration of 0 moves it in one step
+function animateWindow(win, startY, endY, duration, onDone) {
   const bounds = win.getBounds();
   const fps = 60;
-  const steps = (duration / 1000) * fps;
+  const steps = Math.max(1, Math.round((duration / 1000) * fps));
   let step = 0;
 
   const interval = setInterval(() => {
+    if (win.isDestroyed()) {
+      clearInterval(interval);
+      return;
+    }
+
     step++;
     const progress = step / steps;
     const newY = startY + (endY - startY) * progress;
@@ -56,49 +218,186 @@ function animateWindow(win, startY, endY, duration = 500, onDone) {
   }, 1000 / fps);
 }
 
-function createGifWindow(gifData) {
-  const { width = 400, height = 300, url } = gifData;
-
-  const display = screen.getPrimaryDisplay();
-  const { width: screenWidth, height: screenHeight } = display.workAreaSize;
+// Shows one notification `offset` pixels into the popup stack.
+// `context` is { details, source, resolved, run } for real runs; details are
+// shown in the popup, the rest lets its buttons act on the run. Returns the
+// handle the notification manager uses to restack popups.
+function createGifWindow(gifData, status, context = {}, offset = 0) {
+  const { width = 400, height = 300 } = gifData;
+  const details = context.details || {};
 
-  console.log(height);
-  const updatedHeight=height+80;
-  const x = screenWidth - width - 10;
-  const yVisible = screenHeight - height - 40;
-  const yHidden = screenHeight + 40; // off-screen (below bottom)
+  const windowHeight = height + 200; // status header, run details and buttons
+  const { position, margin } = settings.get().popup;
+  const { x, visibleY, hiddenY: yHidden } = popupPlacement({
+    workArea: screen.getPrimaryDisplay().workArea,
+    width,
+    height: windowHeight,
+    position,
+    margin
+  });
+  // Read when used, so a change in the Settings window applies to popups already up
+  const popupSettings = () => settings.get().popup;
 
   const win = new BrowserWindow({
     width,
-    updatedHeight,
+    height: windowHeight,
     x,
     y: yHidden, // start hidden
+    show: false,
     frame: false,
     alwaysOnTop: true,
     resizable: false,
     transparent: true,
     skipTaskbar: true, // don’t clutter taskbar
-    focusable: false, 
-    webPreferences: { contextIsolation: true }
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'notification.js')
+    }
   });
 
-  let backgroundColor = 'rgb(227, 38, 0)';
-  if (status === 'success') {
-    backgroundColor = 'rgb(0, 180, 0)';
-  }
-  win.loadURL(`data:text/html;charset=utf-8,<html><body style="margin:0; background:transparent; overflow: hidden"><div style="display:block; text-align:center; background:rgba(255, 255, 255, 1); border-radius:10px; overflow:hidden;"><div style="height:60px; font-family: monospace; text-transform: uppercase; display:flex; align-items:center; justify-content:center; font-size:20px; color:rgb(255, 255, 255); background:${backgroundColor};">${status}</div><img src="${url}" style="max-width:100%; max-height:100%; height:auto;" /></div></body></html>`);
+  const popup = {
+    ...context,
+    win,
+    yVisible: visibleY(offset),
+    visible: false,
+    held: false,
+    hiding: false,
+    hideTimer: null
+  };
+
+  popup.hide = () => {
+    if (popup.hiding || win.isDestroyed()) return;
+    // Dismissed while still sliding in: hide once it has arrived
+    if (!popup.visible) {
+      popup.dismissed = true;
+      return;
+    }
+    popup.hiding = true;
+    clearTimeout(popup.hideTimer);
+    animateWindow(win, win.getBounds().y, yHidden, popupSettings().animationDuration, () => win.close());
+  };
+
+  popup.scheduleHide = () => {
+    clearTimeout(popup.hideTimer);
+    popup.hideTimer = setTimeout(popup.hide, popupSettings().displayTime);
+  };
 
-  // Slide up once ready
+  const webContentsId = win.webContents.id;
+  notificationWindows.set(webContentsId, popup);
+
+  const closedHandlers = [];
+  win.on('closed', () => {
+    clearTimeout(popup.hideTimer);
+    notificationWindows.delete(webContentsId);
+    closedHandlers.forEach(handler => handler());
+  });
+
+  win.loadFile(path.join(__dirname, 'src', 'renderer', 'notification.html'));
+  win.webContents.once('did-finish-load', () => {
+    const event = mediaEvent(status);
+    const sound = preferences.get().sound;
+    win.webContents.send('notification:show', {
+      ...details,
+      status,
+      gif: gifData,
+      sound: resolveSound({ event, source: context.source, preferences: sound }),
+      speech: sound.speech && !sound.muted ? { text: speechText(event, details), volume: sound.volume } : null,
+      ...notificationCapabilities(context)
+    });
+  });
+
+  // Slide in once ready, without taking focus from whatever the user is doing
   win.once('ready-to-show', () => {
-    animateWindow(win, yHidden, yVisible, 500, () => {
-      // Stay for 5s, then slide down
-      setTimeout(() => {
-        animateWindow(win, yVisible, yHidden, 500, () => {
-          win.close();
-        });
-      }, 5000);
+    win.showInactive();
+    animateWindow(win, yHidden, popup.yVisible, popupSettings().animationDuration, () => {
+      popup.visible = true;
+      win.setBounds({ ...win.getBounds(), y: popup.yVisible });
+      if (popup.dismissed) {
+        popup.hide();
+      } else if (!popup.held) {
+        // Stay for the display time, then slide out
+        popup.scheduleHide();
+      }
     });
   });
+
+  return {
+    height: windowHeight + 10,
+    moveTo: (newOffset) => {
+      const target = visibleY(newOffset);
+      if (target === popup.yVisible) return;
+      const from = popup.yVisible;
+      popup.yVisible = target;
+      // Popups still sliding in pick up the new position when they arrive
+      if (popup.visible && !popup.hiding && !win.isDestroyed()) {
+        animateWindow(win, from, target, Math.min(200, popupSettings().animationDuration));
+      }
+    },
+    onClosed: (handler) => closedHandlers.push(handler)
+  };
+}
+
+// Which actions a notification can offer for its run
+function notificationCapabilities(context) {
+  const failed = !!(context.run && context.run.conclusion === 'failure');
+  return {
+    runActions: availableActions(context.resolved?.provider, context.run),
+    canViewLogs: failed && context.run.kind !== 'check_suite' && !!context.resolved?.provider.fetchFailureLog
+  };
+}
+
+// Re-runs or cancels a run and returns the message to show
+async function runActionMessage(name, { source, resolved, run }) {
+  try {
+    return await performRunAction(name, {
+      provider: resolved.provider,
+      info: resolved.info,
+      run,
+      token: getSourceToken(source, resolved.provider)
+    });
+  } catch (err) {
+    console.error(`Run action ${name} failed:`, err.message);
+    return err.message;
+  }
+}
+
+async function handleNotificationAction(popup, action) {
+  switch (action) {
+    case 'open':
+      if (/^https?:\/\//.test(popup.details?.htmlUrl || '')) {
+        shell.openExternal(popup.details.htmlUrl);
+      }
+      popup.hide();
+      break;
+    case 'rerun':
+    case 'rerun-all':
+    case 'cancel': {
+      if (!notificationCapabilities(popup).runActions.some(({ name }) => name === action)) return;
+      const message = await runActionMessage(action, popup);
+      if (!popup.win.isDestroyed()) {
+        popup.win.webContents.send('notification:update', { message });
+      }
+      break;
+    }
+    case 'logs':
+      if (popup.run && popup.resolved) {
+        openLogViewer(popup);
+      }
+      popup.hide();
+      break;
+    case 'dismiss':
+      popup.hide();
+      break;
+    case 'hold':
+      popup.held = true;
+      clearTimeout(popup.hideTimer);
+      break;
+    case 'release':
+      popup.held = false;
+      if (popup.visible && !popup.hiding) popup.scheduleHide();
+      break;
+  }
 }
 
 app.whenReady().then(() => {
@@ -119,8 +418,10 @@ app.whenReady().then(() => {
     
     // Resize for tray (macOS prefers 16x16 or 22x22 for tray icons)
     const trayIcon = image.resize({ width: 22, height: 22 });
+    trayBaseBitmap = trayIcon.toBitmap();
     trayIcon.setTemplateImage(true); // Makes it adapt to dark/light mode
     
+    trayDefaultIcon = trayIcon;
     tray = new Tray(trayIcon);
     tray.setToolTip('FailWhale - CI/CD Notifier');
     console.log('Tray icon created successfully');
@@ -128,25 +429,163 @@ app.whenReady().then(() => {
     console.error('Failed to create tray icon:', error);
     
     // Create a simple colored square as fallback
-    const fallbackIcon = nativeImage.createEmpty();
-    // Create a simple 22x22 colored square
-    const canvas = { width: 22, height: 22 };
-    const buffer = Buffer.alloc(canvas.width * canvas.height * 4);
-    // Fill with blue color (RGBA)
-    for (let i = 0; i < buffer.length; i += 4) {
-      buffer[i] = 0;     // R
-      buffer[i + 1] = 122; // G  
-      buffer[i + 2] = 255; // B
-      buffer[i + 3] = 255; // A
-    }
-    const fallback = nativeImage.createFromBuffer(buffer, canvas);
+    const fallback = trayImage(stateFrames('unknown')[0]);
     
+    trayDefaultIcon = fallback;
     tray = new Tray(fallback);
     tray.setToolTip('FailWhale - CI/CD Notifier (Fallback)');
     console.log('Using fallback tray icon');
   }
+
+  // The status icons carry the whale in the menu bar's colour, so redraw them
+  // when the appearance changes
+  nativeTheme.on('updated', () => {
+    trayStatus = aggregateStatus([]);
+    updateTrayStatus();
+  });
+
+  // Load existing sources and credentials (safeStorage needs the app to be ready)
+  loadSources();
+  // Resume tracking where the last session stopped, so runs that finished
+  // while the app was closed are still notified on the first poll
+  workflowStates = runHistory.getTracked();
+  loadRules();
+  loadChannels();
+  loadImports();
+  runHistory.all().forEach(transition => {
+    notificationRules.remember(transition.sourceKey, transition);
+    channelDispatcher.remember(transition.sourceKey, transition);
+  });
+  credentialStore = createCredentialStore({ filePath: credentialsPath, safeStorage });
+
+  updateTrayMenu();
+  updateTrayStatus();
+
+  // Have a few GIFs ready before the first notification
+  prefetchGifs();
+
+  // Optional webhook receiver, enabled by setting WEBHOOK_SECRET
+  if (process.env.WEBHOOK_SECRET) {
+    startWebhookServer();
+  }
+
+  // Background interval for monitoring workflows
+  setInterval(async () => {
+    checkDoNotDisturb();
+    if (checking) return;
+    if (webhookServer && Date.now() - lastPoll < WEBHOOK_FALLBACK_INTERVAL) return;
+    lastPoll = Date.now();
+
+    checking = true;
+    try {
+      await checkWorkflows();
+    } finally {
+      checking = false;
+    }
+  }, POLL_TICK);
+
+  // New repos in imported orgs are picked up in the background
+  setInterval(() => {
+    syncImports().catch(err => console.error('Error syncing imports:', err.message));
+  }, IMPORT_SYNC_TICK);
+});
+
+// Tray icon drawn in the colour of a build state
+function trayImage(color) {
+  const size = { width: TRAY_ICON_SIZE, height: TRAY_ICON_SIZE };
+  const bitmap = trayBaseBitmap
+    ? withStatusDot(trayWhale(), TRAY_ICON_SIZE, color)
+    : solidIcon(TRAY_ICON_SIZE, color);
+  return nativeImage.createFromBuffer(bitmap, size);
+}
+
+// macOS draws the template whale in the menu bar's colour. A template would
+// lose the colour of the status dot, so the whale is recoloured the same way
+function trayWhale() {
+  if (process.platform !== 'darwin') return trayBaseBitmap;
+  return tinted(trayBaseBitmap, nativeTheme.shouldUseDarkColors ? [255, 255, 255] : [0, 0, 0]);
+}
+
+// Tracked runs of a source, with the details kept in the run history
+function trackedRuns(sourceKey) {
+  const tracked = workflowStates.get(sourceKey);
+  if (!tracked) return [];
+  return [...tracked.values()].map(state => runHistory.latest(sourceKey, state.id) || state);
+}
+
+// Recomputes the aggregate build state shown by the tray icon, tooltip and menu
+function updateTrayStatus() {
+  const status = aggregateStatus(
+    sources
+      .map(source => resolveSource(source))
+      .filter(Boolean)
+      .map(({ info }) => ({ name: info.name, runs: trackedRuns(info.key) }))
+  );
+
+  const description = describeStatus(status);
+  if (status.state === trayStatus.state && description === describeStatus(trayStatus)) return;
+  trayStatus = status;
+
+  clearInterval(trayAnimation);
+  trayAnimation = null;
+
+  if (status.state === 'unknown') {
+    tray.setImage(trayDefaultIcon);
+  } else {
+    const frames = stateFrames(status.state).map(trayImage);
+    let frame = 0;
+    tray.setImage(frames[0]);
+    if (frames.length > 1) {
+      trayAnimation = setInterval(() => {
+        frame = (frame + 1) % frames.length;
+        tray.setImage(frames[frame]);
+      }, TRAY_PULSE_INTERVAL);
+    }
+  }
+
+  tray.setToolTip(`FailWhale - ${description}`);
+  updateTrayMenu();
+}
+
+// Red repos at the top of the tray menu, or a one-line summary
+function statusMenu() {
+  if (trayStatus.state === 'unknown') return [];
+
+  const items = trayStatus.state === 'failing'
+    ? trayStatus.failing.map(({ repo, workflows }) => ({
+        label: `❌ ${repo} — ${workflows.join(', ')}`,
+        click: () => openDashboard()
+      }))
+    : [{ label: `${trayStatus.state === 'running' ? '🔄' : '✅'} ${describeStatus(trayStatus)}`, enabled: false }];
+
+  return [...items, { type: 'separator' }];
+}
+
+// Tray menu, rebuilt whenever its dynamic items change
+function updateTrayMenu() {
+  const signedIn = credentialStore.list().find(credential => credential.id === GITHUB_OAUTH_CREDENTIAL);
+
   const contextMenu = Menu.buildFromTemplate([
+    ...statusMenu(),
+    { label: 'Dashboard', click: () => openDashboard() },
     { label: 'Sources', click: () => openSourcesWindow() },
+    { label: 'Import from org/user…', click: () => openImportWindow() },
+    { label: 'Notification rules', click: () => openRulesWindow() },
+    { label: 'Channels', click: () => openChannelsWindow() },
+    { label: 'Run workflow…', click: () => openDispatchWindow() },
+    { label: 'Failure logs', click: () => openLogViewer() },
+    ...(signedIn
+      ? [
+          { label: signedIn.label, enabled: false },
+          { label: 'Sign out of GitHub', click: () => signOutOfGitHub() }
+        ]
+      : [{ label: 'Sign in with GitHub', click: () => openSignInWindow() }]),
+    { label: 'Recent runs', submenu: recentRunsMenu() },
+    { label: dndReason ? 'Do not disturb (on)' : 'Do not disturb', submenu: doNotDisturbMenu() },
+    { label: 'Notification style', submenu: displayModeMenu() },
+    { label: 'Mute sounds', type: 'checkbox', checked: preferences.get().sound.muted, click: (item) => updateSoundPreferences({ muted: item.checked }) },
+    { label: 'Sound', submenu: soundMenu() },
+    { label: 'Settings…', click: () => openSettingsWindow() },
     { 
       label: 'Simulations',
       submenu: [
@@ -157,106 +596,296 @@ app.whenReady().then(() => {
     { type: 'separator' },
     { label: 'Quit', click: () => app.quit() }
   ]);
-  tray.setToolTip('FailWhale - CI/CD Notifier');
   tray.setContextMenu(contextMenu);
+}
 
-  // Load existing sources
-  loadSources();
+const RUN_ICONS = {
+  success: '✅',
+  failure: '❌',
+  cancelled: '⚪',
+  in_progress: '🔄',
+  queued: '⏳'
+};
 
-  // Background interval for monitoring workflows
-  setInterval(async () => {
-    //await checkWorkflows();
-  }, 10000); // Check every 30 seconds
-});
+function recentRunsMenu() {
+  const recent = runHistory.recent(RECENT_RUNS);
+  if (recent.length === 0) {
+    return [{ label: 'No runs yet', enabled: false }];
+  }
+
+  return recent.map(run => {
+    const icon = run.status === 'completed'
+      ? (RUN_ICONS[run.conclusion] || '⚠️')
+      : (RUN_ICONS[run.status] || '⏳');
+    const target = runActionTarget(run);
+    const actions = target ? availableActions(target.resolved.provider, target.run) : [];
+    return {
+      label: `${icon} ${run.repo} · ${run.workflow} (${run.branch})`,
+      submenu: [
+        { label: 'Open in browser', enabled: !!run.htmlUrl, click: () => shell.openExternal(run.htmlUrl) },
+        ...actions.map(({ name, label }) => ({ label, click: () => runTrayAction(name, target) }))
+      ]
+    };
+  });
+}
+
+// The watched source and provider run a history entry belongs to, or null
+// when the source has since been removed
+function runActionTarget(transition) {
+  for (const source of sources) {
+    const resolved = resolveSource(source);
+    if (resolved && resolved.info.key === transition.sourceKey) {
+      const run = {
+        id: transition.runId,
+        kind: transition.kind,
+        number: transition.number,
+        branch: transition.branch,
+        status: transition.status,
+        conclusion: transition.conclusion
+      };
+      return { source, resolved, run };
+    }
+  }
+  return null;
+}
+
+async function runTrayAction(name, target) {
+  try {
+    const message = await performRunAction(name, {
+      provider: target.resolved.provider,
+      info: target.resolved.info,
+      run: target.run,
+      token: getSourceToken(target.source, target.resolved.provider)
+    });
+    if (Notification.isSupported()) {
+      new Notification({ title: target.resolved.info.name, body: message, silent: true }).show();
+    }
+  } catch (err) {
+    console.error(`Run action ${name} failed:`, err.message);
+    dialog.showErrorBox(target.resolved.info.name, err.message);
+  }
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Tray toggles from the preferences plus the schedule from the settings
+function doNotDisturbState() {
+  return { ...preferences.get().dnd, quietHours: [settings.get().quietHours] };
+}
+
+function doNotDisturbMenu() {
+  const dnd = doNotDisturbState();
+  const schedules = dnd.quietHours.map(schedule => `${schedule.start}–${schedule.end}`).join(', ');
+
+  return [
+    ...(dndReason ? [{ label: `Notifications paused until ${formatTime(dndReason.until)}`, enabled: false }] : []),
+    ...Object.entries(SNOOZE_OPTIONS).map(([option, { label }]) => ({
+      label,
+      click: () => updateDoNotDisturb({ snoozedUntil: snoozeUntil(option) })
+    })),
+    ...(dndReason && dndReason.type === 'snooze'
+      ? [{ label: 'Resume notifications', click: () => updateDoNotDisturb({ snoozedUntil: null }) }]
+      : []),
+    { type: 'separator' },
+    {
+      label: `Quiet hours${schedules ? ` (${schedules})` : ''}`,
+      type: 'checkbox',
+      checked: dnd.quietHoursEnabled,
+      click: (item) => updateDoNotDisturb({ quietHoursEnabled: item.checked })
+    }
+  ];
+}
+
+function updateDoNotDisturb(patch) {
+  preferences.update('dnd', patch);
+  checkDoNotDisturb();
+  updateTrayMenu();
+}
+
+// Notices do not disturb starting or ending, and shows what was held back
+// once it is over
+function checkDoNotDisturb() {
+  const reason = activeReason(doNotDisturbState());
+  const changed = !!reason !== !!dndReason || (reason && dndReason && reason.until !== dndReason.until);
+  dndReason = reason;
+  if (changed) updateTrayMenu();
+
+  if (!reason && heldNotifications.length > 0) {
+    const digest = buildDigest(heldNotifications);
+    heldNotifications = [];
+    notificationManager.notify(digest);
+  }
+}
+
+function displayModeMenu() {
+  const { mode: current } = preferences.get().display;
+  return DISPLAY_MODES.map(({ mode, label }) => ({
+    label,
+    type: 'radio',
+    checked: mode === current,
+    click: () => {
+      preferences.update('display', { mode });
+      updateTrayMenu();
+    }
+  }));
+}
+
+function soundMenu() {
+  const sound = preferences.get().sound;
+  return [
+    { label: 'Read events aloud', type: 'checkbox', checked: sound.speech, click: (item) => updateSoundPreferences({ speech: item.checked }) },
+    { type: 'separator' },
+    ...VOLUME_LEVELS.map(volume => ({
+      label: `Volume ${Math.round(volume * 100)}%`,
+      type: 'radio',
+      checked: sound.volume === volume,
+      click: () => updateSoundPreferences({ volume })
+    }))
+  ];
+}
+
+function updateSoundPreferences(patch) {
+  preferences.update('sound', patch);
+  updateTrayMenu();
+}
 
 // Data persistence functions
-function loadSources() {
+function loadRules() {
+  try {
+    const rules = readJsonFile(rulesPath);
+    if (rules) {
+      notificationRules.setRules(rules);
+    }
+  } catch (err) {
+    // Keep notifying everything rather than guess what a broken file meant
+    console.error('Error loading notification rules:', err);
+  }
+}
+
+function saveRules(rules) {
+  notificationRules.setRules(rules);
+  writeJsonFile(rulesPath, rules);
+}
+
+function loadChannels() {
   try {
-    if (fs.existsSync(dataPath)) {
-      const data = fs.readFileSync(dataPath, 'utf8');
-      sources = JSON.parse(data);
-      console.log('Loaded sources:', sources);
+    const channels = readJsonFile(channelsPath);
+    if (channels) {
+      channelDispatcher.setChannels(channels);
     }
   } catch (err) {
-    console.error('Error loading sources:', err);
-    sources = [];
+    console.error('Error loading channels:', err);
+  }
+}
+
+function loadImports() {
+  try {
+    imports = readJsonFile(importsPath, []);
+  } catch (err) {
+    console.error('Error loading imports:', err);
+    imports = [];
+  }
+}
+
+function saveImports() {
+  try {
+    writeJsonFile(importsPath, imports);
+  } catch (err) {
+    console.error('Error saving imports:', err);
   }
 }
 
+// Webhook URLs are secrets, so the file is only readable by the user
+function saveChannels(channels) {
+  channelDispatcher.setChannels(channels);
+  writeJsonFile(channelsPath, channels, { mode: 0o600 });
+}
+
+// Sources live in settings.json, see settings.js
+function loadSources() {
+  sources = settings.get().sources;
+  console.log('Loaded sources:', sources);
+}
+
 function saveSources() {
   try {
-    fs.writeFileSync(dataPath, JSON.stringify(sources, null, 2));
+    settings.update({ sources });
     console.log('Sources saved');
   } catch (err) {
     console.error('Error saving sources:', err);
   }
 }
 
-// GitHub API functions
-function extractRepoInfo(githubUrl) {
-  const match = githubUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-  if (match) {
-    return { owner: match[1], repo: match[2] };
+// CI provider functions
+
+// Sources either reference a stored credential or use the provider's default:
+// the signed in GitHub account, else the token from .env
+function getSourceToken(source, provider) {
+  if (source.credential) {
+    return credentialStore?.get(source.credential) || null;
   }
-  return null;
+  if (provider.name === 'github' && credentialStore?.has(GITHUB_OAUTH_CREDENTIAL)) {
+    return credentialStore.get(GITHUB_OAUTH_CREDENTIAL);
+  }
+  return process.env[provider.tokenEnv];
 }
 
-async function fetchWorkflowRuns(owner, repo, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-      
-      const url = `https://api.github.com/repos/${owner}/${repo}/actions/runs`;
-      const headers = {
-        'User-Agent': 'FailWhale-CI-Notifier/1.0'
-      };
-      
-      // Add GitHub token if available for higher rate limits (60/hour -> 5,000/hour)
-      if (process.env.GITHUB_TOKEN) {
-        headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
-      }
-      
-      const response = await fetch(url, {
-        signal: controller.signal,
-        headers
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        if (response.status === 403) {
-          const resetTime = response.headers.get('x-ratelimit-reset');
-          const remaining = response.headers.get('x-ratelimit-remaining');
-          const limit = response.headers.get('x-ratelimit-limit');
-          console.warn(`GitHub API rate limited for ${owner}/${repo}. Remaining: ${remaining}/${limit}, Reset: ${new Date(resetTime * 1000)}`);
-          throw new Error(`GitHub API rate limited: ${response.status}`);
-        }
-        throw new Error(`GitHub API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      return data.workflow_runs || [];
-      
-    } catch (err) {
-      const isNetworkError = err.code === 'ENOTFOUND' || err.name === 'AbortError' || err.message.includes('fetch failed');
-      
-      if (attempt === retries) {
-        console.error(`Failed to fetch workflows for ${owner}/${repo} after ${retries} attempts:`, err.message);
-        return [];
-      }
-      
-      if (isNetworkError) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000); // Exponential backoff, max 30s
-        console.warn(`Network error for ${owner}/${repo} (attempt ${attempt}/${retries}). Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        console.error(`Non-network error for ${owner}/${repo}:`, err.message);
-        return [];
-      }
+// Each token has its own API quota
+function rateLimitBucket(source, provider) {
+  return `${provider.name}:${source.credential || 'default'}`;
+}
+
+// Token, ETag cache and quota/auth callbacks for a source's API calls
+function requestOptions(source, provider, info) {
+  return {
+    token: getSourceToken(source, provider),
+    cache: etagCache,
+    onRateLimit: (rateLimit) => pollScheduler.updateRateLimit(rateLimitBucket(source, provider), rateLimit),
+    onUnauthorized: () => {
+      console.warn(`Token for ${info.key} is invalid or expired`);
+      authFailures.add(info.key);
+      refreshSourcesWindow();
     }
+  };
+}
+
+async function fetchWorkflowRuns(source, provider, info) {
+  authFailures.delete(info.key);
+  return provider.fetchRuns(info, requestOptions(source, provider, info));
+}
+
+// Logins of token owners, per rate limit bucket (one per token)
+const viewerLogins = new Map();
+
+async function viewerLogin(source, provider) {
+  const bucket = rateLimitBucket(source, provider);
+  if (!viewerLogins.has(bucket)) {
+    const login = await provider.fetchViewer({ token: getSourceToken(source, provider) });
+    if (!login) return null;
+    viewerLogins.set(bucket, login);
   }
-  return [];
+  return viewerLogins.get(bucket);
+}
+
+// Follows the combined check state of a source's branches and pull requests.
+// Returns whether any of them still has checks running.
+async function checkStatuses(source, resolved) {
+  const sourceKey = resolved.info.key;
+  const login = source.checks.pullRequests && resolved.provider.fetchViewer
+    ? await viewerLogin(source, resolved.provider)
+    : null;
+  const targets = await resolved.provider.fetchStatusTargets(resolved.info, source.checks, {
+    ...requestOptions(source, resolved.provider, resolved.info),
+    login
+  });
+
+  const { events, next } = diffStatuses(statusStates.get(sourceKey), targets);
+  statusStates.set(sourceKey, next);
+  await notifyStatusEvents(events, source, resolved);
+
+  return targets.some(target => target.state === 'pending');
 }
 
 // Network connectivity check
@@ -279,304 +908,1320 @@ async function isNetworkAvailable() {
 
 // Workflow monitoring
 async function checkWorkflows() {
+  const due = sources
+    .map(source => ({ source, resolved: resolveSource(source) }))
+    .filter(({ source, resolved }) => resolved && pollScheduler.isDue(resolved.info.key, rateLimitBucket(source, resolved.provider)));
+  if (due.length === 0) return;
+
   // Check network connectivity first
   if (!(await isNetworkAvailable())) {
     console.log('Network unavailable, skipping workflow check');
     return;
   }
   
-  for (const source of sources) {
-    const repoInfo = extractRepoInfo(source.url);
-    if (!repoInfo) continue;
-
-    const runs = await fetchWorkflowRuns(repoInfo.owner, repoInfo.repo);
-    if (runs.length === 0) continue;
-
-    const latestRun = runs[0];
-    const sourceKey = `${repoInfo.owner}/${repoInfo.repo}`;
-    const previousState = workflowStates.get(sourceKey);
-
-    // First time seeing this repo
-    if (!previousState) {
-      workflowStates.set(sourceKey, {
-        latestRunId: latestRun.id,
-        status: latestRun.status,
-        conclusion: latestRun.conclusion
-      });
+  for (const { source, resolved } of due) {
+    const sourceKey = resolved.info.key;
+    const bucket = rateLimitBucket(source, resolved.provider);
+
+    // An earlier source in this pass may have exhausted the quota
+    const pausedUntil = pollScheduler.pausedUntil(bucket);
+    if (pausedUntil) {
+      console.warn(`Rate limit reached for ${bucket}, pausing polls until ${new Date(pausedUntil)}`);
       continue;
     }
 
-    // New workflow run detected
-    if (latestRun.id !== previousState.latestRunId) {
-      if (latestRun.status !== 'completed') {
-        // New workflow started
-        const gifData = await getRandomGif('lets get started');
-        status = 'START';
-        if (gifData.url) {
-          createGifWindow(gifData);
-        }
-        
-        workflowStates.set(sourceKey, {
-          latestRunId: latestRun.id,
-          status: latestRun.status,
-          conclusion: latestRun.conclusion,
-          notifiedStart: true
-        });
-      }
-    }
-    // Check if previously running workflow completed
-    else if (previousState.status !== 'completed' && latestRun.status === 'completed') {
-      const tag = latestRun.conclusion === 'success' ? 'success' : 'failure';
-      const gifData = await getRandomGif(tag);
-      status = tag;
-      if (gifData.url) {
-        createGifWindow(gifData);
-      }
-      
-      workflowStates.set(sourceKey, {
-        latestRunId: latestRun.id,
-        status: latestRun.status,
-        conclusion: latestRun.conclusion
+    const runs = await fetchWorkflowRuns(source, resolved.provider, resolved.info);
+    if (runs.length > 0) {
+      const watchedRuns = runs.filter(run => matchesSourceFilters(source, run));
+      watchedRuns.push(...await fetchMissingRuns(source, resolved, watchedRuns));
+      const { events, next } = diffRuns(workflowStates.get(sourceKey), watchedRuns);
+      workflowStates.set(sourceKey, next);
+      recordRuns(sourceKey, resolved, watchedRuns);
+
+      await notifyRunEvents(events, source, resolved);
+      // Runs seen without an event (e.g. on the first poll) still set the
+      // outcome state-change rules compare against
+      watchedRuns.forEach(run => {
+        notificationRules.remember(sourceKey, run);
+        channelDispatcher.remember(sourceKey, run);
       });
     }
+
+    const checksRunning = source.checks && resolved.provider.fetchStatusTargets
+      ? await checkStatuses(source, resolved)
+      : false;
+
+    // Repos with a run or checks in flight are polled faster than idle ones
+    const tracked = workflowStates.get(sourceKey);
+    const active = checksRunning || (!!tracked && [...tracked.values()].some(run => run.status !== 'completed'));
+    pollScheduler.schedule(sourceKey, bucket, { active });
   }
 }
 
-// Sources window management
-function openSourcesWindow() {
-  if (sourcesWindow) {
-    sourcesWindow.focus();
-    return;
+// Unfinished runs that newer ones pushed off the fetched page are looked up
+// one by one. Runs that no longer exist, or can't be looked up at all, stop
+// being tracked; ones that failed to load are kept by diffRuns() and tried
+// again on the next poll.
+async function fetchMissingRuns(source, resolved, runs) {
+  const tracked = workflowStates.get(resolved.info.key);
+  const missing = missingRuns(tracked, runs);
+  const found = [];
+
+  for (const [key, state] of missing) {
+    if (!resolved.provider.fetchRun) {
+      tracked.delete(key);
+      continue;
+    }
+    try {
+      const run = await resolved.provider.fetchRun(resolved.info, state.id, { token: getSourceToken(source, resolved.provider) });
+      if (run) {
+        found.push(run);
+      } else {
+        tracked.delete(key);
+      }
+    } catch (err) {
+      console.error(`Error looking up run ${state.id} of ${resolved.info.key}:`, err.message);
+    }
   }
+  return found;
+}
 
-  sourcesWindow = new BrowserWindow({
-    width: 600,
-    height: 500,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
-    },
-    title: 'FailWhale - Manage Sources'
-  });
+// Adds run transitions to the local history and persists the tracked state
+// when either changed
+function recordRuns(sourceKey, resolved, runs) {
+  const historySource = { sourceKey, repo: resolved.info.name, provider: resolved.provider.name };
+  const changed = runs.filter(run => runHistory.observe(historySource, run)).length > 0;
 
-  sourcesWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(getSourcesHTML())}`);
+  const trackedChanged = workflowStates.has(sourceKey) && runHistory.setTracked(sourceKey, workflowStates.get(sourceKey));
+  if (changed || trackedChanged) {
+    saveRunHistorySoon();
+  }
 
-  sourcesWindow.on('closed', () => {
-    sourcesWindow = null;
-  });
+  updateTrayStatus();
+  if (changed) {
+    updateTrayMenu();
+    refreshSourcesWindow();
+    if (dashboardWindow) dashboardWindow.webContents.send('dashboard:updated');
+  }
 }
 
-async function simulateSuccess() {
-  const gifData = await getRandomGif('success');
-  status = 'success';
-  if (gifData.url) {
-    createGifWindow(gifData);
-  }
+// The history file can hold thousands of transitions, so the changes of a
+// polling pass are written once rather than per source
+function saveRunHistorySoon() {
+  if (historySaveTimer) return;
+  historySaveTimer = setTimeout(saveRunHistory, HISTORY_SAVE_DELAY);
 }
 
-async function simulateFailure() {
-  const gifData = await getRandomGif('failure');
-  status = 'failure';
-  if (gifData.url) {
-    createGifWindow(gifData);
-  }
-}
-
-function getSourcesHTML() {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>FailWhale Sources</title>
-      <style>
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          margin: 20px;
-          background: #f5f5f5;
-        }
-        .container {
-          max-width: 500px;
-          margin: 0 auto;
-          background: white;
-          padding: 30px;
-          border-radius: 10px;
-          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        h1 {
-          color: #333;
-          text-align: center;
-          margin-bottom: 30px;
-        }
-        .add-source {
-          margin-bottom: 30px;
-          padding: 20px;
-          background: #f8f9fa;
-          border-radius: 8px;
-        }
-        input[type="url"] {
-          width: 100%;
-          padding: 12px;
-          border: 2px solid #ddd;
-          border-radius: 6px;
-          font-size: 14px;
-          margin-bottom: 10px;
-          box-sizing: border-box;
-        }
-        button {
-          background: #007AFF;
-          color: white;
-          border: none;
-          padding: 12px 24px;
-          border-radius: 6px;
-          cursor: pointer;
-          font-size: 14px;
-          font-weight: 500;
-        }
-        button:hover {
-          background: #0056CC;
-        }
-        .sources-list {
-          margin-top: 20px;
-        }
-        .source-item {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: 15px;
-          background: #f8f9fa;
-          border-radius: 6px;
-          margin-bottom: 10px;
-        }
-        .source-url {
-          font-family: monospace;
-          color: #666;
-          flex: 1;
-          margin-right: 10px;
-        }
-        .delete-btn {
-          background: #FF3B30;
-          padding: 6px 12px;
-          font-size: 12px;
-        }
-        .delete-btn:hover {
-          background: #D70015;
-        }
-        .empty-state {
-          text-align: center;
-          color: #666;
-          font-style: italic;
-          padding: 40px 20px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <h1>🐳 FailWhale Sources</h1>
-        
-        <div class="add-source">
-          <input type="url" id="sourceUrl" placeholder="https://github.com/owner/repo" />
-          <button onclick="addSource()">Add Source</button>
-        </div>
-        
-        <div class="sources-list">
-          <div id="sourcesList"></div>
-        </div>
-      </div>
-
-      <script>
-        const { ipcRenderer } = require('electron');
-        
-        function renderSources() {
-          ipcRenderer.invoke('get-sources').then(sources => {
-            const container = document.getElementById('sourcesList');
-            
-            if (sources.length === 0) {
-              container.innerHTML = '<div class="empty-state">No sources added yet. Add a GitHub repository to get started!</div>';
-              return;
-            }
-            
-            container.innerHTML = sources.map((source, index) => \`
-              <div class="source-item">
-                <div class="source-url">\${source.url}</div>
-                <button class="delete-btn" onclick="removeSource(\${index})">Remove</button>
-              </div>
-            \`).join('');
-          });
-        }
-        
-        function addSource() {
-          const input = document.getElementById('sourceUrl');
-          const url = input.value.trim();
-          
-          if (!url) return;
-          
-          if (!url.includes('github.com')) {
-            alert('Please enter a valid GitHub repository URL');
-            return;
-          }
-          
-          ipcRenderer.invoke('add-source', url).then(() => {
-            input.value = '';
-            renderSources();
-          });
-        }
-        
-        function removeSource(index) {
-          ipcRenderer.invoke('remove-source', index).then(() => {
-            renderSources();
-          });
-        }
-        
-        // Handle Enter key
-        document.getElementById('sourceUrl').addEventListener('keypress', (e) => {
-          if (e.key === 'Enter') {
-            addSource();
-          }
-        });
-        
-        // Initial render
-        renderSources();
-      </script>
-    </body>
-    </html>
-  `;
+function saveRunHistory() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = null;
+  try {
+    runHistory.save();
+  } catch (err) {
+    console.error('Error saving run history:', err);
+  }
+}
+
+async function notifyRunEvents(events, source, resolved) {
+  for (const event of events) {
+    const context = {
+      details: describeRun(resolved.info.name, event.run),
+      source,
+      resolved,
+      run: event.run
+    };
+
+    // Fetch the log right away so it can be read later, even offline
+    if (event.type === 'completed' && event.run.conclusion === 'failure') {
+      captureFailureLog(context).catch(err => console.error('Error fetching failure log:', err.message));
+    }
+
+    // Channels have rules of their own and ignore do not disturb
+    const ruleSource = { key: resolved.info.key, name: resolved.info.name };
+    channelDispatcher.dispatch(ruleSource, event, context.details)
+      .catch(err => console.error('Error forwarding to channels:', err.message));
+
+    if (notificationRules.decide(ruleSource, event) === 'ignore') {
+      continue;
+    }
+
+    if (event.type === 'started') {
+      showNotification('START', giphyTag('start'), context);
+    } else {
+      const status = event.run.conclusion === 'success' ? 'success' : 'failure';
+      showNotification(status, giphyTag(status), context);
+    }
+  }
+}
+
+// Check state changes go through the same rules and channels as runs, but
+// have no run to re-run or logs to show
+async function notifyStatusEvents(events, source, resolved) {
+  for (const statusEvent of events) {
+    const event = { type: 'completed', run: statusRun(statusEvent, resolved.provider.name) };
+    const context = { details: describeRun(resolved.info.name, event.run), source, resolved };
+
+    const ruleSource = { key: resolved.info.key, name: resolved.info.name };
+    channelDispatcher.dispatch(ruleSource, event, context.details)
+      .catch(err => console.error('Error forwarding to channels:', err.message));
+
+    if (notificationRules.decide(ruleSource, event) === 'ignore') {
+      continue;
+    }
+
+    const status = event.run.conclusion === 'success' ? 'success' : 'failure';
+    showNotification(status, giphyTag(status), context);
+  }
+}
+
+// Webhook receiver
+function startWebhookServer() {
+  const port = parseInt(process.env.WEBHOOK_PORT, 10) || 8787;
+  const server = createWebhookServer({
+    secret: process.env.WEBHOOK_SECRET,
+    onRun: handleWebhookRun
+  });
+
+  server.on('error', (err) => {
+    console.error('Webhook server error, falling back to polling:', err.message);
+    webhookServer = null;
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    webhookServer = server;
+    console.log(`Webhook server listening on http://127.0.0.1:${port}`);
+  });
+}
+
+async function handleWebhookRun(repo, run) {
+  const source = sources.find(source => {
+    const resolved = resolveSource(source);
+    return resolved && resolved.provider.name === 'github' && resolved.info.key.toLowerCase() === repo.toLowerCase();
+  });
+  if (!source || !matchesSourceFilters(source, run)) return;
+
+  // Until the first poll has seeded this source, notify without tracking so
+  // the seeding poll doesn't mistake the repo's history for new runs
+  const resolved = resolveSource(source);
+  const tracked = workflowStates.get(resolved.info.key) || new Map();
+  const event = trackRun(tracked, run);
+  recordRuns(resolved.info.key, resolved, [run]);
+  if (event) {
+    await notifyRunEvents([event], source, resolved);
+  }
+}
+
+// Hands a notification to the manager, which batches, queues and stacks popups
+function showNotification(status, tag, context) {
+  if (context.source && context.source.muted) return;
+
+  if (activeReason(doNotDisturbState())) {
+    heldNotifications.push({ status, tag, context });
+    return;
+  }
+  notificationManager.notify({ status, tag, context });
+}
+
+async function presentNotification({ status, tag, context }, offset) {
+  const { mode } = preferences.get().display;
+  if (mode !== 'popup' && !context.popupFallback) {
+    const shown = showNativeNotification({ status, tag, context });
+    if (shown && mode === 'native') return null;
+  }
+
+  const media = await mediaLibrary.pick(mediaEvent(status), tag);
+  return createGifWindow(media, status, context, offset);
+}
+
+// Raises an OS notification so the event also lands in the notification
+// center. Returns false when the platform can't show one; in "native" mode
+// the popup is then used instead, also when showing fails later on. Only
+// Windows reports such failures, and a Linux desktop without a notification
+// daemon still claims support, so a notification that isn't shown within
+// NATIVE_SHOW_TIMEOUT is treated as failed too.
+function showNativeNotification({ status, tag, context }) {
+  if (!Notification.isSupported()) return false;
+
+  const details = context.details || {};
+  const { title, body, actions } = nativeNotificationContent(status, details, notificationCapabilities(context));
+
+  try {
+    const notification = new Notification({
+      title,
+      body,
+      silent: preferences.get().sound.muted,
+      actions: actions.map(({ text }) => ({ type: 'button', text }))
+    });
+
+    notification.on('click', () => {
+      if (/^https?:\/\//.test(details.htmlUrl || '')) {
+        shell.openExternal(details.htmlUrl);
+      }
+    });
+
+    notification.on('action', async (event, index) => {
+      const action = actions[index];
+      if (!action) return;
+      if (action.name === 'logs') {
+        openLogViewer(context);
+      } else {
+        const message = await runActionMessage(action.name, context);
+        if (Notification.isSupported()) {
+          new Notification({ title: 'FailWhale', body: message, silent: true }).show();
+        }
+      }
+    });
+
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(showTimer);
+      console.error('System notification failed:', error);
+      nativeNotifications.delete(notification);
+      if (preferences.get().display.mode === 'native') {
+        notificationManager.notify({ status, tag, context: { ...context, popupFallback: true } });
+      }
+    };
+    const showTimer = setTimeout(() => {
+      fail(`not shown within ${NATIVE_SHOW_TIMEOUT} ms, is a notification daemon running?`);
+      notification.close();
+    }, NATIVE_SHOW_TIMEOUT);
+
+    notification.on('show', () => {
+      settled = true;
+      clearTimeout(showTimer);
+    });
+
+    notification.on('failed', (event, error) => fail(error));
+
+    notification.on('close', () => {
+      clearTimeout(showTimer);
+      nativeNotifications.delete(notification);
+    });
+
+    nativeNotifications.add(notification);
+    notification.show();
+    return true;
+  } catch (err) {
+    console.error('Error showing system notification:', err.message);
+    return false;
+  }
+}
+
+function mediaEvent(status) {
+  if (status === 'START') return 'start';
+  return status === 'success' ? 'success' : 'failure';
+}
+
+// Failure logs
+async function captureFailureLog({ source, resolved, run }) {
+  const id = logId(resolved.provider.name, resolved.info.key, run.id);
+  if (logCache.has(id)) return id;
+  if (!resolved.provider.fetchFailureLog || run.kind === 'check_suite') return null;
+
+  const failure = await resolved.provider.fetchFailureLog(resolved.info, run, { token: getSourceToken(source, resolved.provider) });
+  if (!failure) return null;
+
+  logCache.save({
+    id,
+    provider: resolved.provider.name,
+    repo: resolved.info.name,
+    workflow: run.workflow,
+    branch: run.branch,
+    sha: run.sha,
+    runId: run.id,
+    runUrl: run.htmlUrl,
+    job: failure.job,
+    step: failure.step,
+    jobUrl: failure.htmlUrl,
+    excerpt: extractFailureExcerpt(failure.log, { lines: LOG_EXCERPT_LINES })
+  });
+
+  if (logViewerWindow) {
+    logViewerWindow.webContents.send('logs:updated');
+  }
+  return id;
+}
+
+// Opens the log viewer, optionally selecting (and fetching) one run's log
+async function openLogViewer(context) {
+  if (!logViewerWindow) {
+    logViewerWindow = new BrowserWindow({
+      width: 900,
+      height: 600,
+      webPreferences: {
+        contextIsolation: true,
+        nodeIntegration: false,
+        preload: path.join(__dirname, 'src', 'preload', 'logViewer.js')
+      },
+      title: 'FailWhale - Failure Logs'
+    });
+
+    logViewerWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'logViewer.html'));
+
+    logViewerWindow.on('closed', () => {
+      logViewerWindow = null;
+    });
+  } else {
+    logViewerWindow.focus();
+  }
+
+  if (!context) return;
+
+  const win = logViewerWindow;
+  const id = await captureFailureLog(context);
+  if (id && !win.isDestroyed()) {
+    if (win.webContents.isLoading()) {
+      win.webContents.once('did-finish-load', () => win.webContents.send('logs:select', id));
+    } else {
+      win.webContents.send('logs:select', id);
+    }
+  }
+}
+
+// Build health dashboard window
+function openDashboard() {
+  if (dashboardWindow) {
+    dashboardWindow.focus();
+    return;
+  }
+
+  dashboardWindow = new BrowserWindow({
+    width: 900,
+    height: 650,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'dashboard.js')
+    },
+    title: 'FailWhale - Dashboard'
+  });
+
+  dashboardWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'dashboard.html'));
+
+  dashboardWindow.on('closed', () => {
+    dashboardWindow = null;
+  });
+}
+
+// Notification rules window
+function openRulesWindow() {
+  if (rulesWindow) {
+    rulesWindow.focus();
+    return;
+  }
+
+  rulesWindow = new BrowserWindow({
+    width: 760,
+    height: 600,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'rules.js')
+    },
+    title: 'FailWhale - Notification Rules'
+  });
+
+  rulesWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'rules.html'));
+
+  rulesWindow.on('closed', () => {
+    rulesWindow = null;
+  });
+}
+
+// Outbound channels window
+function openChannelsWindow() {
+  if (channelsWindow) {
+    channelsWindow.focus();
+    return;
+  }
+
+  channelsWindow = new BrowserWindow({
+    width: 760,
+    height: 650,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'channels.js')
+    },
+    title: 'FailWhale - Channels'
+  });
+
+  channelsWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'channels.html'));
+
+  channelsWindow.on('closed', () => {
+    channelsWindow = null;
+  });
+}
+
+// Bulk import window
+function openImportWindow() {
+  if (importWindow) {
+    importWindow.focus();
+    return;
+  }
+
+  importWindow = new BrowserWindow({
+    width: 720,
+    height: 700,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'import.js')
+    },
+    title: 'FailWhale - Import Repositories'
+  });
+
+  importWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'import.html'));
+
+  importWindow.on('closed', () => {
+    importWindow = null;
+    importListing = null;
+  });
+}
+
+function openSettingsWindow() {
+  if (settingsWindow) {
+    settingsWindow.focus();
+    return;
+  }
+
+  settingsWindow = new BrowserWindow({
+    width: 560,
+    height: 640,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'settings.js')
+    },
+    title: 'FailWhale - Settings'
+  });
+
+  settingsWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'settings.html'));
+
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
+  });
+}
+
+// "Run workflow" dialog for workflow_dispatch workflows
+function openDispatchWindow() {
+  if (dispatchWindow) {
+    dispatchWindow.focus();
+    return;
+  }
+
+  dispatchWindow = new BrowserWindow({
+    width: 640,
+    height: 520,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'dispatch.js')
+    },
+    title: 'FailWhale - Run Workflow'
+  });
+
+  dispatchWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'dispatch.html'));
+
+  dispatchWindow.on('closed', () => {
+    dispatchWindow = null;
+    dispatchWorkflows.clear();
+  });
+}
+
+// Sources window management
+function openSourcesWindow() {
+  if (sourcesWindow) {
+    sourcesWindow.focus();
+    return;
+  }
+
+  sourcesWindow = new BrowserWindow({
+    width: 720,
+    height: 700,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'sources.js')
+    },
+    title: 'FailWhale - Manage Sources'
+  });
+
+  sourcesWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'sources.html'));
+
+  sourcesWindow.on('closed', () => {
+    sourcesWindow = null;
+  });
+}
+
+function refreshSourcesWindow() {
+  if (sourcesWindow) {
+    sourcesWindow.webContents.send('sources-updated');
+  }
+}
+
+// GitHub sign in (OAuth device flow)
+function openSignInWindow() {
+  if (signInWindow) {
+    signInWindow.focus();
+    return;
+  }
+
+  signInWindow = new BrowserWindow({
+    width: 420,
+    height: 340,
+    resizable: false,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(__dirname, 'src', 'preload', 'signIn.js')
+    },
+    title: 'FailWhale - Sign in with GitHub'
+  });
+
+  signInWindow.loadFile(path.join(__dirname, 'src', 'renderer', 'signIn.html'));
+  signInWindow.webContents.once('did-finish-load', () => signInWithGitHub(signInWindow));
+
+  signInWindow.on('closed', () => {
+    signInWindow = null;
+  });
+}
+
+async function signInWithGitHub(win) {
+  const sendStatus = (update) => {
+    if (!win.isDestroyed()) {
+      win.webContents.send('sign-in-status', update);
+    }
+  };
+
+  const clientId = process.env.GITHUB_OAUTH_CLIENT_ID;
+  if (!clientId) {
+    sendStatus({ state: 'error', message: 'Set GITHUB_OAUTH_CLIENT_ID in .env to enable GitHub sign in.' });
+    return;
+  }
+
+  try {
+    const code = await requestDeviceCode({ clientId });
+    sendStatus({ state: 'code', userCode: code.userCode, verificationUri: code.verificationUri });
+
+    const token = await pollForToken({
+      clientId,
+      deviceCode: code.deviceCode,
+      interval: code.interval,
+      expiresIn: code.expiresIn,
+      isCancelled: () => win.isDestroyed()
+    });
+
+    const user = await fetchJson('https://api.github.com/user', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      label: 'GitHub user'
+    });
+    const label = user?.login ? `Signed in as @${user.login}` : 'Signed in to GitHub';
+
+    credentialStore.set(GITHUB_OAUTH_CREDENTIAL, { token, label });
+    updateTrayMenu();
+    refreshSourcesWindow();
+    sendStatus({ state: 'done', message: label });
+  } catch (err) {
+    console.error('GitHub sign in failed:', err.message);
+    sendStatus({ state: 'error', message: err.message });
+  }
+}
+
+function signOutOfGitHub() {
+  credentialStore.remove(GITHUB_OAUTH_CREDENTIAL);
+  updateTrayMenu();
+  refreshSourcesWindow();
+}
+
+const SIMULATED_DETAILS = {
+  repo: 'tnylea/failwhale',
+  workflow: 'Simulation',
+  branch: 'main',
+  commitMessage: 'Simulated run',
+  actor: 'failwhale',
+  duration: '1m 23s'
+};
+
+async function simulateSuccess() {
+  showNotification('success', giphyTag('success'), { details: SIMULATED_DETAILS });
+}
+
+async function simulateFailure() {
+  showNotification('failure', giphyTag('failure'), { details: SIMULATED_DETAILS });
 }
 
 // IPC handlers
-ipcMain.handle('get-sources', () => sources);
+// Most recently updated run of a source, for the status shown next to it
+function lastRun(sourceKey) {
+  const runs = trackedRuns(sourceKey);
+  if (runs.length === 0) return null;
+  const latest = runs.reduce((a, b) => (new Date(b.updatedAt || 0) > new Date(a.updatedAt || 0) ? b : a));
+  return {
+    workflow: latest.workflow || '',
+    branch: latest.branch || '',
+    status: latest.status,
+    conclusion: latest.conclusion,
+    updatedAt: latest.updatedAt || null
+  };
+}
 
-ipcMain.handle('add-source', (event, url) => {
-  const repoInfo = extractRepoInfo(url);
-  if (!repoInfo) {
-    throw new Error('Invalid GitHub URL');
+// Sources window; only answered for the Sources window
+function fromSourcesWindow(event) {
+  return sourcesWindow && event.sender === sourcesWindow.webContents;
+}
+
+// Edit fields from the Sources window: a plain object or nothing
+function sourceFields(fields) {
+  if (fields === undefined || fields === null) return {};
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Invalid source details');
   }
-  
-  // Check if source already exists
-  const exists = sources.some(source => source.url === url);
-  if (exists) {
-    throw new Error('Source already exists');
+  return fields;
+}
+
+ipcMain.handle('get-sources', (event) => {
+  if (!fromSourcesWindow(event)) return [];
+  return sources.map(source => {
+    const resolved = resolveSource(source);
+    return {
+      ...source,
+      name: resolved ? resolved.info.name : source.url,
+      providerLabel: resolved ? resolved.provider.label : 'Unknown provider',
+      authError: !!resolved && authFailures.has(resolved.info.key),
+      supportsChecks: !!resolved && !!resolved.provider.fetchStatusTargets,
+      lastRun: resolved ? lastRun(resolved.info.key) : null
+    };
+  });
+});
+
+ipcMain.handle('get-providers', (event) => (fromSourcesWindow(event) ? providers.map(({ name, label }) => ({ name, label })) : []));
+
+// Checks a URL against the provider's API and returns the stored form of the
+// source with what the API said about it
+async function lookupSource(url, providerName, credential, ignoreIndex = -1) {
+  let { source, provider, info } = normalizeSource(url, providerName);
+  let repository = null;
+
+  if (provider.describeSource) {
+    const token = getSourceToken({ credential }, provider);
+    try {
+      repository = await provider.describeSource(info, { token });
+    } catch (err) {
+      console.error(`Lookup of ${info.key} failed:`, err.message);
+      throw new Error(describeLookupError(err, { provider, name: info.name }));
+    }
+    // The API redirects renamed repos and fixes the case of the name
+    const canonical = repository.url && provider.parseUrl(repository.url);
+    if (canonical) {
+      info = canonical;
+      source = { ...source, url: provider.sourceUrl(info) };
+    }
+    repository = { name: repository.name, defaultBranch: repository.defaultBranch, workflows: repository.workflows };
   }
-  
-  sources.push({ url, added: new Date().toISOString() });
+
+  const duplicate = findDuplicate(sources, info.key, ignoreIndex);
+  if (duplicate !== -1) {
+    throw new Error(`${info.name} is already a source`);
+  }
+  return { ...source, ...(repository ? { repository } : {}) };
+}
+
+function validSourceIndex(index) {
+  if (!(Number.isInteger(index) && index >= 0 && index < sources.length)) {
+    throw new Error('Unknown source');
+  }
+}
+
+// Drops the tracked state of a source that was removed or now points elsewhere
+function forgetSource(source) {
+  const resolved = resolveSource(source);
+  if (!resolved) return;
+  workflowStates.delete(resolved.info.key);
+  statusStates.delete(resolved.info.key);
+  if (runHistory.setTracked(resolved.info.key, null)) {
+    saveRunHistorySoon();
+  }
+  pollScheduler.forget(resolved.info.key);
+  updateTrayStatus();
+}
+
+ipcMain.handle('add-source', async (event, url, provider, details) => {
+  if (!fromSourcesWindow(event)) return null;
+  if (provider !== undefined && typeof provider !== 'string') {
+    throw new Error('Unknown provider');
+  }
+  const fields = sourceFields(details);
+  const label = cleanText(fields.label, 'Label');
+  const group = cleanText(fields.group, 'Group');
+  const credential = cleanText(fields.credential, 'Token');
+  if (credential && !credentialStore.has(credential)) {
+    throw new Error('Unknown credential');
+  }
+
+  const source = await lookupSource(url, provider || undefined, credential);
+  if (label) source.label = label;
+  if (group) source.group = group;
+  if (credential) source.credential = credential;
+  source.added = new Date().toISOString();
+
+  sources.push(source);
+  saveSources();
+  return source;
+});
+
+// Edits the label, group or URL of a source. A new URL is looked up again.
+ipcMain.handle('update-source', async (event, index, details) => {
+  if (!fromSourcesWindow(event)) return null;
+  validSourceIndex(index);
+  const fields = sourceFields(details);
+  const source = sources[index];
+  const label = cleanText(fields.label, 'Label');
+  const group = cleanText(fields.group, 'Group');
+
+  let updated = { ...source };
+  if (typeof fields.url === 'string' && fields.url.trim() !== source.url) {
+    // Self-hosted URLs don't always say which provider they belong to
+    const provider = detectProvider(fields.url.trim()) ? undefined : source.provider;
+    const looked = await lookupSource(fields.url, provider, source.credential, index);
+    updated = { ...updated, ...looked };
+    if (!looked.repository) delete updated.repository;
+  }
+  for (const [key, value] of [['label', label], ['group', group]]) {
+    if (value) updated[key] = value;
+    else delete updated[key];
+  }
+
+  // Another edit may have moved the list while the lookup ran
+  const current = sources.indexOf(source);
+  if (current === -1) {
+    throw new Error('The source was removed');
+  }
+  if (updated.url !== source.url) {
+    forgetSource(source);
+  }
+  sources[current] = updated;
   saveSources();
+  return updated;
+});
+
+ipcMain.handle('move-source', (event, index, offset) => {
+  if (!fromSourcesWindow(event)) return false;
+  validSourceIndex(index);
+  if (offset !== -1 && offset !== 1) {
+    throw new Error('Sources move one place at a time');
+  }
+  if (moveSource(sources, index, offset)) {
+    saveSources();
+  }
   return true;
 });
 
 ipcMain.handle('remove-source', (event, index) => {
-  if (index >= 0 && index < sources.length) {
-    const removed = sources.splice(index, 1)[0];
+  if (!fromSourcesWindow(event)) return false;
+  validSourceIndex(index);
+  const removed = sources.splice(index, 1)[0];
+  saveSources();
+  forgetSource(removed);
+  return true;
+});
+
+// Which branch and pull request checks a source follows: "off", "branch"
+// (default branch only), or the default branch plus "mine" or "all" PRs
+ipcMain.handle('set-source-checks', (event, index, choice) => {
+  if (!fromSourcesWindow(event)) return false;
+  validSourceIndex(index);
+  const source = sources[index];
+  const resolved = resolveSource(source);
+  if (!resolved || !resolved.provider.fetchStatusTargets) {
+    throw new Error(`${resolved ? resolved.provider.label : 'This provider'} doesn't report checks`);
+  }
+
+  if (choice === 'off') {
+    delete source.checks;
+  } else if (choice === 'branch') {
+    source.checks = {};
+  } else if (PULL_REQUEST_FILTERS.includes(choice)) {
+    source.checks = { pullRequests: choice };
+  } else {
+    throw new Error('Unknown checks option');
+  }
+  statusStates.delete(resolved.info.key);
+  saveSources();
+  return true;
+});
+
+ipcMain.handle('set-source-muted', (event, index, muted) => {
+  if (!fromSourcesWindow(event)) return false;
+  validSourceIndex(index);
+
+  if (typeof muted !== 'boolean') {
+    throw new Error('Muted must be true or false');
+  }
+  if (muted) {
+    sources[index].muted = true;
+  } else {
+    delete sources[index].muted;
+  }
+  saveSources();
+  return true;
+});
+
+// Per-source sound: "default", "off" or "choose" to pick a file
+ipcMain.handle('set-source-sound', async (event, index, choice) => {
+  if (!fromSourcesWindow(event)) return false;
+  validSourceIndex(index);
+
+  const source = sources[index];
+  if (choice === 'default') {
+    delete source.sound;
+  } else if (choice === 'off') {
+    source.sound = false;
+  } else if (choice === 'choose') {
+    const result = await dialog.showOpenDialog(sourcesWindow, {
+      title: 'Choose a notification sound',
+      properties: ['openFile'],
+      filters: [{ name: 'Sounds', extensions: SOUND_EXTENSIONS.map(ext => ext.slice(1)) }]
+    });
+    if (result.canceled || !isSoundFile(result.filePaths[0])) return false;
+    source.sound = result.filePaths[0];
+  } else {
+    throw new Error('Unknown sound option');
+  }
+
+  saveSources();
+  return true;
+});
+
+// The "Sign in with GitHub" token is managed from the tray menu only, so the
+// Sources window neither lists nor changes it
+ipcMain.handle('get-credentials', (event) => (
+  fromSourcesWindow(event)
+    ? credentialStore.list().filter(credential => credential.id !== GITHUB_OAUTH_CREDENTIAL)
+    : []
+));
+
+// Saving an existing name rotates its token
+ipcMain.handle('save-credential', (event, id, label, token) => {
+  if (!fromSourcesWindow(event)) return false;
+  if (id === GITHUB_OAUTH_CREDENTIAL) {
+    throw new Error(`"${GITHUB_OAUTH_CREDENTIAL}" is reserved for Sign in with GitHub`);
+  }
+  credentialStore.set(id, { label: cleanText(label, 'Label'), token });
+
+  // Retry sources using it on the next tick instead of waiting for their backoff
+  for (const source of sources) {
+    const resolved = resolveSource(source);
+    if (resolved && source.credential === id) {
+      authFailures.delete(resolved.info.key);
+      pollScheduler.forget(resolved.info.key);
+    }
+  }
+  return true;
+});
+
+ipcMain.handle('remove-credential', (event, id) => {
+  if (!fromSourcesWindow(event)) return false;
+  if (typeof id !== 'string' || id === GITHUB_OAUTH_CREDENTIAL || !credentialStore.has(id)) {
+    throw new Error('Unknown credential');
+  }
+  credentialStore.remove(id);
+
+  // Sources fall back to the default token
+  let changed = false;
+  for (const source of sources) {
+    if (source.credential === id) {
+      delete source.credential;
+      changed = true;
+    }
+  }
+  if (changed) saveSources();
+  return true;
+});
+
+ipcMain.handle('set-source-credential', (event, index, id) => {
+  if (!fromSourcesWindow(event)) return false;
+  validSourceIndex(index);
+  if (id && (typeof id !== 'string' || id === GITHUB_OAUTH_CREDENTIAL || !credentialStore.has(id))) {
+    throw new Error('Unknown credential');
+  }
+
+  const source = sources[index];
+  if (id) {
+    source.credential = id;
+  } else {
+    delete source.credential;
+  }
+  saveSources();
+
+  const resolved = resolveSource(source);
+  if (resolved) {
+    authFailures.delete(resolved.info.key);
+    pollScheduler.forget(resolved.info.key);
+  }
+  return true;
+});
+
+// Popup buttons; only accepted from notification windows
+ipcMain.on('notification:action', (event, action) => {
+  const popup = notificationWindows.get(event.sender.id);
+  if (popup && typeof action === 'string') {
+    handleNotificationAction(popup, action);
+  }
+});
+
+// Log viewer; only answered for the log viewer window
+function fromLogViewer(event) {
+  return logViewerWindow && event.sender === logViewerWindow.webContents;
+}
+
+ipcMain.handle('logs:list', (event) => (fromLogViewer(event) ? logCache.list() : []));
+
+ipcMain.handle('logs:get', (event, id) => (fromLogViewer(event) ? logCache.get(id) : null));
+
+ipcMain.handle('logs:open-in-browser', (event, id) => {
+  if (!fromLogViewer(event)) return;
+  const entry = logCache.get(id);
+  const url = entry && (entry.jobUrl || entry.runUrl);
+  if (url && /^https?:\/\//.test(url)) {
+    shell.openExternal(url);
+  }
+});
+
+function fromDashboard(event) {
+  return dashboardWindow && event.sender === dashboardWindow.webContents;
+}
+
+ipcMain.handle('dashboard:get', (event) => {
+  if (!fromDashboard(event)) return { sources: [], rows: [] };
+
+  const watched = sources
+    .map(source => resolveSource(source))
+    .filter(Boolean)
+    .map(({ provider, info }) => ({ key: info.key, name: info.name, provider: provider.label }));
+  const keys = new Set(watched.map(source => source.key));
+
+  return {
+    sources: watched,
+    rows: summarizeHealth(runHistory.all()).filter(row => keys.has(row.sourceKey))
+  };
+});
+
+ipcMain.handle('dashboard:open-run', (event, url) => {
+  if (!fromDashboard(event)) return;
+  // Only open links that came from a recorded run
+  if (typeof url === 'string' && /^https?:\/\//.test(url) && runHistory.all().some(transition => transition.htmlUrl === url)) {
+    shell.openExternal(url);
+  }
+});
+
+function fromRulesWindow(event) {
+  return rulesWindow && event.sender === rulesWindow.webContents;
+}
+
+ipcMain.handle('rules:get', (event) => (fromRulesWindow(event) ? notificationRules.rules() : []));
+
+ipcMain.handle('rules:save', (event, rules) => {
+  if (!fromRulesWindow(event)) return false;
+  saveRules(rules);
+  return true;
+});
+
+function fromChannelsWindow(event) {
+  return channelsWindow && event.sender === channelsWindow.webContents;
+}
+
+ipcMain.handle('channels:get', (event) => (fromChannelsWindow(event) ? channelDispatcher.channels() : []));
+
+ipcMain.handle('channels:save', (event, channels) => {
+  if (!fromChannelsWindow(event)) return false;
+  saveChannels(channels);
+  return true;
+});
+
+// Sends a sample failure to one saved channel
+ipcMain.handle('channels:test', async (event, id) => {
+  if (!fromChannelsWindow(event)) return false;
+  const channel = channelDispatcher.channels().find(candidate => candidate.id === id);
+  if (!channel) {
+    throw new Error('Save the channel before testing it');
+  }
+
+  const run = { id: 0, workflow: SIMULATED_DETAILS.workflow, branch: SIMULATED_DETAILS.branch, status: 'completed', conclusion: 'failure' };
+  const { ok } = await channelDispatcher.deliver(channel, { type: 'completed', run }, SIMULATED_DETAILS);
+  if (!ok) {
+    throw new Error(`Could not deliver to ${channel.id}, see the log for details`);
+  }
+  return true;
+});
+
+function fromDispatchWindow(event) {
+  return dispatchWindow && event.sender === dispatchWindow.webContents;
+}
+
+// Workflows listed in the dialog, so a run is checked against the inputs
+// the user was shown
+const dispatchWorkflows = new Map();
+
+function dispatchTarget(index) {
+  const source = Number.isInteger(index) ? sources[index] : null;
+  const resolved = source && resolveSource(source);
+  if (!resolved || !resolved.provider.dispatchWorkflow) {
+    throw new Error('This source does not support running workflows');
+  }
+  return { source, resolved, token: getSourceToken(source, resolved.provider) };
+}
+
+ipcMain.handle('dispatch:sources', (event) => {
+  if (!fromDispatchWindow(event)) return [];
+  return sources
+    .map((source, index) => ({ index, resolved: resolveSource(source) }))
+    .filter(({ resolved }) => resolved && resolved.provider.dispatchWorkflow)
+    .map(({ index, resolved }) => ({ index, name: resolved.info.name }));
+});
+
+ipcMain.handle('dispatch:workflows', async (event, index) => {
+  if (!fromDispatchWindow(event)) return [];
+  const { resolved, token } = dispatchTarget(index);
+  const workflows = await resolved.provider.listDispatchWorkflows(resolved.info, { token });
+  dispatchWorkflows.set(resolved.info.key, workflows);
+  return workflows;
+});
+
+ipcMain.handle('dispatch:branches', async (event, index) => {
+  if (!fromDispatchWindow(event)) return [];
+  const { resolved, token } = dispatchTarget(index);
+  return resolved.provider.listBranches(resolved.info, { token });
+});
+
+ipcMain.handle('dispatch:run', async (event, index, workflowId, ref, values) => {
+  if (!fromDispatchWindow(event)) return null;
+  const { resolved, token } = dispatchTarget(index);
+  const workflow = (dispatchWorkflows.get(resolved.info.key) || []).find(candidate => candidate.id === workflowId);
+  if (!workflow) {
+    throw new Error('Unknown workflow, reopen the dialog and try again');
+  }
+  if (typeof ref !== 'string' || !ref) {
+    throw new Error('Pick a branch to run on');
+  }
+
+  if (values !== undefined && (!values || typeof values !== 'object' || Array.isArray(values))) {
+    throw new Error('Invalid workflow inputs');
+  }
+
+  const inputs = normalizeInputs(workflow.inputs, values || {});
+  try {
+    await resolved.provider.dispatchWorkflow(resolved.info, workflow, { ref, inputs }, { token });
+  } catch (err) {
+    console.error(`Dispatch of ${workflow.name} failed:`, err.message);
+    throw new Error(describeActionError(err, { provider: resolved.provider, repo: resolved.info.name, action: 'run workflows' }));
+  }
+  return `${workflow.name} started on ${ref}`;
+});
+
+function fromImportWindow(event) {
+  return importWindow && event.sender === importWindow.webContents;
+}
+
+const github = providers.find(provider => provider.name === 'github');
+
+// Repos of an org or user matching an import's filters. Checking for
+// workflows costs a request per repo, so it only happens when asked for.
+async function listImportRepos(spec, credential) {
+  const token = getSourceToken({ credential }, github);
+  const login = token ? await viewerLogin({ credential }, github) : null;
+
+  let repos;
+  try {
+    repos = await github.listOwnerRepos(spec.owner, { token, login });
+  } catch (err) {
+    console.error(`Listing repos of ${spec.owner} failed:`, err.message);
+    if (err.status === 404) {
+      throw new Error(`There is no GitHub organisation or user called ${spec.owner}`);
+    }
+    throw new Error(describeLookupError(err, { provider: github, name: spec.owner }));
+  }
+
+  repos = filterRepos(repos, { ...spec, requireWorkflows: false });
+  if (spec.requireWorkflows) {
+    for (let start = 0; start < repos.length; start += WORKFLOW_CHECK_BATCH) {
+      await Promise.all(repos.slice(start, start + WORKFLOW_CHECK_BATCH).map(async repo => {
+        repo.hasWorkflows = await github.hasWorkflows(github.parseUrl(repo.url), { token });
+      }));
+    }
+    repos = filterRepos(repos, spec);
+  }
+  return repos;
+}
+
+function isWatched(repo) {
+  const info = github.parseUrl(repo.url);
+  return !!info && findDuplicate(sources, info.key) !== -1;
+}
+
+function importedSource(repo, imported) {
+  const info = github.parseUrl(repo.url);
+  const source = {
+    url: github.sourceUrl(info),
+    provider: github.name,
+    repository: { name: repo.name, defaultBranch: repo.defaultBranch },
+    importedFrom: imported.owner,
+    added: new Date().toISOString()
+  };
+  if (imported.group) source.group = imported.group;
+  if (imported.credential) source.credential = imported.credential;
+  return source;
+}
+
+// Adds the repos created since an import was last synced
+async function syncImport(imported) {
+  const repos = await listImportRepos(imported, imported.credential);
+  const added = newRepos(repos, imported, isWatched);
+  added.forEach(repo => sources.push(importedSource(repo, imported)));
+
+  imported.known = [...new Set([...(imported.known || []), ...repos.map(repo => repo.name)])];
+  imported.lastSync = new Date().toISOString();
+  saveImports();
+  if (added.length > 0) {
     saveSources();
-    
-    // Clean up workflow state for removed source
-    const repoInfo = extractRepoInfo(removed.url);
-    if (repoInfo) {
-      const sourceKey = `${repoInfo.owner}/${repoInfo.repo}`;
-      workflowStates.delete(sourceKey);
+    refreshSourcesWindow();
+    console.log(`Imported ${added.length} new repos from ${imported.owner}`);
+  }
+  return added.length;
+}
+
+async function syncImports() {
+  for (const imported of imports.filter(candidate => isSyncDue(candidate))) {
+    try {
+      await syncImport(imported);
+    } catch (err) {
+      // Try again on the next interval rather than on every tick
+      console.error(`Sync of ${imported.owner} failed:`, err.message);
+      imported.lastSync = new Date().toISOString();
+      saveImports();
     }
   }
+}
+
+// Last listing shown in the import window; only repos from it can be imported
+let importListing = null;
+
+ipcMain.handle('import:credentials', (event) => (fromImportWindow(event) ? credentialStore.list() : []));
+
+ipcMain.handle('import:list', async (event, spec, credential) => {
+  if (!fromImportWindow(event)) return [];
+  const options = validateImport(spec);
+  if (credential && (typeof credential !== 'string' || !credentialStore.has(credential))) {
+    throw new Error('Unknown credential');
+  }
+
+  const repos = await listImportRepos(options, credential || undefined);
+  importListing = { options, credential: credential || undefined, repos };
+  return repos.map(repo => ({
+    name: repo.name,
+    description: repo.description,
+    archived: repo.archived,
+    topics: repo.topics,
+    watched: isWatched(repo)
+  }));
+});
+
+ipcMain.handle('import:add', (event, names, fields = {}) => {
+  if (!fromImportWindow(event)) return 0;
+  if (!importListing) {
+    throw new Error('List the repositories first');
+  }
+  if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+    throw new Error('Pick the repositories to import');
+  }
+  if (fields === null || typeof fields !== 'object') {
+    throw new Error('Invalid import');
+  }
+
+  const { options, credential, repos } = importListing;
+  const imported = { ...options, group: cleanText(fields.group, 'Group'), credential, sync: fields.sync === true };
+  const chosen = new Set(names);
+  const added = repos.filter(repo => chosen.has(repo.name) && !isWatched(repo));
+  added.forEach(repo => sources.push(importedSource(repo, imported)));
+  saveSources();
+  refreshSourcesWindow();
+
+  // Keeping an owner in sync replaces its earlier import
+  if (imported.sync) {
+    imports = imports.filter(candidate => candidate.owner.toLowerCase() !== options.owner.toLowerCase());
+    imports.push({ ...imported, known: repos.map(repo => repo.name), lastSync: new Date().toISOString() });
+    saveImports();
+  }
+  return added.length;
+});
+
+ipcMain.handle('import:syncs', (event) => {
+  if (!fromImportWindow(event)) return [];
+  return imports.map(({ owner, topic, includeArchived, requireWorkflows, group, lastSync }) => ({
+    owner, topic, includeArchived, requireWorkflows, group, lastSync
+  }));
+});
+
+ipcMain.handle('import:sync-now', async (event, owner) => {
+  if (!fromImportWindow(event)) return 0;
+  const imported = imports.find(candidate => candidate.owner === owner);
+  if (!imported) {
+    throw new Error('Unknown import');
+  }
+  return syncImport(imported);
+});
+
+ipcMain.handle('import:stop-sync', (event, owner) => {
+  if (!fromImportWindow(event)) return false;
+  if (typeof owner !== 'string') {
+    throw new Error('Unknown import');
+  }
+  imports = imports.filter(candidate => candidate.owner !== owner);
+  saveImports();
+  return true;
+});
+
+function fromSettingsWindow(event) {
+  return settingsWindow && event.sender === settingsWindow.webContents;
+}
+
+// The schema the window builds its form from, and the current values
+ipcMain.handle('settings:get', (event) => {
+  if (!fromSettingsWindow(event)) return null;
+  const values = Object.fromEntries(Object.keys(SCHEMA).map(section => [section, settings.get()[section]]));
+  return { schema: SCHEMA, values };
+});
+
+// Applies right away: settings.onChange passes it on to the poller, requests and Giphy
+ipcMain.handle('settings:save', (event, values) => {
+  if (!fromSettingsWindow(event)) return false;
+  if (values && typeof values === 'object' && 'sources' in values) {
+    throw new Error('Sources are edited in the Sources window');
+  }
+  settings.update(values);
   return true;
 });
 
+function fromSignInWindow(event) {
+  return signInWindow && event.sender === signInWindow.webContents;
+}
+
+ipcMain.handle('open-github-verification', (event, url) => {
+  if (!fromSignInWindow(event)) return false;
+  // Only ever open GitHub's own device verification page
+  if (typeof url !== 'string' || !url.startsWith('https://github.com/')) {
+    throw new Error('Unexpected verification URL');
+  }
+  return shell.openExternal(url);
+});
+
+// Changes still waiting for the save delay
+app.on('before-quit', () => {
+  if (historySaveTimer) saveRunHistory();
+});
+
 // Prevent app from quitting when all windows are closed
 app.on('window-all-closed', (e) => {
   e.preventDefault(); // do nothing, keep app alive
@@ -0,0 +1,93 @@
+// Build health summaries for the dashboard
+//
+// Works from the transitions stored by the run history. Every completed
+// transition counts as an attempt, so a failed run that passes on re-run
+// counts once as a failure and once as a success.
+const { formatDuration } = require('./runDetails');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TREND_WINDOWS = [7, 30];
+
+// Cancelled and skipped runs say nothing about the health of a workflow
+const COUNTED_CONCLUSIONS = ['success', 'failure', 'timed_out'];
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function completedAt(transition) {
+  return new Date(transition.updatedAt || transition.at).getTime();
+}
+
+function duration(transition) {
+  if (!transition.startedAt || !transition.updatedAt) return null;
+  const ms = new Date(transition.updatedAt) - new Date(transition.startedAt);
+  return Number.isFinite(ms) && ms >= 0 ? ms : null;
+}
+
+// Success rate and median duration of the attempts completed in the window
+function windowStats(attempts, days, now) {
+  const since = now - days * DAY;
+  const recent = attempts.filter(attempt => completedAt(attempt) >= since);
+  const counted = recent.filter(attempt => COUNTED_CONCLUSIONS.includes(attempt.conclusion));
+  const successes = counted.filter(attempt => attempt.conclusion === 'success').length;
+  const medianDuration = median(recent.map(duration).filter(ms => ms !== null));
+
+  return {
+    runs: counted.length,
+    successRate: counted.length > 0 ? successes / counted.length : null,
+    medianDuration,
+    medianDurationLabel: medianDuration === null ? '' : formatDuration(medianDuration)
+  };
+}
+
+// Commits that both passed and failed the same workflow
+function flakyShas(attempts) {
+  const outcomes = new Map(); // sha -> Set of conclusions
+  for (const attempt of attempts) {
+    if (!attempt.sha || !COUNTED_CONCLUSIONS.includes(attempt.conclusion)) continue;
+    if (!outcomes.has(attempt.sha)) outcomes.set(attempt.sha, new Set());
+    outcomes.get(attempt.sha).add(attempt.conclusion === 'success' ? 'success' : 'failure');
+  }
+  return [...outcomes].filter(([, seen]) => seen.size > 1).map(([sha]) => sha);
+}
+
+// One row per source and workflow, with its latest state and trends
+function summarizeHealth(transitions, { now = Date.now(), flakyDays = 30 } = {}) {
+  const groups = new Map();
+  for (const transition of transitions) {
+    const key = `${transition.sourceKey}\n${transition.workflow}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transition);
+  }
+
+  return [...groups.values()].map(group => {
+    const latest = group[group.length - 1];
+    const attempts = group.filter(transition => transition.status === 'completed');
+    const flakySince = now - flakyDays * DAY;
+    const shas = flakyShas(attempts.filter(attempt => completedAt(attempt) >= flakySince));
+
+    return {
+      sourceKey: latest.sourceKey,
+      repo: latest.repo,
+      provider: latest.provider,
+      workflow: latest.workflow,
+      status: latest.status,
+      conclusion: latest.conclusion,
+      branch: latest.branch,
+      htmlUrl: latest.htmlUrl,
+      lastRunAt: latest.at,
+      trends: Object.fromEntries(TREND_WINDOWS.map(days => [days, windowStats(attempts, days, now)])),
+      flaky: shas.length > 0,
+      flakyShas: shas.map(sha => sha.slice(0, 7))
+    };
+  });
+}
+
+module.exports = {
+  median,
+  summarizeHealth
+};
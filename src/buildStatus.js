@@ -0,0 +1,66 @@
+// Aggregate build status shown by the tray icon
+//
+// A workflow is failing when the latest completed run on a branch failed.
+// Failing wins over running, so a red build stays visible while it is
+// being re-run.
+
+const FAILED_CONCLUSIONS = ['failure', 'timed_out'];
+
+function runTime(run) {
+  return new Date(run.updatedAt || run.at || 0).getTime();
+}
+
+// `sources` is a list of { name, runs } where runs are the tracked runs of
+// that source. Returns { state, failing: [{ repo, workflows }], running }.
+function aggregateStatus(sources) {
+  const failing = [];
+  let running = 0;
+  let completed = 0;
+
+  for (const source of sources) {
+    const latest = new Map(); // workflow + branch -> latest completed run
+    for (const run of source.runs) {
+      if (run.status !== 'completed') {
+        running++;
+        continue;
+      }
+      completed++;
+      const key = `${run.workflow || ''}\n${run.branch || ''}`;
+      const current = latest.get(key);
+      if (!current || runTime(run) >= runTime(current)) {
+        latest.set(key, run);
+      }
+    }
+
+    const workflows = [...latest.values()]
+      .filter(run => FAILED_CONCLUSIONS.includes(run.conclusion))
+      .map(run => run.workflow || 'Unknown workflow');
+    if (workflows.length > 0) {
+      failing.push({ repo: source.name, workflows: [...new Set(workflows)] });
+    }
+  }
+
+  let state = 'unknown';
+  if (failing.length > 0) state = 'failing';
+  else if (running > 0) state = 'running';
+  else if (completed > 0) state = 'passing';
+
+  return { state, failing, running };
+}
+
+function describeStatus({ state, failing, running }) {
+  if (state === 'failing') {
+    const repos = failing.map(({ repo, workflows }) => `${repo} (${workflows.join(', ')})`);
+    return `Failing: ${repos.join('; ')}`;
+  }
+  if (state === 'running') {
+    return `${running} ${running === 1 ? 'run' : 'runs'} in progress`;
+  }
+  if (state === 'passing') return 'All builds passing';
+  return 'No builds yet';
+}
+
+module.exports = {
+  aggregateStatus,
+  describeStatus
+};
@@ -0,0 +1,191 @@
+// Outbound notification channels
+//
+// Forwards run events to Slack, Microsoft Teams and Discord incoming webhooks
+// or any endpoint accepting a JSON POST. Each channel looks like
+//
+//   {
+//     "id": "team-slack",
+//     "type": "slack",
+//     "url": "https://hooks.slack.com/services/...",
+//     "template": "{{icon}} {{workflow}} on {{branch}} {{verb}} in {{repo}}",
+//     "rules": [{ "match": { "branch": "main" }, "action": "state-change" }]
+//   }
+//
+// and has its own notification rules, so a team channel can hear about main
+// only while the desktop still pops up for everything.
+const { postJson } = require('./providers/http');
+const { createNotificationRules, validateRules } = require('./notificationRules');
+
+const CHANNEL_TYPES = ['slack', 'teams', 'discord', 'http'];
+
+const DEFAULT_TEMPLATE = '{{icon}} {{workflow}} on {{branch}} {{verb}} in {{repo}}{{byActor}} {{url}}';
+
+const VERBS = {
+  started: 'started',
+  success: 'passed',
+  failure: 'failed'
+};
+
+const ICONS = {
+  started: '▶️',
+  success: '✅',
+  failure: '❌'
+};
+
+const THEME_COLORS = {
+  started: '007AFF',
+  success: '28A745',
+  failure: 'E32600'
+};
+
+// `details` is the describeRun() output shown in popups
+function templateVariables(event, details) {
+  const outcome = event.type === 'started'
+    ? 'started'
+    : (event.run.conclusion === 'success' ? 'success' : 'failure');
+
+  return {
+    ...details,
+    event: event.type,
+    status: event.run.status,
+    conclusion: event.run.conclusion || '',
+    outcome,
+    verb: event.type === 'completed' && event.run.conclusion && !['success', 'failure'].includes(event.run.conclusion)
+      ? event.run.conclusion.replace(/_/g, ' ')
+      : VERBS[outcome],
+    icon: ICONS[outcome],
+    url: details.htmlUrl || '',
+    byActor: details.actor ? ` by ${details.actor}` : ''
+  };
+}
+
+// Replaces {{name}} placeholders; unknown names become empty
+function renderTemplate(template, variables) {
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] ?? '').toString())
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Request body in the format each service expects
+function buildPayload(type, text, variables) {
+  switch (type) {
+    case 'slack':
+      return { text };
+    case 'discord':
+      return { content: text.slice(0, 2000) };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: text,
+        themeColor: THEME_COLORS[variables.outcome],
+        text
+      };
+    default: {
+      const { icon, byActor, ...run } = variables;
+      return { text, ...run };
+    }
+  }
+}
+
+// Throws an Error describing the first problem found
+function validateChannels(channels) {
+  if (!Array.isArray(channels)) {
+    throw new Error('Channels must be a list');
+  }
+
+  const ids = new Set();
+  channels.forEach((channel, index) => {
+    const name = `Channel ${index + 1}`;
+    if (!channel || typeof channel !== 'object') {
+      throw new Error(`${name} must be an object`);
+    }
+    if (typeof channel.id !== 'string' || !/^[a-z0-9][a-z0-9._-]{0,63}$/i.test(channel.id)) {
+      throw new Error(`${name} needs an id of letters, numbers, dots, dashes or underscores`);
+    }
+    if (ids.has(channel.id)) {
+      throw new Error(`${name} reuses the id ${channel.id}`);
+    }
+    ids.add(channel.id);
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`${name} has an unknown type: ${channel.type}`);
+    }
+    if (typeof channel.url !== 'string' || !/^https?:\/\//.test(channel.url)) {
+      throw new Error(`${name} needs an http(s) URL`);
+    }
+    if (channel.template !== undefined && typeof channel.template !== 'string') {
+      throw new Error(`${name} has an invalid template`);
+    }
+    try {
+      validateRules(channel.rules || []);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  });
+
+  return channels;
+}
+
+function createChannelDispatcher({ channels = [], send = postJson, retries = 3, backoff = 1000 } = {}) {
+  let entries = [];
+
+  // A channel keeps its rules engine, and with it the outcomes state-change
+  // rules compare against, for as long as its id stays the same
+  function setChannels(list) {
+    const previous = new Map(entries.map(({ channel, rules }) => [channel.id, rules]));
+    entries = validateChannels(list).map(channel => {
+      const rules = previous.get(channel.id);
+      if (!rules) {
+        return { channel, rules: createNotificationRules({ rules: channel.rules || [] }) };
+      }
+      rules.setRules(channel.rules || []);
+      return { channel, rules };
+    });
+  }
+
+  async function deliver(channel, event, details) {
+    const variables = templateVariables(event, details);
+    const text = renderTemplate(channel.template || DEFAULT_TEMPLATE, variables);
+    const result = await send(channel.url, buildPayload(channel.type, text, variables), {
+      label: `channel ${channel.id}`,
+      retries,
+      backoff
+    });
+    return { id: channel.id, ok: result !== null };
+  }
+
+  // Sends the event to every enabled channel whose rules let it through.
+  // `source` is { key, name } as for notification rules.
+  async function dispatch(source, event, details) {
+    const deliveries = entries
+      .filter(({ channel, rules }) => channel.enabled !== false && rules.decide(source, event) === 'notify')
+      .map(({ channel }) => deliver(channel, event, details));
+    return Promise.all(deliveries);
+  }
+
+  // Outcomes seen without an event, for state-change rules
+  function remember(sourceKey, run) {
+    entries.forEach(({ rules }) => rules.remember(sourceKey, run));
+  }
+
+  setChannels(channels);
+
+  return {
+    setChannels,
+    channels: () => entries.map(({ channel }) => channel),
+    dispatch,
+    deliver,
+    remember
+  };
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  DEFAULT_TEMPLATE,
+  templateVariables,
+  renderTemplate,
+  buildPayload,
+  validateChannels,
+  createChannelDispatcher
+};
@@ -0,0 +1,151 @@
+// Combined commit status of branches and pull requests
+//
+// Besides Actions runs a commit collects check runs from other apps (CircleCI,
+// Vercel, CodeQL, ...) and legacy commit statuses. A source can follow the
+// combined state of some branches and of open pull requests:
+//   { "url": "...", "checks": { "branches": ["main"], "pullRequests": "mine" } }
+// Without `branches` the default branch is followed; `pullRequests` is "mine"
+// (opened by the token's user) or "all".
+
+const PULL_REQUEST_FILTERS = ['mine', 'all'];
+
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure', 'stale'];
+
+function checkRunState(checkRun) {
+  if (checkRun.status !== 'completed') return 'pending';
+  return FAILED_CONCLUSIONS.includes(checkRun.conclusion) ? 'failure' : 'success';
+}
+
+function commitStatusState(status) {
+  if (status.state === 'success') return 'success';
+  if (status.state === 'pending') return 'pending';
+  return 'failure'; // failure, error
+}
+
+// Folds check runs and commit statuses into one state: any failure fails the
+// commit, then anything still running keeps it pending
+function combineStatus(checkRuns = [], statuses = []) {
+  const checks = [
+    ...checkRuns.map(checkRun => ({ name: checkRun.name, state: checkRunState(checkRun) })),
+    ...statuses.map(status => ({ name: status.context, state: commitStatusState(status) }))
+  ];
+  const failing = checks.filter(check => check.state === 'failure').map(check => check.name);
+  const pending = checks.filter(check => check.state === 'pending').map(check => check.name);
+
+  let state = 'success';
+  if (checks.length === 0) state = 'none';
+  else if (failing.length > 0) state = 'failure';
+  else if (pending.length > 0) state = 'pending';
+
+  return { state, total: checks.length, failing, pending };
+}
+
+const MERGE_BLOCKS = {
+  dirty: 'merge conflicts',
+  behind: 'behind its base branch',
+  draft: 'still a draft',
+  blocked: 'waiting for required reviews or checks'
+};
+
+// "mergeable", "blocked" or null while GitHub is still working it out
+function mergeability(pullRequest) {
+  const mergeState = pullRequest.mergeable_state;
+  if (['clean', 'unstable', 'has_hooks'].includes(mergeState)) return 'mergeable';
+  if (mergeState in MERGE_BLOCKS) return 'blocked';
+  return null;
+}
+
+function statusSummary(target) {
+  if (target.state === 'none') return 'No checks reported';
+  if (target.state === 'failure') {
+    return `${target.failing.join(', ')} failing (${target.failing.length} of ${target.total} checks)`;
+  }
+  if (target.state === 'pending') {
+    return `${target.pending.length} of ${target.total} checks still running`;
+  }
+  return `All ${target.total} checks passed`;
+}
+
+// Compares freshly fetched targets against the previous state, like
+// diffRuns(). Targets whose status couldn't be fetched (state null) keep
+// their previous entry. A new pull request's merge state is only recorded:
+// most start out blocked on reviews, which isn't news.
+function diffStatuses(previous, targets) {
+  const next = new Map();
+  const events = [];
+
+  for (const target of targets) {
+    const before = previous?.get(target.key);
+    if (target.state === null) {
+      if (before) next.set(target.key, before);
+      continue;
+    }
+
+    next.set(target.key, {
+      state: target.state,
+      merge: target.merge || before?.merge || null
+    });
+    if (!previous) continue;
+
+    const settled = target.state === 'success' || target.state === 'failure';
+    if (settled && target.state !== (before ? before.state : 'none')) {
+      events.push({ type: 'status', target });
+    }
+    if (target.mine && before?.merge && target.merge && target.merge !== before.merge) {
+      events.push({ type: 'merge', target });
+    }
+  }
+
+  return { events, next };
+}
+
+// Dresses a status event up as a completed run so rules, channels and
+// notifications can handle it like any other
+function statusRun(event, provider) {
+  const { target } = event;
+  const workflow = target.kind === 'pull' ? `PR #${target.number} ${target.title}` : 'Checks';
+
+  if (event.type === 'merge') {
+    const mergeable = target.merge === 'mergeable';
+    return {
+      id: `${target.key}:merge`,
+      provider,
+      number: target.number,
+      workflow,
+      workflowFile: '',
+      branch: target.branch,
+      status: 'completed',
+      conclusion: mergeable ? 'success' : 'failure',
+      sha: target.sha,
+      commitMessage: mergeable ? 'Ready to merge' : `Blocked: ${MERGE_BLOCKS[target.mergeState] || 'can\'t be merged yet'}`,
+      actor: target.author || '',
+      htmlUrl: target.htmlUrl,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  return {
+    id: target.key,
+    provider,
+    number: target.number || null,
+    workflow,
+    workflowFile: '',
+    branch: target.branch,
+    status: 'completed',
+    conclusion: target.state,
+    sha: target.sha,
+    commitMessage: statusSummary(target),
+    actor: target.author || '',
+    htmlUrl: target.htmlUrl,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  PULL_REQUEST_FILTERS,
+  combineStatus,
+  mergeability,
+  statusSummary,
+  diffStatuses,
+  statusRun
+};
@@ -0,0 +1,85 @@
+// Encrypted credential storage
+//
+// Tokens are encrypted with Electron's safeStorage (Keychain on macOS, DPAPI
+// on Windows, libsecret/kwallet on Linux) and only the ciphertext is written
+// to disk. Sources reference a credential by its id.
+const { readJsonFile, writeJsonFile } = require('./dataFiles');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+function createCredentialStore({ filePath, safeStorage }) {
+  let credentials = {};
+
+  function load() {
+    try {
+      credentials = readJsonFile(filePath, {});
+    } catch (err) {
+      console.error('Error loading credentials:', err);
+      credentials = {};
+    }
+  }
+
+  function save() {
+    writeJsonFile(filePath, credentials, { mode: 0o600 });
+  }
+
+  // Metadata only, never the tokens themselves
+  function list() {
+    return Object.entries(credentials).map(([id, { label, updated }]) => ({ id, label, updated }));
+  }
+
+  function has(id) {
+    return Object.prototype.hasOwnProperty.call(credentials, id);
+  }
+
+  function get(id) {
+    if (!has(id)) return null;
+    try {
+      return safeStorage.decryptString(Buffer.from(credentials[id].encrypted, 'base64'));
+    } catch (err) {
+      console.error(`Error decrypting credential ${id}:`, err.message);
+      return null;
+    }
+  }
+
+  // Creates or rotates a credential
+  function set(id, { token, label }) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error('Credential names may only contain letters, numbers, dots, dashes and underscores');
+    }
+    if (typeof token !== 'string' || !token.trim()) {
+      throw new Error('Token is required');
+    }
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new Error('Secure storage is not available on this system');
+    }
+
+    credentials[id] = {
+      label: label || credentials[id]?.label || id,
+      encrypted: safeStorage.encryptString(token.trim()).toString('base64'),
+      updated: new Date().toISOString()
+    };
+    save();
+  }
+
+  function remove(id) {
+    if (!has(id)) return false;
+    delete credentials[id];
+    save();
+    return true;
+  }
+
+  load();
+
+  return {
+    list,
+    has,
+    get,
+    set,
+    remove
+  };
+}
+
+module.exports = {
+  createCredentialStore
+};
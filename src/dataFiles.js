@@ -0,0 +1,114 @@
+// Persisted state on disk
+//
+// Files are written to a temporary file and renamed over the old one, so a
+// crash mid-write leaves either the old or the new version, never half of
+// one. The previous version is kept as <name>.bak. A file that can't be
+// parsed is set aside as <name>.corrupt-<time> for recovery and the backup
+// is used instead.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_MARKER = 'migrated.json';
+
+function backupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+// Moves a file out of the way without losing it. Returns the new path.
+function setAside(filePath, reason) {
+  const kept = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.renameSync(filePath, kept);
+  console.error(`${path.basename(filePath)} ${reason}, kept it as ${path.basename(kept)}`);
+  return kept;
+}
+
+// Writes `data` as JSON. `mode` applies to the new file (e.g. 0o600 for
+// secrets), `space` is the indentation and `backup: false` skips the .bak.
+// Throws when the file can't be written; the old version is then untouched.
+function writeJsonFile(filePath, data, { mode = 0o666, space = 2, backup = true } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    const fd = fs.openSync(tmp, 'w', mode);
+    try {
+      fs.writeFileSync(fd, JSON.stringify(data, null, space));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (backup && fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, backupPath(filePath));
+    }
+    fs.renameSync(tmp, filePath);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+function parseFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Reads a JSON file, or returns `fallback` when there is none. A corrupt file
+// is set aside and replaced by its backup when that one still parses.
+function readJsonFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return parseFile(filePath);
+  } catch (err) {
+    setAside(filePath, `could not be read (${err.message})`);
+  }
+
+  const backup = backupPath(filePath);
+  if (!fs.existsSync(backup)) return fallback;
+  try {
+    const data = parseFile(backup);
+    fs.copyFileSync(backup, filePath);
+    console.log(`Restored ${path.basename(filePath)} from its backup`);
+    return data;
+  } catch (err) {
+    console.error(`Backup of ${path.basename(filePath)} could not be read either:`, err.message);
+    return fallback;
+  }
+}
+
+// Copies the state files and folders in `names` from where older versions
+// kept them (`from`) into `to`, skipping any that already exist there. Runs
+// once: a marker file in `to` records it. The originals are left alone so an
+// older version still finds them. Returns the names that were copied.
+function migrateDataDir({ from, to, names }) {
+  const marker = path.join(to, MIGRATION_MARKER);
+  if (path.resolve(from) === path.resolve(to) || fs.existsSync(marker)) return [];
+  fs.mkdirSync(to, { recursive: true });
+
+  const copied = [];
+  let failed = false;
+  for (const name of names) {
+    const source = path.join(from, name);
+    const target = path.join(to, name);
+    if (!fs.existsSync(source) || fs.existsSync(target)) continue;
+    try {
+      fs.cpSync(source, target, { recursive: true, preserveTimestamps: true });
+      copied.push(name);
+    } catch (err) {
+      // Try again on the next start rather than lose the file
+      console.error(`Error copying ${name} to ${to}:`, err.message);
+      failed = true;
+    }
+  }
+
+  if (!failed) {
+    writeJsonFile(marker, { from, at: new Date().toISOString(), copied });
+  }
+  return copied;
+}
+
+module.exports = {
+  MIGRATION_MARKER,
+  setAside,
+  writeJsonFile,
+  readJsonFile,
+  migrateDataDir
+};
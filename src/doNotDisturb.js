@@ -0,0 +1,144 @@
+// Do not disturb: timed snooze, recurring quiet hours and a digest of what
+// was held back
+//
+// Quiet hours are a list of schedules such as
+//   { "days": [1, 2, 3, 4, 5], "start": "22:00", "end": "08:00" }
+// `days` are the days the period starts on (0 = Sunday, all days when left
+// out). A period ending before it starts runs past midnight.
+
+const SNOOZE_OPTIONS = {
+  '30m': { label: 'Snooze for 30 minutes', minutes: 30 },
+  '1h': { label: 'Snooze for 1 hour', minutes: 60 },
+  tomorrow: { label: 'Snooze until tomorrow' }
+};
+
+const TOMORROW_HOUR = 8; // "until tomorrow" ends at 08:00 the next day
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function isValidSchedule(schedule) {
+  return !!schedule &&
+    parseTime(schedule.start) !== null &&
+    parseTime(schedule.end) !== null &&
+    (schedule.days === undefined || (Array.isArray(schedule.days) && schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)));
+}
+
+// End of the quiet period `date` falls in, or null outside quiet hours
+function quietHoursEnd(schedules, date) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  for (const schedule of schedules.filter(isValidSchedule)) {
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const startsOn = day => !schedule.days || schedule.days.includes(day);
+
+    let endDate = null;
+    if (start < end) {
+      if (startsOn(today) && minute >= start && minute < end) endDate = atMinute(date, 0, end);
+    } else if (start > end) {
+      if (startsOn(today) && minute >= start) endDate = atMinute(date, 1, end);
+      else if (startsOn(yesterday) && minute < end) endDate = atMinute(date, 0, end);
+    }
+    if (endDate) return endDate;
+  }
+  return null;
+}
+
+function atMinute(date, dayOffset, minuteOfDay) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + dayOffset);
+  result.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+  return result;
+}
+
+function snoozeUntil(option, now = new Date()) {
+  if (option === 'tomorrow') {
+    return atMinute(now, 1, TOMORROW_HOUR * 60).getTime();
+  }
+  const snooze = SNOOZE_OPTIONS[option];
+  if (!snooze) throw new Error(`Unknown snooze option: ${option}`);
+  return now.getTime() + snooze.minutes * 60 * 1000;
+}
+
+// Why notifications are held back right now, or null when they aren't.
+// `state` is { snoozedUntil, quietHoursEnabled, quietHours }.
+function activeReason(state, now = new Date()) {
+  if (state.snoozedUntil && state.snoozedUntil > now.getTime()) {
+    return { type: 'snooze', until: state.snoozedUntil };
+  }
+  if (state.quietHoursEnabled) {
+    const end = quietHoursEnd(state.quietHours || [], now);
+    if (end) return { type: 'quiet-hours', until: end.getTime() };
+  }
+  return null;
+}
+
+const DIGEST_VERBS = {
+  failure: 'failed',
+  success: 'passed',
+  START: 'started'
+};
+
+const DIGEST_ICONS = {
+  failure: '❌',
+  success: '✅',
+  START: '▶️'
+};
+
+const DIGEST_ITEMS = 10; // the popup has room for a handful of lines
+
+function digestItems(notifications) {
+  const items = notifications.slice(0, DIGEST_ITEMS).map(({ status, context }) => {
+    const details = context?.details || {};
+    const text = details.summary || [details.repo, details.workflow, details.branch].filter(Boolean).join(' · ');
+    return `${DIGEST_ICONS[status] || ''} ${text}`.trim();
+  });
+  if (notifications.length > DIGEST_ITEMS) {
+    items.push(`…and ${notifications.length - DIGEST_ITEMS} more`);
+  }
+  return items;
+}
+
+// One summary notification for everything held back, or null if nothing was
+function buildDigest(notifications) {
+  if (notifications.length === 0) return null;
+
+  const counts = new Map();
+  for (const { status } of notifications) {
+    counts.set(status, (counts.get(status) || 0) + 1);
+  }
+  const status = ['failure', 'success', 'START'].find(candidate => counts.has(candidate)) || notifications[0].status;
+  const tag = notifications.find(notification => notification.status === status).tag;
+
+  const parts = [...counts].map(([candidate, count]) => `${count} ${DIGEST_VERBS[candidate] || candidate}`);
+
+  return {
+    status,
+    tag,
+    context: {
+      details: {
+        summary: `While you were away: ${parts.join(', ')}`,
+        items: digestItems(notifications)
+      }
+    }
+  };
+}
+
+module.exports = {
+  SNOOZE_OPTIONS,
+  parseTime,
+  isValidSchedule,
+  quietHoursEnd,
+  snoozeUntil,
+  activeReason,
+  buildDigest
+};
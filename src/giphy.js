@@ -0,0 +1,70 @@
+// Optional Giphy media provider
+//
+// Keeps a few random GIFs per tag fetched ahead of time, so a notification
+// doesn't wait on the API and a flaky connection doesn't leave it empty.
+const { fetchJson } = require('./providers/http');
+
+const RATINGS = ['g', 'pg', 'pg-13', 'r'];
+
+function parseGif(json) {
+  const gif = json?.data?.images?.downsized_medium;
+  // The URL ends up in the popup's <img>, so only take plain https links
+  if (!gif || typeof gif.url !== 'string' || !gif.url.startsWith('https://')) return null;
+  return {
+    url: gif.url,
+    width: parseInt(gif.width, 10) || 400,
+    height: parseInt(gif.height, 10) || 300,
+    type: 'image',
+    source: 'giphy'
+  };
+}
+
+function createGiphyProvider({ apiKey, rating = 'g', prefetch = 2, baseUrl = 'https://api.giphy.com' }) {
+  // Unknown ratings fall back to the safest one
+  const safeRating = RATINGS.includes(String(rating).toLowerCase()) ? String(rating).toLowerCase() : 'g';
+  const queues = new Map(); // tag -> prefetched GIFs
+  const pending = new Map(); // tag -> in-flight refill
+
+  async function fetchRandom(tag) {
+    const params = new URLSearchParams({ api_key: apiKey, tag, rating: safeRating });
+    const json = await fetchJson(`${baseUrl}/v1/gifs/random?${params}`, { label: `Giphy (${tag})`, retries: 1 });
+    return json ? parseGif(json) : null;
+  }
+
+  function refill(tag) {
+    if (pending.has(tag)) return pending.get(tag);
+
+    const queue = queues.get(tag) || [];
+    queues.set(tag, queue);
+
+    const work = (async () => {
+      while (queue.length < prefetch) {
+        const gif = await fetchRandom(tag);
+        if (!gif) break;
+        queue.push(gif);
+      }
+    })().finally(() => pending.delete(tag));
+    pending.set(tag, work);
+    return work;
+  }
+
+  // A prefetched GIF when one is ready, otherwise a live request
+  async function take(tag) {
+    const queue = queues.get(tag);
+    const gif = queue && queue.length > 0 ? queue.shift() : await fetchRandom(tag);
+    refill(tag).catch(() => {});
+    return gif;
+  }
+
+  return {
+    rating: safeRating,
+    prefetch: refill,
+    take
+  };
+}
+
+module.exports = {
+  RATINGS,
+  parseGif,
+  createGiphyProvider
+};
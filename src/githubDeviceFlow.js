@@ -0,0 +1,84 @@
+// GitHub OAuth device authorization flow
+// https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps#device-flow
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEFAULT_SCOPE = 'repo';
+
+async function postForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': 'FailWhale-CI-Notifier/1.0'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub OAuth error: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Starts the flow. Returns { deviceCode, userCode, verificationUri, expiresIn, interval }
+async function requestDeviceCode({ clientId, scope = DEFAULT_SCOPE, baseUrl = 'https://github.com' }) {
+  const data = await postForm(`${baseUrl}/login/device/code`, { client_id: clientId, scope });
+  if (data.error) {
+    throw new Error(data.error_description || data.error);
+  }
+
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresIn: data.expires_in,
+    interval: data.interval
+  };
+}
+
+// Polls until the user has entered the code. Resolves with the access token,
+// rejects when the code expires, access is denied or `isCancelled()` is true.
+async function pollForToken({ clientId, deviceCode, interval = 5, expiresIn = 900, baseUrl = 'https://github.com', isCancelled = () => false, sleep }) {
+  const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const deadline = Date.now() + expiresIn * 1000;
+  let delay = interval;
+
+  while (Date.now() < deadline) {
+    await wait(delay * 1000);
+    if (isCancelled()) {
+      throw new Error('Sign in cancelled');
+    }
+
+    const data = await postForm(`${baseUrl}/login/oauth/access_token`, {
+      client_id: clientId,
+      device_code: deviceCode,
+      grant_type: DEVICE_GRANT_TYPE
+    });
+
+    if (data.access_token) {
+      return data.access_token;
+    }
+
+    switch (data.error) {
+      case 'authorization_pending':
+        break;
+      case 'slow_down':
+        delay = data.interval || delay + 5;
+        break;
+      case 'expired_token':
+        throw new Error('The code expired, please sign in again');
+      case 'access_denied':
+        throw new Error('Access was denied');
+      default:
+        throw new Error(data.error_description || data.error || 'Unexpected response from GitHub');
+    }
+  }
+
+  throw new Error('The code expired, please sign in again');
+}
+
+module.exports = {
+  requestDeviceCode,
+  pollForToken
+};
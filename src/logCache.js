@@ -0,0 +1,75 @@
+// Local cache of failed job logs so they can be reopened offline
+const fs = require('fs');
+const path = require('path');
+const { writeJsonFile } = require('./dataFiles');
+
+function logId(provider, sourceKey, runId) {
+  return `${provider}-${sourceKey}-${runId}`.toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+}
+
+function createLogCache({ dir, maxEntries = 50 }) {
+  function filePath(id) {
+    // Ids come from the renderer too; never let one escape the cache directory
+    if (typeof id !== 'string' || !/^[a-z0-9_-]+$/.test(id)) {
+      throw new Error('Invalid log id');
+    }
+    return path.join(dir, `${id}.json`);
+  }
+
+  function readEntry(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      console.error(`Error reading cached log ${file}:`, err.message);
+      return null;
+    }
+  }
+
+  function entries() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(readEntry)
+      .filter(Boolean)
+      .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+  }
+
+  function has(id) {
+    return fs.existsSync(filePath(id));
+  }
+
+  function get(id) {
+    if (!has(id)) return null;
+    return readEntry(`${id}.json`);
+  }
+
+  // Metadata for the log viewer's list, newest first
+  function list() {
+    return entries().map(({ excerpt, ...meta }) => meta);
+  }
+
+  function save(entry) {
+    fs.mkdirSync(dir, { recursive: true });
+    const saved = { ...entry, fetchedAt: entry.fetchedAt || new Date().toISOString() };
+    // Logs can be fetched again, so they don't need a backup
+    writeJsonFile(filePath(entry.id), saved, { backup: false });
+
+    // Drop the oldest logs beyond the limit
+    for (const old of entries().slice(maxEntries)) {
+      fs.rmSync(filePath(old.id), { force: true });
+    }
+    return saved;
+  }
+
+  return {
+    has,
+    get,
+    list,
+    save
+  };
+}
+
+module.exports = {
+  logId,
+  createLogCache
+};
@@ -0,0 +1,52 @@
+// Picks the interesting part of a failed job's log
+
+// GitHub prefixes every line with a timestamp, GitLab wraps sections in
+// markers, and both keep the ANSI colours of the original output
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z ?/;
+const ANSI = /\x1b\[[0-9;]*[A-Za-z]/g;
+const GITLAB_SECTION = /section_(start|end):\d+:[\w.-]+(\[[^\]]*\])?\r?/g;
+const ERROR_LINE = /\berror\b|\bfailed\b|\bFAIL\b|exit code [1-9]/i;
+
+function cleanLine(line) {
+  return line
+    .replace(ANSI, '')
+    .replace(GITLAB_SECTION, '')
+    .replace(TIMESTAMP, '')
+    .replace(/\r$/, '');
+}
+
+function findLastIndex(lines, predicate) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (predicate(lines[i])) return i;
+  }
+  return -1;
+}
+
+// Returns the `lines` lines leading up to (and `after` lines following) the
+// last error in the log, or the tail of the log when no error is found.
+// Line numbers are 1-based positions in the cleaned log.
+function extractFailureExcerpt(log, { lines = 40, after = 5 } = {}) {
+  const all = String(log || '').split('\n').map(cleanLine);
+  while (all.length > 0 && all[all.length - 1] === '') all.pop();
+
+  // Prefer GitHub's explicit error annotations over anything that looks like an error
+  let errorIndex = findLastIndex(all, line => line.includes('##[error]'));
+  if (errorIndex === -1) {
+    errorIndex = findLastIndex(all, line => ERROR_LINE.test(line));
+  }
+
+  const end = errorIndex === -1 ? all.length : Math.min(all.length, errorIndex + after + 1);
+  const start = Math.max(0, end - lines);
+
+  return {
+    lines: all.slice(start, end),
+    startLine: start + 1,
+    errorLine: errorIndex === -1 ? null : errorIndex + 1,
+    totalLines: all.length
+  };
+}
+
+module.exports = {
+  cleanLine,
+  extractFailureExcerpt
+};
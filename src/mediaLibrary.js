@@ -0,0 +1,145 @@
+// Media shown in notification popups
+//
+// A media pack is a folder with `success`, `failure` and `start` sub folders
+// of GIFs, images or videos, e.g. media/our-whale/failure/sad-whale.gif.
+// Packs of your own go in the media folder of the user data directory, which
+// survives updates; the ones shipped with the app stay next to it.
+// The bundled `default` pack always has something for every event, so a
+// popup never goes without media because Giphy or a custom pack let us down.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const EVENTS = ['success', 'failure', 'start'];
+const DEFAULT_PACK = 'default';
+
+const MEDIA_TYPES = {
+  '.gif': 'image',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.webp': 'image',
+  '.svg': 'image',
+  '.mp4': 'video',
+  '.webm': 'video'
+};
+
+const MAX_SIZE = { width: 400, height: 300 };
+
+// Pixel size from the file header of GIF, PNG and SVG files
+function readMediaSize(filePath) {
+  try {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.svg') {
+      const svg = fs.readFileSync(filePath, 'utf8');
+      const width = /<svg[^>]*\swidth="(\d+)/.exec(svg);
+      const height = /<svg[^>]*\sheight="(\d+)/.exec(svg);
+      if (width && height) return { width: parseInt(width[1], 10), height: parseInt(height[1], 10) };
+      return null;
+    }
+
+    const fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(24);
+    fs.readSync(fd, header, 0, 24, 0);
+    fs.closeSync(fd);
+
+    if (header.toString('ascii', 0, 3) === 'GIF') {
+      return { width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+    }
+    if (header.toString('ascii', 1, 4) === 'PNG') {
+      return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    }
+  } catch (err) {
+    console.error('Error reading media size:', err.message);
+  }
+  return null;
+}
+
+// Scales down to fit the popup, keeping the aspect ratio
+function fitSize(size, max = MAX_SIZE) {
+  if (!size || !size.width || !size.height) return { ...max };
+  const scale = Math.min(1, max.width / size.width, max.height / size.height);
+  return { width: Math.round(size.width * scale), height: Math.round(size.height * scale) };
+}
+
+// Names of the packs found in `dir`
+function listPacks(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && EVENTS.some(event => fs.existsSync(path.join(dir, entry.name, event))))
+      .map(entry => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// Media files of a pack for one event
+function packFiles(dir, pack, event) {
+  const eventDir = path.join(dir, pack, event);
+  try {
+    return fs.readdirSync(eventDir)
+      .filter(name => MEDIA_TYPES[path.extname(name).toLowerCase()])
+      .sort()
+      .map(name => path.join(eventDir, name));
+  } catch {
+    return [];
+  }
+}
+
+function fileMedia(filePath, source) {
+  const type = MEDIA_TYPES[path.extname(filePath).toLowerCase()];
+  return {
+    url: pathToFileURL(filePath).href,
+    ...fitSize(type === 'image' ? readMediaSize(filePath) : null),
+    type,
+    source
+  };
+}
+
+// Picks the media for an event from, in order: the chosen pack, Giphy (when
+// configured) and the bundled default pack. `pack` set to "default" skips
+// Giphy. Always resolves, with `url` empty only if the bundled pack is gone.
+// `dir` holds the bundled packs and `userDir` the user's own, which are
+// looked in first. The default pack only ever comes from `dir`.
+function createMediaLibrary({ dir, userDir, pack, giphy, random = Math.random }) {
+  function fromPack(name, event) {
+    let files = userDir && name !== DEFAULT_PACK ? packFiles(userDir, name, event) : [];
+    if (files.length === 0) files = packFiles(dir, name, event);
+    if (files.length === 0) return null;
+    return fileMedia(files[Math.floor(random() * files.length)], name);
+  }
+
+  function packs() {
+    return [...new Set([...listPacks(dir), ...(userDir ? listPacks(userDir) : [])])].sort();
+  }
+
+  async function pick(event, tag = event) {
+    if (pack && pack !== DEFAULT_PACK) {
+      const media = fromPack(pack, event);
+      if (media) return media;
+    }
+
+    if (giphy && pack !== DEFAULT_PACK) {
+      const gif = await giphy.take(tag);
+      if (gif) return gif;
+    }
+
+    return fromPack(DEFAULT_PACK, event) || { url: '', ...MAX_SIZE, height: 0, type: 'image', source: 'none' };
+  }
+
+  return {
+    packs,
+    pick
+  };
+}
+
+module.exports = {
+  EVENTS,
+  DEFAULT_PACK,
+  readMediaSize,
+  fitSize,
+  listPacks,
+  packFiles,
+  createMediaLibrary
+};
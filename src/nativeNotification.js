@@ -0,0 +1,40 @@
+// Content of native OS notifications (notification center, action center,
+// libnotify), the text-only counterpart of the popup card
+
+const TITLES = {
+  START: { icon: '▶️', verb: 'started' },
+  success: { icon: '✅', verb: 'passed' },
+  failure: { icon: '❌', verb: 'failed' }
+};
+
+// Buttons only exist on macOS; elsewhere clicking the notification opens the
+// run. `runActions` are the available run actions ({ name, label }).
+function nativeNotificationContent(status, details = {}, { runActions = [], canViewLogs = false, platform = process.platform } = {}) {
+  const { icon, verb } = TITLES[status] || TITLES.failure;
+
+  if (details.summary) {
+    return {
+      title: `${icon} ${details.summary}`,
+      body: (details.items || []).join('\n'),
+      actions: []
+    };
+  }
+
+  const subject = [details.repo, details.workflow].filter(Boolean).join(' · ') || 'Workflow';
+  const meta = [details.branch, details.actor && `by ${details.actor}`, details.duration].filter(Boolean).join(' · ');
+
+  return {
+    title: `${icon} ${subject} ${verb}`,
+    body: [details.commitMessage, meta].filter(Boolean).join('\n'),
+    actions: platform === 'darwin'
+      ? [
+          ...runActions.map(({ name, label }) => ({ name, text: label })),
+          ...(canViewLogs ? [{ name: 'logs', text: 'View logs' }] : [])
+        ]
+      : []
+  };
+}
+
+module.exports = {
+  nativeNotificationContent
+};
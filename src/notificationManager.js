@@ -0,0 +1,165 @@
+// Notification popup manager
+//
+// Owns the popup lifecycle. Events arriving within `burstWindow` ms of each
+// other are collected and bursts of the same status are collapsed into one
+// summary ("3 workflows failed"). At most `maxVisible` popups are stacked on
+// screen; the rest wait in a queue until a slot frees up.
+//
+// `createPopup(notification, offset)` shows a popup `offset` pixels from the
+// start of the stack (see popupPlacement) and resolves with { height, moveTo(offset), onClosed(cb) },
+// or null when nothing could be shown.
+
+const DEFAULTS = {
+  maxVisible: 3,
+  burstWindow: 1500,
+  burstThreshold: 3
+};
+
+const SUMMARY_VERBS = {
+  success: 'passed',
+  failure: 'failed',
+  START: 'started'
+};
+
+function summarize(notifications) {
+  const { status, tag } = notifications[0];
+  const verb = SUMMARY_VERBS[status] || status;
+
+  return {
+    status,
+    tag,
+    context: {
+      details: {
+        summary: `${notifications.length} workflows ${verb}`,
+        items: notifications.map(({ context }) => {
+          const details = context?.details || {};
+          return [details.repo, details.workflow, details.branch].filter(Boolean).join(' · ');
+        })
+      }
+    }
+  };
+}
+
+// Replaces every status with `threshold` or more notifications by a single
+// summary, placed where the first of them was.
+function collapseBursts(notifications, threshold = DEFAULTS.burstThreshold) {
+  const byStatus = new Map();
+  for (const notification of notifications) {
+    if (!byStatus.has(notification.status)) byStatus.set(notification.status, []);
+    byStatus.get(notification.status).push(notification);
+  }
+
+  const result = [];
+  const summarized = new Set();
+  for (const notification of notifications) {
+    const group = byStatus.get(notification.status);
+    if (group.length < threshold) {
+      result.push(notification);
+    } else if (!summarized.has(notification.status)) {
+      summarized.add(notification.status);
+      result.push(summarize(group));
+    }
+  }
+  return result;
+}
+
+// Where popups sit in the screen's work area for a position such as
+// "bottom-right". The stack grows away from the edge it's anchored to, so
+// `visibleY(offset)` moves up for bottom positions and down for top ones;
+// `hiddenY` is just off that edge, where popups slide in from.
+function popupPlacement({ workArea, width, height, position = 'bottom-right', margin = 10 }) {
+  const [vertical, horizontal] = position.split('-');
+  const x = horizontal === 'left'
+    ? workArea.x + margin
+    : workArea.x + workArea.width - width - margin;
+
+  if (vertical === 'top') {
+    return {
+      x,
+      visibleY: (offset) => workArea.y + margin + offset,
+      hiddenY: workArea.y - height - 40
+    };
+  }
+  return {
+    x,
+    visibleY: (offset) => workArea.y + workArea.height - height - margin - offset,
+    hiddenY: workArea.y + workArea.height + 40
+  };
+}
+
+function createNotificationManager({ createPopup, ...options }) {
+  const config = { ...DEFAULTS, ...options };
+  let pending = [];
+  let burstTimer = null;
+  const queue = [];
+  const visible = []; // bottom to top: { handle, height }
+  let draining = false;
+
+  function notify(notification) {
+    pending.push(notification);
+    if (!burstTimer) {
+      burstTimer = setTimeout(flush, config.burstWindow);
+    }
+  }
+
+  function flush() {
+    burstTimer = null;
+    queue.push(...collapseBursts(pending, config.burstThreshold));
+    pending = [];
+    return drain();
+  }
+
+  function relayout() {
+    let offset = 0;
+    for (const entry of visible) {
+      entry.handle.moveTo(offset);
+      offset += entry.height;
+    }
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+
+    try {
+      while (queue.length > 0 && visible.length < config.maxVisible) {
+        const notification = queue.shift();
+        const offset = visible.reduce((total, entry) => total + entry.height, 0);
+
+        let handle = null;
+        try {
+          handle = await createPopup(notification, offset);
+        } catch (err) {
+          console.error('Error showing notification:', err);
+        }
+        if (!handle) continue;
+
+        const entry = { handle, height: handle.height };
+        visible.push(entry);
+        handle.onClosed(() => {
+          visible.splice(visible.indexOf(entry), 1);
+          relayout();
+          drain();
+        });
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  function stats() {
+    return { pending: pending.length, queued: queue.length, visible: visible.length };
+  }
+
+  return {
+    notify,
+    flush,
+    stats
+  };
+}
+
+module.exports = {
+  collapseBursts,
+  popupPlacement,
+  createNotificationManager
+};
@@ -0,0 +1,153 @@
+// Notification rules
+//
+// Decides which run events become notifications. Rules are checked in order
+// and the first one that matches wins; without a match the event is notified.
+//
+//   {
+//     "match": { "source": "acme/*", "branch": "main", "event": "completed" },
+//     "action": "state-change"
+//   }
+//
+// Every match field is optional and takes a pattern or a list of patterns
+// (`*` wildcards allowed): source, workflow, branch, event ("started" or
+// "completed"), actor and conclusion. Actions are "notify", "ignore" and
+// "state-change", which only notifies when a workflow's outcome on a branch
+// differs from the previous one (main going red, and green again) and
+// never for runs starting.
+const { matchesPattern } = require('./workflowTracker');
+
+const ACTIONS = ['notify', 'ignore', 'state-change'];
+const MATCH_FIELDS = ['source', 'workflow', 'branch', 'event', 'actor', 'conclusion'];
+const EVENTS = ['started', 'completed'];
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Throws an Error describing the first problem found
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Rules must be a list');
+  }
+
+  rules.forEach((rule, index) => {
+    const name = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${name} must be an object`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      throw new Error(`${name} has an unknown action: ${rule.action}`);
+    }
+
+    const match = rule.match || {};
+    if (typeof match !== 'object' || Array.isArray(match)) {
+      throw new Error(`${name} has an invalid match`);
+    }
+    for (const [field, value] of Object.entries(match)) {
+      if (!MATCH_FIELDS.includes(field)) {
+        throw new Error(`${name} matches on an unknown field: ${field}`);
+      }
+      if (!toList(value).every(pattern => typeof pattern === 'string' && pattern.length > 0)) {
+        throw new Error(`${name} has an invalid ${field} pattern`);
+      }
+    }
+    for (const event of toList(match.event)) {
+      if (!EVENTS.includes(event)) {
+        throw new Error(`${name} matches on an unknown event: ${event}`);
+      }
+    }
+  });
+
+  return rules;
+}
+
+function fieldMatches(patterns, values) {
+  const list = toList(patterns);
+  if (list.length === 0) return true;
+  return values.some(value => value && list.some(pattern => matchesPattern(value, pattern)));
+}
+
+// `source` is { key, name } of the watched source, `event` a run event from
+// the workflow tracker
+function matchRule(rule, source, event) {
+  const match = rule.match || {};
+  const { run } = event;
+  return fieldMatches(match.source, [source.key, source.name]) &&
+    fieldMatches(match.workflow, [run.workflowFile, run.workflow]) &&
+    fieldMatches(match.branch, [run.branch]) &&
+    fieldMatches(match.event, [event.type]) &&
+    fieldMatches(match.actor, [run.actor]) &&
+    fieldMatches(match.conclusion, [run.conclusion]);
+}
+
+function findRule(rules, source, event) {
+  return rules.find(rule => matchRule(rule, source, event)) || null;
+}
+
+function outcome(conclusion) {
+  return conclusion === 'success' ? 'green' : 'red';
+}
+
+function createNotificationRules({ rules = [] } = {}) {
+  let current = validateRules(rules);
+  const outcomes = new Map(); // source + workflow + branch -> { outcome, at }
+
+  function outcomeKey(sourceKey, run) {
+    return `${sourceKey}\n${run.workflowFile || run.workflow}\n${run.branch}`;
+  }
+
+  // Keeps track of the latest outcome of each workflow and branch. Runs may
+  // arrive in any order, so only newer results replace older ones.
+  function remember(sourceKey, run) {
+    if (run.status !== 'completed' || ['cancelled', 'skipped'].includes(run.conclusion)) return;
+    const key = outcomeKey(sourceKey, run);
+    const at = new Date(run.updatedAt || 0).getTime();
+    const known = outcomes.get(key);
+    if (!known || at >= known.at) {
+      outcomes.set(key, { outcome: outcome(run.conclusion), at });
+    }
+  }
+
+  // Returns "notify" or "ignore" for a run event, remembering its outcome
+  function decide(source, event) {
+    const rule = findRule(current, source, event);
+    const action = rule ? rule.action : 'notify';
+
+    if (event.type !== 'completed' || ['cancelled', 'skipped'].includes(event.run.conclusion)) {
+      return action === 'notify' ? 'notify' : 'ignore';
+    }
+
+    // Without an earlier result the workflow counts as green, so the first
+    // failure is reported and the first success isn't
+    const previous = outcomes.get(outcomeKey(source.key, event.run));
+    remember(source.key, event.run);
+
+    if (action === 'state-change') {
+      const changed = (previous ? previous.outcome : 'green') !== outcome(event.run.conclusion);
+      return changed ? 'notify' : 'ignore';
+    }
+    return action;
+  }
+
+  function setRules(rules) {
+    current = validateRules(rules);
+  }
+
+  return {
+    decide,
+    remember,
+    setRules,
+    rules: () => current
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  MATCH_FIELDS,
+  EVENTS,
+  validateRules,
+  matchRule,
+  findRule,
+  createNotificationRules
+};
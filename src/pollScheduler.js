@@ -0,0 +1,94 @@
+// Adaptive polling budget
+//
+// Sources are grouped into rate limit buckets (one per API quota). Within a
+// bucket the remaining quota is spread over the time left until the reset:
+// sources with a run in progress are polled `activeWeight` times as often as
+// idle ones, never faster than their minimum interval. When a bucket's quota
+// is exhausted, polling stops completely until the reset time.
+
+const DEFAULTS = {
+  activeInterval: 10 * 1000,
+  idleInterval: 60 * 1000,
+  maxInterval: 10 * 60 * 1000,
+  activeWeight: 4,
+  // Keep some of the quota for everything else using the same token
+  budgetShare: 0.8
+};
+
+function createPollScheduler(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const entries = new Map(); // source key -> { bucket, active, nextPollAt }
+  const rateLimits = new Map(); // bucket -> { limit, remaining, reset }
+
+  function updateRateLimit(bucket, rateLimit) {
+    rateLimits.set(bucket, rateLimit);
+  }
+
+  function pausedUntil(bucket, now = Date.now()) {
+    const rateLimit = rateLimits.get(bucket);
+    if (!rateLimit || rateLimit.remaining > 0) return null;
+    const resetAt = rateLimit.reset * 1000;
+    return resetAt > now ? resetAt : null;
+  }
+
+  function isDue(key, bucket, now = Date.now()) {
+    if (pausedUntil(bucket, now)) return false;
+    const entry = entries.get(key);
+    return !entry || entry.nextPollAt <= now;
+  }
+
+  function intervalFor(key, now = Date.now()) {
+    const entry = entries.get(key);
+    const minimum = entry.active ? config.activeInterval : config.idleInterval;
+    const rateLimit = rateLimits.get(entry.bucket);
+
+    if (!rateLimit || !rateLimit.reset) return minimum;
+
+    const secondsLeft = Math.max(1, rateLimit.reset - now / 1000);
+    const budgetPerSecond = (rateLimit.remaining * config.budgetShare) / secondsLeft;
+    if (budgetPerSecond <= 0) return config.maxInterval;
+
+    let totalWeight = 0;
+    for (const other of entries.values()) {
+      if (other.bucket === entry.bucket) {
+        totalWeight += other.active ? config.activeWeight : 1;
+      }
+    }
+
+    // Interval at which an idle source may poll so the whole bucket fits the budget
+    const baseInterval = (totalWeight / budgetPerSecond) * 1000;
+    const weight = entry.active ? config.activeWeight : 1;
+    return Math.min(config.maxInterval, Math.max(minimum, baseInterval / weight));
+  }
+
+  // Records a finished poll and plans the next one
+  function schedule(key, bucket, { active = false } = {}, now = Date.now()) {
+    entries.set(key, { bucket, active, nextPollAt: now });
+    const entry = entries.get(key);
+    entry.nextPollAt = now + intervalFor(key, now);
+    return entry.nextPollAt;
+  }
+
+  function forget(key) {
+    entries.delete(key);
+  }
+
+  // Changes the intervals from the next poll of each source on
+  function configure(options) {
+    Object.assign(config, options);
+  }
+
+  return {
+    updateRateLimit,
+    pausedUntil,
+    isDue,
+    intervalFor,
+    schedule,
+    forget,
+    configure
+  };
+}
+
+module.exports = {
+  createPollScheduler
+};
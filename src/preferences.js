@@ -0,0 +1,45 @@
+// Small JSON file for options toggled from the tray (mute, volume, ...)
+const { readJsonFile, writeJsonFile } = require('./dataFiles');
+
+function createPreferences({ filePath, defaults }) {
+  let values = structuredClone(defaults);
+
+  try {
+    const stored = readJsonFile(filePath);
+    if (stored) {
+      // Merge one level deep so new options get their defaults
+      for (const [key, value] of Object.entries(stored)) {
+        values[key] = value && typeof value === 'object' && !Array.isArray(value)
+          ? { ...defaults[key], ...value }
+          : value;
+      }
+    }
+  } catch (err) {
+    console.error('Error loading preferences:', err);
+    values = structuredClone(defaults);
+  }
+
+  function get() {
+    return values;
+  }
+
+  // Shallow merges `patch` into the `key` section and saves
+  function update(key, patch) {
+    values[key] = { ...values[key], ...patch };
+    try {
+      writeJsonFile(filePath, values);
+    } catch (err) {
+      console.error('Error saving preferences:', err);
+    }
+    return values;
+  }
+
+  return {
+    get,
+    update
+  };
+}
+
+module.exports = {
+  createPreferences
+};
@@ -0,0 +1,8 @@
+// Bridge between the channels editor and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('channels', {
+  get: () => ipcRenderer.invoke('channels:get'),
+  save: (channels) => ipcRenderer.invoke('channels:save', channels),
+  test: (id) => ipcRenderer.invoke('channels:test', id)
+});
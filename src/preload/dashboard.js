@@ -0,0 +1,8 @@
+// Bridge between the dashboard and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('dashboard', {
+  get: () => ipcRenderer.invoke('dashboard:get'),
+  openRun: (url) => ipcRenderer.invoke('dashboard:open-run', url),
+  onUpdated: (callback) => ipcRenderer.on('dashboard:updated', () => callback())
+});
@@ -0,0 +1,9 @@
+// Bridge between the "Run workflow" dialog and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('dispatch', {
+  sources: () => ipcRenderer.invoke('dispatch:sources'),
+  workflows: (index) => ipcRenderer.invoke('dispatch:workflows', index),
+  branches: (index) => ipcRenderer.invoke('dispatch:branches', index),
+  run: (index, workflowId, ref, inputs) => ipcRenderer.invoke('dispatch:run', index, workflowId, ref, inputs)
+});
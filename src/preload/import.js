@@ -0,0 +1,11 @@
+// Bridge between the import window and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('importer', {
+  credentials: () => ipcRenderer.invoke('import:credentials'),
+  list: (spec, credential) => ipcRenderer.invoke('import:list', spec, credential),
+  add: (names, fields) => ipcRenderer.invoke('import:add', names, fields),
+  syncs: () => ipcRenderer.invoke('import:syncs'),
+  syncNow: (owner) => ipcRenderer.invoke('import:sync-now', owner),
+  stopSync: (owner) => ipcRenderer.invoke('import:stop-sync', owner)
+});
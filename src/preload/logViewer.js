@@ -0,0 +1,10 @@
+// Bridge between the log viewer and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('logs', {
+  list: () => ipcRenderer.invoke('logs:list'),
+  get: (id) => ipcRenderer.invoke('logs:get', id),
+  openInBrowser: (id) => ipcRenderer.invoke('logs:open-in-browser', id),
+  onSelect: (callback) => ipcRenderer.on('logs:select', (event, id) => callback(id)),
+  onUpdated: (callback) => ipcRenderer.on('logs:updated', () => callback())
+});
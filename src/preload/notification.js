@@ -0,0 +1,13 @@
+// Bridge between the notification popup and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('notification', {
+  onShow: (callback) => ipcRenderer.on('notification:show', (event, data) => callback(data)),
+  onUpdate: (callback) => ipcRenderer.on('notification:update', (event, data) => callback(data)),
+  open: () => ipcRenderer.send('notification:action', 'open'),
+  runAction: (name) => ipcRenderer.send('notification:action', name),
+  viewLogs: () => ipcRenderer.send('notification:action', 'logs'),
+  dismiss: () => ipcRenderer.send('notification:action', 'dismiss'),
+  hold: () => ipcRenderer.send('notification:action', 'hold'),
+  release: () => ipcRenderer.send('notification:action', 'release')
+});
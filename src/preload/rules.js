@@ -0,0 +1,7 @@
+// Bridge between the notification rules editor and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('rules', {
+  get: () => ipcRenderer.invoke('rules:get'),
+  save: (rules) => ipcRenderer.invoke('rules:save', rules)
+});
@@ -0,0 +1,7 @@
+// Bridge between the Settings window and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('settings', {
+  get: () => ipcRenderer.invoke('settings:get'),
+  save: (values) => ipcRenderer.invoke('settings:save', values)
+});
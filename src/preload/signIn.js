@@ -0,0 +1,7 @@
+// Bridge between the GitHub sign in window and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('signIn', {
+  openVerification: (url) => ipcRenderer.invoke('open-github-verification', url),
+  onStatus: (callback) => ipcRenderer.on('sign-in-status', (event, update) => callback(update))
+});
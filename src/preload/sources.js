@@ -0,0 +1,19 @@
+// Bridge between the Sources window and the main process
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('sources', {
+  list: () => ipcRenderer.invoke('get-sources'),
+  providers: () => ipcRenderer.invoke('get-providers'),
+  add: (url, provider, fields) => ipcRenderer.invoke('add-source', url, provider, fields),
+  update: (index, fields) => ipcRenderer.invoke('update-source', index, fields),
+  move: (index, offset) => ipcRenderer.invoke('move-source', index, offset),
+  remove: (index) => ipcRenderer.invoke('remove-source', index),
+  setCredential: (index, id) => ipcRenderer.invoke('set-source-credential', index, id),
+  setChecks: (index, choice) => ipcRenderer.invoke('set-source-checks', index, choice),
+  setMuted: (index, muted) => ipcRenderer.invoke('set-source-muted', index, muted),
+  setSound: (index, choice) => ipcRenderer.invoke('set-source-sound', index, choice),
+  credentials: () => ipcRenderer.invoke('get-credentials'),
+  saveCredential: (id, label, token) => ipcRenderer.invoke('save-credential', id, label, token),
+  removeCredential: (id) => ipcRenderer.invoke('remove-credential', id),
+  onUpdated: (callback) => ipcRenderer.on('sources-updated', () => callback())
+});
@@ -0,0 +1,103 @@
+// Bitbucket Pipelines adapter
+const { fetchJson, requestJson } = require('./http');
+
+const name = 'bitbucket';
+const label = 'Bitbucket Pipelines';
+
+function matches(url) {
+  return /bitbucket\.org\//.test(url);
+}
+
+function parseUrl(url) {
+  const match = url.match(/bitbucket\.org\/([^\/]+)\/([^\/?#]+)/);
+  if (!match) return null;
+  const workspace = match[1];
+  const repo = match[2].replace(/\.git$/, '');
+  return { workspace, repo, key: `bitbucket.org/${workspace}/${repo}`, name: `${workspace}/${repo}` };
+}
+
+function sourceUrl(info) {
+  return `https://bitbucket.org/${info.workspace}/${info.repo}`;
+}
+
+const CONCLUSIONS = {
+  SUCCESSFUL: 'success',
+  FAILED: 'failure',
+  ERROR: 'failure',
+  STOPPED: 'cancelled',
+  EXPIRED: 'cancelled'
+};
+
+function normalizeRun(pipeline, info) {
+  const state = pipeline.state || {};
+  let status = 'queued';
+  if (state.name === 'COMPLETED') status = 'completed';
+  else if (state.name === 'IN_PROGRESS') status = 'in_progress';
+
+  const target = pipeline.target || {};
+  const selector = target.selector || {};
+
+  return {
+    id: pipeline.uuid,
+    provider: name,
+    number: pipeline.build_number,
+    workflow: selector.pattern || selector.type || 'default',
+    workflowFile: '',
+    branch: target.ref_name,
+    status,
+    conclusion: status === 'completed' ? (CONCLUSIONS[state.result?.name] || 'failure') : null,
+    sha: target.commit?.hash,
+    commitMessage: target.commit?.message || '',
+    actor: pipeline.creator?.display_name || '',
+    htmlUrl: `https://bitbucket.org/${info.workspace}/${info.repo}/pipelines/results/${pipeline.build_number}`,
+    createdAt: pipeline.created_on,
+    startedAt: pipeline.created_on,
+    updatedAt: pipeline.completed_on || pipeline.created_on
+  };
+}
+
+// Repository/workspace access tokens are sent as bearer tokens,
+// app passwords as "username:app_password" over basic auth
+function authHeaders(token) {
+  if (!token) return {};
+  return {
+    'Authorization': token.includes(':')
+      ? `Basic ${Buffer.from(token).toString('base64')}`
+      : `Bearer ${token}`
+  };
+}
+
+async function fetchRuns(info, { token, cache, onRateLimit, onUnauthorized } = {}) {
+  const url = `https://api.bitbucket.org/2.0/repositories/${info.workspace}/${info.repo}/pipelines/?sort=-created_on&pagelen=50`;
+  const headers = authHeaders(token);
+
+  const data = await fetchJson(url, { headers, label: info.key, cache, onRateLimit, onUnauthorized });
+  return (data?.values || []).map(pipeline => normalizeRun(pipeline, info));
+}
+
+// Pipelines are configured per branch in a single file, so no workflows
+async function describeSource(info, { token } = {}) {
+  const repo = await requestJson(`https://api.bitbucket.org/2.0/repositories/${info.workspace}/${info.repo}`, {
+    method: 'GET',
+    headers: authHeaders(token),
+    label: `Lookup of ${info.key}`
+  });
+  return {
+    name: repo.full_name,
+    url: repo.links?.html?.href,
+    defaultBranch: repo.mainbranch?.name || null,
+    workflows: []
+  };
+}
+
+module.exports = {
+  name,
+  label,
+  tokenEnv: 'BITBUCKET_TOKEN',
+  matches,
+  parseUrl,
+  sourceUrl,
+  normalizeRun,
+  fetchRuns,
+  describeSource
+};
@@ -0,0 +1,331 @@
+// GitHub Actions adapter
+const { fetchJson, fetchText, requestJson } = require('./http');
+const { parseDispatchInputs } = require('../workflowDispatch');
+const { combineStatus, mergeability } = require('../commitStatus');
+
+const name = 'github';
+const label = 'GitHub Actions';
+
+function matches(url) {
+  return /github\.com\//.test(url);
+}
+
+function parseUrl(url) {
+  const match = url.match(/github\.com\/([^\/]+)\/([^\/?#]+)/);
+  if (!match) return null;
+  const owner = match[1];
+  const repo = match[2].replace(/\.git$/, '');
+  return { owner, repo, key: `${owner}/${repo}`, name: `${owner}/${repo}` };
+}
+
+function sourceUrl(info) {
+  return `https://github.com/${info.owner}/${info.repo}`;
+}
+
+function normalizeStatus(status) {
+  if (status === 'completed' || status === 'in_progress') return status;
+  // queued, requested, waiting, pending
+  return 'queued';
+}
+
+function normalizeRun(run) {
+  return {
+    id: run.id,
+    provider: name,
+    number: run.run_number,
+    attempt: run.run_attempt,
+    workflow: run.name,
+    workflowFile: run.path ? run.path.split('/').pop() : '',
+    branch: run.head_branch,
+    status: normalizeStatus(run.status),
+    conclusion: run.status === 'completed' ? run.conclusion : null,
+    sha: run.head_sha,
+    commitMessage: run.head_commit?.message || '',
+    actor: run.triggering_actor?.login || run.actor?.login || '',
+    htmlUrl: run.html_url,
+    createdAt: run.created_at,
+    startedAt: run.run_started_at || run.created_at,
+    updatedAt: run.updated_at
+  };
+}
+
+async function fetchRuns(info, { token, cache, onRateLimit, onUnauthorized } = {}) {
+  const url = `https://api.github.com/repos/${info.owner}/${info.repo}/actions/runs?per_page=50`;
+  const headers = {};
+
+  // Add GitHub token if available for higher rate limits (60/hour -> 5,000/hour)
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const data = await fetchJson(url, { headers, label: info.key, cache, onRateLimit, onUnauthorized });
+  return (data?.workflow_runs || []).map(normalizeRun);
+}
+
+function authHeaders(token) {
+  return token ? { 'Authorization': `Bearer ${token}`, 'Accept': 'application/vnd.github+json' } : {};
+}
+
+// A single run by id, for tracked runs that newer ones pushed off the page
+// fetchRuns() reads. Null when the run no longer exists; throws (with the
+// HTTP `status`) when it couldn't be fetched.
+async function fetchRun(info, id, { token } = {}) {
+  try {
+    const run = await requestJson(`https://api.github.com/repos/${info.owner}/${info.repo}/actions/runs/${id}`, {
+      method: 'GET',
+      headers: authHeaders(token),
+      label: `${info.key} run ${id}`
+    });
+    return normalizeRun(run);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function rerunFailedJobs(info, run, { token } = {}) {
+  await requestJson(`https://api.github.com/repos/${info.owner}/${info.repo}/actions/runs/${run.id}/rerun-failed-jobs`, {
+    headers: authHeaders(token),
+    label: `Re-run of ${info.key} #${run.number}`
+  });
+}
+
+async function rerunAll(info, run, { token } = {}) {
+  await requestJson(`https://api.github.com/repos/${info.owner}/${info.repo}/actions/runs/${run.id}/rerun`, {
+    headers: authHeaders(token),
+    label: `Re-run of ${info.key} #${run.number}`
+  });
+}
+
+async function cancelRun(info, run, { token } = {}) {
+  await requestJson(`https://api.github.com/repos/${info.owner}/${info.repo}/actions/runs/${run.id}/cancel`, {
+    headers: authHeaders(token),
+    label: `Cancel of ${info.key} #${run.number}`
+  });
+}
+
+// Looks the repo up so a new source can be checked and shown by its real
+// name. Throws (with the HTTP `status`) when the repo can't be read.
+async function describeSource(info, { token } = {}) {
+  const base = `https://api.github.com/repos/${info.owner}/${info.repo}`;
+  const headers = authHeaders(token);
+
+  const repo = await requestJson(base, { method: 'GET', headers, label: `Lookup of ${info.key}` });
+  const workflows = await fetchJson(`${base}/actions/workflows?per_page=100`, { headers, label: `${info.key} workflows` });
+  return {
+    name: repo.full_name,
+    url: repo.html_url,
+    defaultBranch: repo.default_branch,
+    workflows: (workflows?.workflows || []).map(workflow => workflow.name)
+  };
+}
+
+const REPO_PAGE_SIZE = 100;
+const MAX_REPO_PAGES = 20;
+
+// Every repo of an org or user, following the pages. `login` is the token's
+// user: their own private repos are only listed through /user/repos.
+// Throws (with the HTTP `status`) when the owner can't be read.
+async function listOwnerRepos(owner, { token, login } = {}) {
+  const headers = authHeaders(token);
+  const account = await requestJson(`https://api.github.com/users/${encodeURIComponent(owner)}`, {
+    method: 'GET',
+    headers,
+    label: `Lookup of ${owner}`
+  });
+
+  let listUrl = `https://api.github.com/users/${encodeURIComponent(owner)}/repos?type=owner`;
+  if (account.type === 'Organization') {
+    listUrl = `https://api.github.com/orgs/${encodeURIComponent(owner)}/repos?type=all`;
+  } else if (login && login.toLowerCase() === owner.toLowerCase()) {
+    listUrl = 'https://api.github.com/user/repos?affiliation=owner';
+  }
+
+  const repos = [];
+  for (let page = 1; page <= MAX_REPO_PAGES; page++) {
+    const batch = await requestJson(`${listUrl}&per_page=${REPO_PAGE_SIZE}&page=${page}`, {
+      method: 'GET',
+      headers,
+      label: `Repositories of ${owner}`
+    });
+    repos.push(...(batch || []).map(repo => ({
+      name: repo.full_name,
+      url: repo.html_url,
+      description: repo.description || '',
+      archived: !!repo.archived,
+      fork: !!repo.fork,
+      topics: repo.topics || [],
+      defaultBranch: repo.default_branch
+    })));
+    if (!batch || batch.length < REPO_PAGE_SIZE) break;
+  }
+  return repos;
+}
+
+// Whether a repo has any workflow, or null when that couldn't be checked
+async function hasWorkflows(info, { token } = {}) {
+  const data = await fetchJson(`https://api.github.com/repos/${info.owner}/${info.repo}/actions/workflows?per_page=1`, {
+    headers: authHeaders(token),
+    label: `${info.key} workflows`
+  });
+  return data ? data.total_count > 0 : null;
+}
+
+// Active workflows that have a workflow_dispatch trigger, with their inputs
+async function listDispatchWorkflows(info, { token } = {}) {
+  const base = `https://api.github.com/repos/${info.owner}/${info.repo}`;
+  const headers = authHeaders(token);
+
+  const data = await fetchJson(`${base}/actions/workflows?per_page=100`, { headers, label: `${info.key} workflows` });
+  const workflows = (data?.workflows || []).filter(workflow => workflow.state === 'active' && /\.ya?ml$/.test(workflow.path));
+
+  const results = await Promise.all(workflows.map(async workflow => {
+    const file = await fetchJson(`${base}/contents/${workflow.path}`, { headers, label: `${info.key} ${workflow.path}` });
+    if (!file?.content) return null;
+    const inputs = parseDispatchInputs(Buffer.from(file.content, 'base64').toString('utf8'));
+    if (!inputs) return null;
+    return { id: workflow.id, name: workflow.name, file: workflow.path.split('/').pop(), inputs };
+  }));
+  return results.filter(Boolean);
+}
+
+// Branch names with the default branch first
+async function listBranches(info, { token } = {}) {
+  const base = `https://api.github.com/repos/${info.owner}/${info.repo}`;
+  const headers = authHeaders(token);
+
+  const [repo, branches] = await Promise.all([
+    fetchJson(base, { headers, label: info.key }),
+    fetchJson(`${base}/branches?per_page=100`, { headers, label: `${info.key} branches` })
+  ]);
+  const names = (branches || []).map(branch => branch.name);
+  const defaultBranch = repo?.default_branch;
+  if (!defaultBranch) return names;
+  return [defaultBranch, ...names.filter(name => name !== defaultBranch)];
+}
+
+async function dispatchWorkflow(info, workflow, { ref, inputs = {} }, { token } = {}) {
+  await requestJson(`https://api.github.com/repos/${info.owner}/${info.repo}/actions/workflows/${workflow.id}/dispatches`, {
+    headers: authHeaders(token),
+    body: { ref, inputs },
+    label: `Run of ${workflow.name} on ${info.key}`
+  });
+}
+
+// Login of the token's user, used to pick out "my" pull requests
+async function fetchViewer({ token } = {}) {
+  if (!token) return null;
+  const data = await fetchJson('https://api.github.com/user', { headers: authHeaders(token), label: 'GitHub user' });
+  return data?.login || null;
+}
+
+// Combined state of the check runs and commit statuses on a ref, or null
+// when either couldn't be fetched
+async function fetchCombinedStatus(info, ref, options) {
+  const base = `https://api.github.com/repos/${info.owner}/${info.repo}/commits/${encodeURIComponent(ref)}`;
+  const [checks, status] = await Promise.all([
+    fetchJson(`${base}/check-runs?per_page=100`, { ...options, label: `${info.key} checks on ${ref}` }),
+    fetchJson(`${base}/status?per_page=100`, { ...options, label: `${info.key} statuses on ${ref}` })
+  ]);
+  if (!checks || !status) return null;
+  return combineStatus(checks.check_runs, status.statuses);
+}
+
+// The branches and open pull requests a source follows (see commitStatus.js)
+// with their combined state. Mergeability is only looked up for pull
+// requests opened by `login`.
+async function fetchStatusTargets(info, checks, { token, login, cache, onRateLimit, onUnauthorized } = {}) {
+  const base = `https://api.github.com/repos/${info.owner}/${info.repo}`;
+  const options = { headers: authHeaders(token), cache, onRateLimit, onUnauthorized };
+  const targets = [];
+
+  let branches = checks.branches;
+  if (!branches) {
+    const repo = await fetchJson(base, { ...options, label: info.key });
+    branches = repo?.default_branch ? [repo.default_branch] : [];
+  }
+  for (const branch of branches) {
+    const status = await fetchCombinedStatus(info, branch, options);
+    targets.push({
+      key: `branch:${branch}`,
+      kind: 'branch',
+      branch,
+      htmlUrl: `https://github.com/${info.owner}/${info.repo}/tree/${branch}`,
+      mine: false,
+      merge: null,
+      ...(status || { state: null })
+    });
+  }
+
+  if (checks.pullRequests) {
+    const pulls = await fetchJson(`${base}/pulls?state=open&per_page=50`, { ...options, label: `${info.key} pull requests` });
+    const followed = (pulls || []).filter(pull => checks.pullRequests === 'all' || (login && pull.user?.login === login));
+
+    // Every push gives a pull request a new head commit, so its checks aren't
+    // kept in the ETag cache: the URLs would pile up there for good
+    const uncached = { ...options, cache: null };
+    for (const pull of followed) {
+      const mine = !!login && pull.user?.login === login;
+      const [status, detail] = await Promise.all([
+        fetchCombinedStatus(info, pull.head.sha, uncached),
+        mine ? fetchJson(`${base}/pulls/${pull.number}`, { ...options, label: `${info.key} #${pull.number}` }) : null
+      ]);
+      targets.push({
+        key: `pull:${pull.number}`,
+        kind: 'pull',
+        number: pull.number,
+        title: pull.title,
+        author: pull.user?.login || '',
+        branch: pull.head.ref,
+        sha: pull.head.sha,
+        htmlUrl: pull.html_url,
+        mine,
+        merge: detail ? mergeability(detail) : null,
+        mergeState: detail?.mergeable_state || null,
+        ...(status || { state: null })
+      });
+    }
+  }
+
+  return targets;
+}
+
+// Finds the first failed job (and step) of a run and downloads that job's log
+async function fetchFailureLog(info, run, { token } = {}) {
+  const base = `https://api.github.com/repos/${info.owner}/${info.repo}/actions`;
+  const headers = authHeaders(token);
+
+  const data = await fetchJson(`${base}/runs/${run.id}/jobs?filter=latest&per_page=100`, { headers, label: `${info.key} jobs` });
+  const job = (data?.jobs || []).find(job => job.conclusion === 'failure');
+  if (!job) return null;
+
+  const step = (job.steps || []).find(step => step.conclusion === 'failure');
+  const log = await fetchText(`${base}/jobs/${job.id}/logs`, { headers, label: `${info.key} job log`, timeout: 30000 });
+  if (log === null) return null;
+
+  return { job: job.name, step: step?.name || null, log, htmlUrl: job.html_url };
+}
+
+module.exports = {
+  name,
+  label,
+  tokenEnv: 'GITHUB_TOKEN',
+  matches,
+  parseUrl,
+  sourceUrl,
+  normalizeRun,
+  fetchRuns,
+  fetchRun,
+  describeSource,
+  listOwnerRepos,
+  hasWorkflows,
+  rerunFailedJobs,
+  rerunAll,
+  cancelRun,
+  listDispatchWorkflows,
+  listBranches,
+  dispatchWorkflow,
+  fetchViewer,
+  fetchStatusTargets,
+  fetchFailureLog
+};
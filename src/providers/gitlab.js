@@ -0,0 +1,174 @@
+// GitLab CI adapter (gitlab.com and self-hosted instances)
+const { fetchJson, fetchText, requestJson } = require('./http');
+
+const name = 'gitlab';
+const label = 'GitLab CI';
+
+function toUrl(url) {
+  try {
+    return new URL(/^https?:\/\//.test(url) ? url : `https://${url}`);
+  } catch {
+    return null;
+  }
+}
+
+function matches(url) {
+  const parsed = toUrl(url);
+  return !!parsed && parsed.hostname.includes('gitlab');
+}
+
+// https://gitlab.example.com/group/subgroup/project/-/pipelines
+//   -> { origin: 'https://gitlab.example.com', project: 'group/subgroup/project' }
+function parseUrl(url) {
+  const parsed = toUrl(url);
+  if (!parsed) return null;
+
+  const project = parsed.pathname
+    .split('/-/')[0]
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/\.git$/, '');
+
+  // Projects always live in a namespace (user or group)
+  if (project.split('/').length < 2) return null;
+
+  return {
+    origin: parsed.origin,
+    project,
+    key: `${parsed.host}/${project}`,
+    name: project
+  };
+}
+
+function sourceUrl(info) {
+  return `${info.origin}/${info.project}`;
+}
+
+const QUEUED = ['created', 'waiting_for_resource', 'preparing', 'pending', 'scheduled'];
+const CONCLUSIONS = {
+  success: 'success',
+  failed: 'failure',
+  canceled: 'cancelled',
+  skipped: 'skipped',
+  manual: 'action_required'
+};
+
+function normalizeRun(pipeline) {
+  let status = 'completed';
+  if (pipeline.status === 'running') status = 'in_progress';
+  else if (QUEUED.includes(pipeline.status)) status = 'queued';
+
+  return {
+    id: pipeline.id,
+    provider: name,
+    number: pipeline.iid,
+    workflow: pipeline.name || 'Pipeline',
+    workflowFile: '',
+    branch: pipeline.ref,
+    status,
+    conclusion: status === 'completed' ? (CONCLUSIONS[pipeline.status] || 'failure') : null,
+    sha: pipeline.sha,
+    commitMessage: '',
+    actor: pipeline.user?.username || '',
+    htmlUrl: pipeline.web_url,
+    createdAt: pipeline.created_at,
+    startedAt: pipeline.started_at || pipeline.created_at,
+    updatedAt: pipeline.updated_at
+  };
+}
+
+async function fetchRuns(info, { token, cache, onRateLimit, onUnauthorized } = {}) {
+  const url = `${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}/pipelines?per_page=50`;
+  const headers = {};
+
+  if (token) {
+    headers['PRIVATE-TOKEN'] = token;
+  }
+
+  const data = await fetchJson(url, { headers, label: info.key, cache, onRateLimit, onUnauthorized });
+  return (Array.isArray(data) ? data : []).map(normalizeRun);
+}
+
+// A single pipeline by id, see the GitHub adapter
+async function fetchRun(info, id, { token } = {}) {
+  try {
+    const pipeline = await requestJson(`${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}/pipelines/${id}`, {
+      method: 'GET',
+      headers: token ? { 'PRIVATE-TOKEN': token } : {},
+      label: `${info.key} pipeline ${id}`
+    });
+    return normalizeRun(pipeline);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+// GitLab has a single pipeline definition per project, so no workflows
+async function describeSource(info, { token } = {}) {
+  const project = await requestJson(`${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}`, {
+    method: 'GET',
+    headers: token ? { 'PRIVATE-TOKEN': token } : {},
+    label: `Lookup of ${info.key}`
+  });
+  return {
+    name: project.path_with_namespace,
+    url: project.web_url,
+    defaultBranch: project.default_branch,
+    workflows: []
+  };
+}
+
+// GitLab's retry endpoint re-runs the failed and cancelled jobs of a pipeline
+async function rerunFailedJobs(info, run, { token } = {}) {
+  await requestJson(`${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}/pipelines/${run.id}/retry`, {
+    headers: token ? { 'PRIVATE-TOKEN': token } : {},
+    label: `Retry of ${info.key} pipeline #${run.id}`
+  });
+}
+
+// GitLab can't restart a whole pipeline, so a new one is created for its ref
+async function rerunAll(info, run, { token } = {}) {
+  await requestJson(`${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}/pipeline?ref=${encodeURIComponent(run.branch)}`, {
+    headers: token ? { 'PRIVATE-TOKEN': token } : {},
+    label: `New pipeline for ${info.key} ${run.branch}`
+  });
+}
+
+async function cancelRun(info, run, { token } = {}) {
+  await requestJson(`${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}/pipelines/${run.id}/cancel`, {
+    headers: token ? { 'PRIVATE-TOKEN': token } : {},
+    label: `Cancel of ${info.key} pipeline #${run.id}`
+  });
+}
+
+// GitLab has no steps, so the failed job's stage is reported instead
+async function fetchFailureLog(info, run, { token } = {}) {
+  const base = `${info.origin}/api/v4/projects/${encodeURIComponent(info.project)}`;
+  const headers = token ? { 'PRIVATE-TOKEN': token } : {};
+
+  const jobs = await fetchJson(`${base}/pipelines/${run.id}/jobs?scope[]=failed&per_page=100`, { headers, label: `${info.key} jobs` });
+  const job = Array.isArray(jobs) ? jobs[jobs.length - 1] : null;
+  if (!job) return null;
+
+  const log = await fetchText(`${base}/jobs/${job.id}/trace`, { headers, label: `${info.key} job log`, timeout: 30000 });
+  if (log === null) return null;
+
+  return { job: job.name, step: job.stage || null, log, htmlUrl: job.web_url };
+}
+
+module.exports = {
+  name,
+  label,
+  tokenEnv: 'GITLAB_TOKEN',
+  matches,
+  parseUrl,
+  sourceUrl,
+  normalizeRun,
+  fetchRuns,
+  fetchRun,
+  describeSource,
+  rerunFailedJobs,
+  rerunAll,
+  cancelRun,
+  fetchFailureLog
+};
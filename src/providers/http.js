@@ -0,0 +1,189 @@
+// Shared HTTP helper for CI provider adapters
+
+// Used by requests that don't set their own, see setRequestDefaults()
+const requestDefaults = { retries: 3, timeout: 10000 };
+
+// Changes the attempts and timeout of every later request
+function setRequestDefaults({ retries, timeout }) {
+  if (retries !== undefined) requestDefaults.retries = retries;
+  if (timeout !== undefined) requestDefaults.timeout = timeout;
+}
+
+function isNetworkError(err) {
+  return err.code === 'ENOTFOUND' || err.name === 'AbortError' || err.message.includes('fetch failed');
+}
+
+// Reads GitHub style x-ratelimit-* headers (and Retry-After for secondary
+// limits). Returns { limit, remaining, reset } with reset in epoch seconds,
+// or null when the response carries no rate limit information.
+function readRateLimit(response) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter && (response.status === 403 || response.status === 429)) {
+    return { limit: null, remaining: 0, reset: Math.ceil(Date.now() / 1000) + parseInt(retryAfter, 10) };
+  }
+
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  if (remaining === null || remaining === undefined) return null;
+
+  return {
+    limit: parseInt(response.headers.get('x-ratelimit-limit'), 10),
+    remaining: parseInt(remaining, 10),
+    reset: parseInt(response.headers.get('x-ratelimit-reset'), 10)
+  };
+}
+
+// Fetches with a timeout and exponential backoff on network errors, then
+// reads the body with `parse`. Returns null when the request ultimately fails
+// so a single broken source never stops the rest of a check cycle.
+//
+// Pass a `cache` Map to make conditional requests: the ETag of each URL is
+// stored with its body and sent back as If-None-Match, and a 304 response
+// (which doesn't count against GitHub's quota) returns the cached body.
+// `onRateLimit` receives the parsed rate limit headers of every response and
+// `onUnauthorized` is called when the token is rejected (401).
+// `retryStatuses` lists HTTP statuses worth retrying like network errors,
+// e.g. a webhook endpoint answering 429 or 503; `backoff` is the first delay.
+async function fetchWithRetry(url, { method = 'GET', headers = {}, body, label = url, retries = requestDefaults.retries, timeout = requestDefaults.timeout, backoff = 1000, retryStatuses = [], cache, onRateLimit, onUnauthorized } = {}, parse) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+      const cached = cache?.get(url);
+      const requestHeaders = {
+        'User-Agent': 'FailWhale-CI-Notifier/1.0',
+        ...headers
+      };
+      if (cached?.etag) {
+        requestHeaders['If-None-Match'] = cached.etag;
+      }
+
+      const response = await fetch(url, {
+        method,
+        signal: controller.signal,
+        headers: requestHeaders,
+        body
+      });
+
+      clearTimeout(timeoutId);
+
+      const rateLimit = readRateLimit(response);
+      if (rateLimit && onRateLimit) {
+        onRateLimit(rateLimit);
+      }
+
+      if (response.status === 304 && cached) {
+        return cached.data;
+      }
+
+      if (!response.ok) {
+        if (response.status === 401 && onUnauthorized) {
+          onUnauthorized();
+        }
+        if ((response.status === 403 || response.status === 429) && rateLimit && rateLimit.remaining === 0) {
+          console.warn(`API rate limited for ${label}. Remaining: ${rateLimit.remaining}/${rateLimit.limit}, Reset: ${new Date(rateLimit.reset * 1000)}`);
+          throw new Error(`API rate limited: ${response.status}`);
+        }
+        const err = new Error(`API error: ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+
+      const data = await parse(response);
+      const etag = response.headers.get('etag');
+      if (cache && etag) {
+        cache.set(url, { etag, data });
+      }
+      return data;
+
+    } catch (err) {
+      if (attempt === retries) {
+        console.error(`Failed to fetch ${label} after ${retries} attempts:`, err.message);
+        return null;
+      }
+
+      if (isNetworkError(err) || retryStatuses.includes(err.status)) {
+        const delay = Math.min(backoff * Math.pow(2, attempt - 1), 30000); // Exponential backoff, max 30s
+        console.warn(`${err.status ? `HTTP ${err.status}` : 'Network error'} for ${label} (attempt ${attempt}/${retries}). Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else {
+        console.error(`Non-network error for ${label}:`, err.message);
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+async function fetchJson(url, options) {
+  return fetchWithRetry(url, options, response => response.json());
+}
+
+// Same as fetchJson for plain text bodies such as build logs
+async function fetchText(url, options) {
+  return fetchWithRetry(url, options, response => response.text());
+}
+
+// POSTs a JSON body with the same retries as fetchJson. Resolves with the
+// response text, or null when every attempt failed.
+async function postJson(url, body, options = {}) {
+  return fetchWithRetry(url, {
+    retryStatuses: [429, 500, 502, 503, 504],
+    ...options,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: JSON.stringify(body)
+  }, response => response.text());
+}
+
+// Sends a single write request (re-run, cancel, ...). Unlike fetchJson it
+// doesn't retry and throws on failure; the error carries the HTTP `status`
+// so callers can explain permission problems.
+async function requestJson(url, { method = 'POST', headers = {}, body, label = url, timeout = requestDefaults.timeout } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'FailWhale-CI-Notifier/1.0',
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      let message = '';
+      try {
+        message = (await response.json()).message || '';
+      } catch {
+        // Not every error response has a JSON body
+      }
+      const err = new Error(`${label} failed: ${response.status}${message ? ` ${message}` : ''}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    if (response.status === 204) return null;
+    try {
+      return await response.json();
+    } catch {
+      return null;
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+module.exports = {
+  isNetworkError,
+  readRateLimit,
+  fetchJson,
+  fetchText,
+  postJson,
+  requestJson,
+  setRequestDefaults
+};
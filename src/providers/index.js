@@ -0,0 +1,73 @@
+// CI provider registry
+//
+// Every provider adapter exposes the same interface:
+//   name, label      identifier stored in sources.json and a display name
+//   tokenEnv         environment variable holding the default credential
+//   matches(url)     whether a URL looks like it belongs to the provider
+//   parseUrl(url)    provider specific info plus a unique `key` and display `name`, or null
+//   sourceUrl(info)  the canonical URL stored for a source
+//   fetchRuns(info, { token, cache, onRateLimit, onUnauthorized })
+//                    recent runs converted to the common run model; the callbacks
+//                    and `cache` are passed through to fetchJson()
+//   fetchRun(info, id, { token })
+//                    optional; a single run, for tracked runs no longer among the
+//                    recent ones. Null when it no longer exists, throws when it
+//                    couldn't be fetched
+//   describeSource(info, { token })
+//                    optional; { name, url, defaultBranch, workflows } looked up
+//                    from the API, throws when the source can't be read
+//   listOwnerRepos(owner, { token, login }), hasWorkflows(info, { token })
+//                    optional; used to import every repo of an org or user
+//   rerunFailedJobs(info, run, { token })
+//                    optional; re-runs the failed jobs of a run
+//   fetchFailureLog(info, run, { token })
+//                    optional; { job, step, log, htmlUrl } for the first failed job,
+//                    or null when there is none or its log couldn't be downloaded.
+//                    Null isn't cached, so opening the logs later tries again
+//   fetchStatusTargets(info, checks, { token, login, cache, onRateLimit, onUnauthorized })
+//                    optional; combined check state of followed branches and
+//                    pull requests, see commitStatus.js
+//   fetchViewer({ token })
+//                    optional; login of the token's user
+//
+// Common run model:
+//   { id, provider, number, workflow, workflowFile, branch,
+//     status: 'queued' | 'in_progress' | 'completed',
+//     conclusion: 'success' | 'failure' | 'cancelled' | 'skipped' | ... | null,
+//     sha, commitMessage, actor, htmlUrl, createdAt, startedAt, updatedAt }
+//   plus `attempt`, the re-run count where the provider has one (GitHub), and
+//   `kind: 'check_suite'` for GitHub check suites received by the webhook
+//   server, which have no run actions or logs
+const github = require('./github');
+const gitlab = require('./gitlab');
+const bitbucket = require('./bitbucket');
+const jenkins = require('./jenkins');
+
+const providers = [github, gitlab, bitbucket, jenkins];
+
+function getProvider(name) {
+  return providers.find(provider => provider.name === name) || null;
+}
+
+function detectProvider(url) {
+  return providers.find(provider => provider.matches(url)) || null;
+}
+
+// Resolves a source entry to its provider and parsed info. The provider is
+// taken from `source.provider` when set, otherwise detected from the URL.
+function resolveSource(source) {
+  const provider = source.provider ? getProvider(source.provider) : detectProvider(source.url);
+  if (!provider) return null;
+
+  const info = provider.parseUrl(source.url);
+  if (!info) return null;
+
+  return { provider, info };
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  detectProvider,
+  resolveSource
+};
@@ -0,0 +1,152 @@
+// Jenkins adapter (one job, or one branch of a multibranch pipeline)
+const { fetchJson, fetchText, requestJson } = require('./http');
+
+const name = 'jenkins';
+const label = 'Jenkins';
+
+const BUILD_TREE = [
+  'number', 'url', 'result', 'building', 'timestamp', 'duration', 'fullDisplayName',
+  'actions[lastBuiltRevision[SHA1,branch[name]],causes[userName,userId]]',
+  'changeSets[items[msg,author[fullName]]]'
+].join(',');
+
+function toUrl(url) {
+  try {
+    return new URL(/^https?:\/\//.test(url) ? url : `https://${url}`);
+  } catch {
+    return null;
+  }
+}
+
+function matches(url) {
+  const parsed = toUrl(url);
+  return !!parsed && /\/job\/[^\/]+/.test(parsed.pathname);
+}
+
+// https://ci.example.com/job/team/job/app/job/main/
+//   -> { jobUrl: 'https://ci.example.com/job/team/job/app/job/main', job: 'team/app/main' }
+function parseUrl(url) {
+  const parsed = toUrl(url);
+  if (!parsed) return null;
+
+  const match = parsed.pathname.match(/^(.*?(?:\/job\/[^\/]+)+)/);
+  if (!match) return null;
+
+  const jobPath = match[1];
+  const job = jobPath
+    .split('/job/')
+    .slice(1)
+    .map(decodeURIComponent)
+    .join('/');
+
+  return {
+    jobUrl: `${parsed.origin}${jobPath}`,
+    job,
+    key: `${parsed.host}/${job}`,
+    name: job
+  };
+}
+
+function sourceUrl(info) {
+  return `${info.jobUrl}/`;
+}
+
+const CONCLUSIONS = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  UNSTABLE: 'failure',
+  ABORTED: 'cancelled',
+  NOT_BUILT: 'skipped'
+};
+
+function findAction(build, key) {
+  return (build.actions || []).find(action => action && action[key]);
+}
+
+function normalizeRun(build, info) {
+  let status = 'completed';
+  if (build.building) status = 'in_progress';
+  else if (!build.result) status = 'queued';
+
+  const revision = findAction(build, 'lastBuiltRevision')?.lastBuiltRevision;
+  const branch = revision?.branch?.[0]?.name?.replace(/^(refs\/remotes\/)?origin\//, '') || null;
+  const cause = findAction(build, 'causes')?.causes?.find(c => c.userName);
+  const change = build.changeSets?.flatMap(set => set.items || []).pop();
+  const startedAt = build.timestamp ? new Date(build.timestamp).toISOString() : null;
+  const finishedAt = build.timestamp && !build.building
+    ? new Date(build.timestamp + (build.duration || 0)).toISOString()
+    : startedAt;
+
+  return {
+    id: build.number,
+    provider: name,
+    number: build.number,
+    workflow: info.job,
+    workflowFile: '',
+    branch,
+    status,
+    conclusion: status === 'completed' ? (CONCLUSIONS[build.result] || 'failure') : null,
+    sha: revision?.SHA1 || null,
+    commitMessage: change?.msg || '',
+    actor: cause?.userName || change?.author?.fullName || '',
+    htmlUrl: build.url,
+    createdAt: startedAt,
+    startedAt,
+    updatedAt: finishedAt
+  };
+}
+
+// Jenkins API tokens are sent as "username:apitoken" over basic auth
+function authHeaders(token) {
+  return token ? { 'Authorization': `Basic ${Buffer.from(token).toString('base64')}` } : {};
+}
+
+async function fetchRuns(info, { token, cache, onRateLimit, onUnauthorized } = {}) {
+  const url = `${info.jobUrl}/api/json?tree=${encodeURIComponent(`builds[${BUILD_TREE}]{0,50}`)}`;
+  const headers = authHeaders(token);
+
+  const data = await fetchJson(url, { headers, label: info.key, cache, onRateLimit, onUnauthorized });
+  return (data?.builds || []).map(build => normalizeRun(build, info));
+}
+
+// Checks that the job exists and can be read. Jenkins reports URLs under its
+// configured root URL, which may not be the server the source points at, so
+// the configured URL is kept.
+async function describeSource(info, { token } = {}) {
+  const job = await requestJson(`${info.jobUrl}/api/json?tree=fullName`, {
+    method: 'GET',
+    headers: authHeaders(token),
+    label: `Lookup of ${info.key}`
+  });
+  return {
+    name: job.fullName || info.job,
+    defaultBranch: null,
+    workflows: []
+  };
+}
+
+// A build is a single job, so the whole console output is its log. The URL
+// is built from the configured job rather than the one the API reported, so
+// the credentials only ever go to the configured server.
+async function fetchFailureLog(info, run, { token } = {}) {
+  if (!Number.isInteger(run.number)) return null;
+  const buildUrl = `${info.jobUrl}/${run.number}/`;
+
+  const log = await fetchText(`${buildUrl}consoleText`, { headers: authHeaders(token), label: `${info.key} console`, timeout: 30000 });
+  if (log === null) return null;
+
+  return { job: info.job, step: null, log, htmlUrl: `${buildUrl}console` };
+}
+
+module.exports = {
+  name,
+  label,
+  tokenEnv: 'JENKINS_TOKEN',
+  matches,
+  parseUrl,
+  sourceUrl,
+  normalizeRun,
+  fetchRuns,
+  describeSource,
+  fetchFailureLog
+};
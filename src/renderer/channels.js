@@ -0,0 +1,180 @@
+// Channels editor: one card per outbound channel, saved as a whole
+const api = window.channels;
+let channels = [];
+
+const TYPES = [
+  { value: 'slack', label: 'Slack' },
+  { value: 'teams', label: 'Microsoft Teams' },
+  { value: 'discord', label: 'Discord' },
+  { value: 'http', label: 'HTTP POST (JSON)' }
+];
+
+function cleanError(err) {
+  return err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+function showMessage(text, type) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+}
+
+function field(label, control) {
+  const wrapper = document.createElement('label');
+  wrapper.append(label, control);
+  return wrapper;
+}
+
+function input(value, placeholder, onInput) {
+  const element = document.createElement('input');
+  element.type = 'text';
+  element.value = value || '';
+  element.placeholder = placeholder;
+  element.addEventListener('input', () => onInput(element.value.trim()));
+  return element;
+}
+
+function smallButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'small';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function typeSelect(channel) {
+  const select = document.createElement('select');
+  for (const { value, label } of TYPES) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === channel.type;
+    select.appendChild(option);
+  }
+  select.addEventListener('change', () => {
+    channel.type = select.value;
+  });
+  return select;
+}
+
+// Rules are edited as JSON and parsed when saving
+function rulesEditor(channel) {
+  const textarea = document.createElement('textarea');
+  textarea.placeholder = '[{ "match": { "branch": "main" }, "action": "state-change" }]';
+  textarea.value = channel.rules && channel.rules.length > 0 ? JSON.stringify(channel.rules, null, 2) : '';
+  textarea.addEventListener('input', () => {
+    channel.rulesText = textarea.value;
+  });
+  return textarea;
+}
+
+function channelCard(channel, index) {
+  const card = document.createElement('div');
+  card.className = 'rule';
+
+  const header = document.createElement('div');
+  header.className = 'rule-header';
+  const title = document.createElement('span');
+  title.textContent = channel.id || `Channel ${index + 1}`;
+  const spacer = document.createElement('span');
+  spacer.className = 'spacer';
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = channel.enabled !== false;
+  enabled.addEventListener('change', () => {
+    channel.enabled = enabled.checked;
+  });
+  const enabledLabel = document.createElement('label');
+  enabledLabel.className = 'enabled';
+  enabledLabel.append(enabled, ' Enabled');
+
+  header.append(
+    title,
+    spacer,
+    enabledLabel,
+    smallButton('Send test', 'Send a sample failure to the saved channel', () => {
+      api.test(channel.id).then(() => showMessage(`Test sent to ${channel.id}`, 'success'))
+        .catch(err => showMessage(cleanError(err), 'error'));
+    }),
+    smallButton('✕', 'Remove', () => {
+      channels.splice(index, 1);
+      render();
+    })
+  );
+
+  const fields = document.createElement('div');
+  fields.className = 'fields';
+  fields.append(
+    field('Name', input(channel.id, 'team-slack', value => {
+      channel.id = value;
+    })),
+    field('Type', typeSelect(channel)),
+    field('Webhook URL', input(channel.url, 'https://hooks.slack.com/services/...', value => {
+      channel.url = value;
+    }))
+  );
+
+  const wide = document.createElement('div');
+  wide.className = 'fields wide';
+  wide.append(
+    field('Template (empty for the default)', input(channel.template, '{{icon}} {{workflow}} on {{branch}} {{verb}} in {{repo}}', value => {
+      channel.template = value || undefined;
+    })),
+    field('Rules (empty to forward every event)', rulesEditor(channel))
+  );
+
+  card.append(header, fields, wide);
+  return card;
+}
+
+function render() {
+  const container = document.getElementById('channels');
+  container.textContent = '';
+  channels.forEach((channel, index) => container.appendChild(channelCard(channel, index)));
+  document.getElementById('empty').classList.toggle('hidden', channels.length > 0);
+}
+
+// The channels as stored, with the rules text parsed
+function collect() {
+  return channels.map((channel, index) => {
+    const { rulesText, ...stored } = channel;
+    if (rulesText !== undefined) {
+      try {
+        stored.rules = rulesText.trim() ? JSON.parse(rulesText) : [];
+      } catch {
+        throw new Error(`Channel ${index + 1} has rules that aren't valid JSON`);
+      }
+    }
+    return stored;
+  });
+}
+
+document.getElementById('add').addEventListener('click', () => {
+  channels.push({ id: '', type: 'slack', url: '' });
+  render();
+});
+
+document.getElementById('save').addEventListener('click', () => {
+  let list;
+  try {
+    list = collect();
+  } catch (err) {
+    showMessage(err.message, 'error');
+    return;
+  }
+
+  api.save(list).then(() => {
+    channels = structuredClone(list);
+    render();
+    showMessage('Channels saved', 'success');
+  }).catch(err => {
+    showMessage(cleanError(err), 'error');
+  });
+});
+
+api.get().then(stored => {
+  channels = structuredClone(stored);
+  render();
+});
@@ -0,0 +1,117 @@
+// Dashboard: one card per watched repo with a row per workflow
+const api = window.dashboard;
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  if (className) td.className = className;
+  td.textContent = text;
+  return td;
+}
+
+function stateBadge(row) {
+  const badge = document.createElement('span');
+  if (row.status !== 'completed') {
+    badge.className = 'state running';
+    badge.textContent = row.status === 'queued' ? 'Queued' : 'Running';
+  } else {
+    badge.className = `state ${row.conclusion === 'success' ? 'success' : row.conclusion === 'failure' ? 'failure' : ''}`;
+    badge.textContent = row.conclusion || 'unknown';
+  }
+  return badge;
+}
+
+function percent(rate) {
+  return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+// Success rate of the last 7 days, compared with the last 30
+function rateCell(trends) {
+  const td = cell(`${percent(trends[7].successRate)} / ${percent(trends[30].successRate)}`);
+  const { successRate: week } = trends[7];
+  const { successRate: month } = trends[30];
+  if (week !== null && month !== null && week !== month) {
+    td.classList.add(week < month ? 'trend-down' : 'trend-up');
+    td.textContent += week < month ? ' ↓' : ' ↑';
+  }
+  return td;
+}
+
+function durationCell(trends) {
+  return cell([trends[7].medianDurationLabel || '–', trends[30].medianDurationLabel || '–'].join(' / '));
+}
+
+function workflowRow(row) {
+  const tr = document.createElement('tr');
+
+  const name = cell(row.workflow);
+  if (row.flaky) {
+    const flag = document.createElement('span');
+    flag.className = 'flaky';
+    flag.textContent = 'Flaky';
+    flag.title = `Passed and failed on ${row.flakyShas.join(', ')}`;
+    name.appendChild(flag);
+  }
+
+  const state = document.createElement('td');
+  state.appendChild(stateBadge(row));
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = [row.branch, new Date(row.lastRunAt).toLocaleString()].filter(Boolean).join(' · ');
+  state.appendChild(meta);
+
+  tr.append(name, state, rateCell(row.trends), durationCell(row.trends), cell(`${row.trends[30].runs}`));
+
+  if (row.htmlUrl) {
+    tr.classList.add('clickable');
+    tr.addEventListener('click', () => api.openRun(row.htmlUrl));
+  }
+  return tr;
+}
+
+function repoCard(source, rows) {
+  const card = document.createElement('section');
+  card.className = 'repo';
+
+  const title = document.createElement('h2');
+  title.textContent = source.name;
+  const provider = document.createElement('span');
+  provider.className = 'provider';
+  provider.textContent = source.provider;
+  title.appendChild(provider);
+  card.appendChild(title);
+
+  if (rows.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'no-runs';
+    empty.textContent = 'No runs recorded yet.';
+    card.appendChild(empty);
+    return card;
+  }
+
+  const table = document.createElement('table');
+  const header = document.createElement('tr');
+  for (const label of ['Workflow', 'Current state', 'Success 7d / 30d', 'Median 7d / 30d', 'Runs (30d)']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    header.appendChild(th);
+  }
+  table.appendChild(header);
+  rows.forEach(row => table.appendChild(workflowRow(row)));
+  card.appendChild(table);
+  return card;
+}
+
+async function refresh() {
+  const { sources, rows } = await api.get();
+  const container = document.getElementById('repos');
+  container.textContent = '';
+  document.getElementById('empty').classList.toggle('hidden', sources.length > 0);
+
+  for (const source of sources) {
+    container.appendChild(repoCard(source, rows.filter(row => row.sourceKey === source.key)));
+  }
+}
+
+api.onUpdated(refresh);
+
+refresh();
@@ -0,0 +1,141 @@
+// "Run workflow" dialog: pick a source, a dispatchable workflow, a branch and
+// fill in the workflow's inputs
+const api = window.dispatch;
+let workflows = [];
+let values = {};
+
+function cleanError(err) {
+  return err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+function showMessage(text, type) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = `message ${type || ''}`;
+}
+
+function fillSelect(select, options) {
+  select.textContent = '';
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+function selectedWorkflow() {
+  const id = document.getElementById('workflow').value;
+  return workflows.find(workflow => String(workflow.id) === id);
+}
+
+// One control per input: choices get a select, booleans a checkbox
+function inputControl(input) {
+  if (input.type === 'boolean') {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = values[input.name] === 'true';
+    checkbox.addEventListener('change', () => {
+      values[input.name] = String(checkbox.checked);
+    });
+    return checkbox;
+  }
+
+  if (input.type === 'choice') {
+    const select = document.createElement('select');
+    fillSelect(select, input.options.map(option => ({ value: option, label: option })));
+    select.value = values[input.name];
+    select.addEventListener('change', () => {
+      values[input.name] = select.value;
+    });
+    return select;
+  }
+
+  const element = document.createElement('input');
+  element.type = input.type === 'number' ? 'number' : 'text';
+  element.value = values[input.name];
+  element.placeholder = input.description || '';
+  element.addEventListener('input', () => {
+    values[input.name] = element.value;
+  });
+  return element;
+}
+
+function renderInputs() {
+  const workflow = selectedWorkflow();
+  const container = document.getElementById('inputs');
+  container.textContent = '';
+  values = {};
+
+  const inputs = workflow ? workflow.inputs : [];
+  for (const input of inputs) {
+    values[input.name] = input.default === null || input.default === undefined
+      ? (input.type === 'choice' ? input.options[0] || '' : '')
+      : String(input.default);
+
+    const label = document.createElement('label');
+    label.title = input.description || '';
+    label.append(`${input.name}${input.required ? ' *' : ''}`, inputControl(input));
+    container.appendChild(label);
+  }
+  document.getElementById('inputsCard').classList.toggle('hidden', inputs.length === 0);
+  document.getElementById('run').disabled = !workflow;
+}
+
+async function loadSource() {
+  const index = Number(document.getElementById('source').value);
+  const workflowSelect = document.getElementById('workflow');
+  const branchSelect = document.getElementById('branch');
+  workflows = [];
+  fillSelect(workflowSelect, []);
+  fillSelect(branchSelect, []);
+  renderInputs();
+  showMessage('Loading workflows…');
+
+  try {
+    const [loadedWorkflows, branches] = await Promise.all([api.workflows(index), api.branches(index)]);
+    workflows = loadedWorkflows;
+    fillSelect(workflowSelect, workflows.map(workflow => ({ value: String(workflow.id), label: `${workflow.name} (${workflow.file})` })));
+    fillSelect(branchSelect, branches.map(branch => ({ value: branch, label: branch })));
+    renderInputs();
+    showMessage(workflows.length === 0 ? 'No workflows with a workflow_dispatch trigger' : '');
+  } catch (err) {
+    showMessage(cleanError(err), 'error');
+  }
+}
+
+async function load() {
+  const sources = await api.sources();
+  if (sources.length === 0) {
+    document.getElementById('empty').classList.remove('hidden');
+    return;
+  }
+  fillSelect(document.getElementById('source'), sources.map(source => ({ value: String(source.index), label: source.name })));
+  await loadSource();
+}
+
+document.getElementById('source').addEventListener('change', loadSource);
+document.getElementById('workflow').addEventListener('change', renderInputs);
+
+document.getElementById('run').addEventListener('click', async () => {
+  const button = document.getElementById('run');
+  const workflow = selectedWorkflow();
+  const ref = document.getElementById('branch').value;
+  if (!workflow || !ref) {
+    showMessage('Pick a workflow and a branch', 'error');
+    return;
+  }
+
+  button.disabled = true;
+  showMessage('Starting…');
+  try {
+    const message = await api.run(Number(document.getElementById('source').value), workflow.id, ref, values);
+    showMessage(message, 'success');
+  } catch (err) {
+    showMessage(cleanError(err), 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+load().catch(err => showMessage(cleanError(err), 'error'));
@@ -0,0 +1,181 @@
+// Import window: list an org's or user's repositories and add a selection
+const api = window.importer;
+let repos = [];
+const selected = new Set();
+
+function cleanError(err) {
+  return err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+function showMessage(id, text, type) {
+  const message = document.getElementById(id);
+  message.textContent = text;
+  message.className = `message ${type || ''}`;
+}
+
+function smallButton(text, onClick) {
+  const button = document.createElement('button');
+  button.className = 'small';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function updateCount() {
+  const available = repos.filter(repo => !repo.watched).length;
+  document.getElementById('count').textContent =
+    `${repos.length} repositories, ${selected.size} of ${available} new ones selected`;
+}
+
+function renderRepos() {
+  const container = document.getElementById('repos');
+  container.textContent = '';
+
+  for (const repo of repos) {
+    const row = document.createElement('label');
+    row.className = repo.watched ? 'repo watched' : 'repo';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.disabled = repo.watched;
+    checkbox.checked = selected.has(repo.name);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selected.add(repo.name);
+      else selected.delete(repo.name);
+      updateCount();
+    });
+
+    const details = [
+      repo.watched ? 'already added' : '',
+      repo.archived ? 'archived' : '',
+      repo.topics.join(', '),
+      repo.description
+    ].filter(Boolean).join(' · ');
+    const small = document.createElement('small');
+    small.textContent = details;
+
+    row.append(checkbox, repo.name, small);
+    container.appendChild(row);
+  }
+
+  document.getElementById('results').classList.toggle('hidden', repos.length === 0);
+  updateCount();
+}
+
+async function renderSyncs() {
+  const syncs = await api.syncs();
+  const container = document.getElementById('syncs');
+  container.textContent = '';
+  document.getElementById('noSyncs').classList.toggle('hidden', syncs.length > 0);
+
+  for (const imported of syncs) {
+    const card = document.createElement('div');
+    card.className = 'rule sync';
+
+    const filters = [
+      imported.topic && `topic ${imported.topic}`,
+      imported.includeArchived && 'archived included',
+      imported.requireWorkflows && 'with workflows',
+      imported.group && `into ${imported.group}`
+    ].filter(Boolean).join(', ');
+    const text = document.createElement('span');
+    text.textContent = `${imported.owner}${filters ? ` (${filters})` : ''}`;
+
+    const message = document.createElement('span');
+    message.className = 'message';
+    message.textContent = imported.lastSync ? `last synced ${new Date(imported.lastSync).toLocaleString()}` : '';
+
+    const spacer = document.createElement('span');
+    spacer.className = 'spacer';
+
+    card.append(
+      text,
+      spacer,
+      message,
+      smallButton('Sync now', () => {
+        message.textContent = 'Syncing…';
+        message.className = 'message';
+        api.syncNow(imported.owner)
+          .then(count => {
+            message.textContent = count === 0 ? 'No new repositories' : `Added ${count} new repositories`;
+            message.className = 'message success';
+          })
+          .catch(err => {
+            message.textContent = cleanError(err);
+            message.className = 'message error';
+          });
+      }),
+      smallButton('Stop syncing', () => {
+        api.stopSync(imported.owner).then(renderSyncs);
+      })
+    );
+    container.appendChild(card);
+  }
+}
+
+async function loadCredentials() {
+  const credentials = await api.credentials();
+  const select = document.getElementById('credential');
+  for (const { id, label } of [{ id: '', label: 'Default token' }, ...credentials]) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+document.getElementById('list').addEventListener('click', async () => {
+  const button = document.getElementById('list');
+  const spec = {
+    owner: document.getElementById('owner').value,
+    topic: document.getElementById('topic').value,
+    includeArchived: document.getElementById('includeArchived').checked,
+    requireWorkflows: document.getElementById('requireWorkflows').checked
+  };
+
+  button.disabled = true;
+  showMessage('listMessage', spec.requireWorkflows ? 'Listing and checking for workflows…' : 'Listing…');
+  try {
+    repos = await api.list(spec, document.getElementById('credential').value);
+    selected.clear();
+    repos.filter(repo => !repo.watched).forEach(repo => selected.add(repo.name));
+    renderRepos();
+    showMessage('listMessage', repos.length === 0 ? 'No repositories match' : '');
+  } catch (err) {
+    showMessage('listMessage', cleanError(err), 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+document.getElementById('selectAll').addEventListener('click', () => {
+  repos.filter(repo => !repo.watched).forEach(repo => selected.add(repo.name));
+  renderRepos();
+});
+
+document.getElementById('selectNone').addEventListener('click', () => {
+  selected.clear();
+  renderRepos();
+});
+
+document.getElementById('add').addEventListener('click', async () => {
+  const sync = document.getElementById('sync').checked;
+  if (selected.size === 0 && !sync) {
+    showMessage('addMessage', 'Select the repositories to import', 'error');
+    return;
+  }
+
+  try {
+    const count = await api.add([...selected], { group: document.getElementById('group').value, sync });
+    showMessage('addMessage', `Imported ${count} repositories`, 'success');
+    repos = repos.map(repo => (selected.has(repo.name) ? { ...repo, watched: true } : repo));
+    selected.clear();
+    renderRepos();
+    renderSyncs();
+  } catch (err) {
+    showMessage('addMessage', cleanError(err), 'error');
+  }
+});
+
+loadCredentials().catch(err => showMessage('listMessage', cleanError(err), 'error'));
+renderSyncs().catch(err => showMessage('listMessage', cleanError(err), 'error'));
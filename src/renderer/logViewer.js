@@ -0,0 +1,73 @@
+// Log viewer: cached failure logs on the left, the selected excerpt on the right
+const api = window.logs;
+let selectedId = null;
+
+function renderEntries(entries) {
+  const list = document.getElementById('entries');
+  list.textContent = '';
+  document.getElementById('empty').classList.toggle('hidden', entries.length > 0);
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.classList.toggle('selected', entry.id === selectedId);
+
+    const title = document.createElement('div');
+    title.textContent = [entry.repo, entry.workflow].filter(Boolean).join(' · ');
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = [entry.branch, entry.job, new Date(entry.fetchedAt).toLocaleString()].filter(Boolean).join(' · ');
+
+    item.append(title, meta);
+    item.addEventListener('click', () => select(entry.id));
+    list.appendChild(item);
+  }
+}
+
+function renderLog(entry) {
+  document.getElementById('header').classList.remove('hidden');
+  document.getElementById('title').textContent = [entry.repo, entry.workflow, entry.branch].filter(Boolean).join(' · ');
+  document.getElementById('subtitle').textContent = entry.step ? `${entry.job} › ${entry.step}` : entry.job;
+
+  const { lines, startLine, errorLine, totalLines } = entry.excerpt;
+  const notice = document.getElementById('notice');
+  notice.textContent = `Showing lines ${startLine}–${startLine + lines.length - 1} of ${totalLines}`;
+  notice.classList.remove('hidden');
+
+  const log = document.getElementById('log');
+  log.textContent = '';
+  lines.forEach((text, index) => {
+    const lineNumber = startLine + index;
+    const line = document.createElement('span');
+    line.className = lineNumber === errorLine ? 'line error' : 'line';
+
+    const number = document.createElement('span');
+    number.className = 'line-number';
+    number.textContent = lineNumber;
+
+    line.append(number, document.createTextNode(text));
+    log.appendChild(line);
+  });
+
+  const error = log.querySelector('.error');
+  if (error) error.scrollIntoView({ block: 'center' });
+}
+
+async function refresh() {
+  renderEntries(await api.list());
+}
+
+async function select(id) {
+  selectedId = id;
+  const entry = await api.get(id);
+  await refresh();
+  if (entry) renderLog(entry);
+}
+
+document.getElementById('openInBrowser').addEventListener('click', () => {
+  if (selectedId) api.openInBrowser(selectedId);
+});
+
+api.onSelect(select);
+api.onUpdated(refresh);
+
+refresh();
@@ -0,0 +1,130 @@
+// Notification popup: renders one run event and forwards clicks to the main process
+const api = window.notification;
+
+function setText(id, value) {
+  document.getElementById(id).textContent = value || '';
+}
+
+// Two-note tones for events without a sound file of their own
+const TONES = {
+  start: [523.25, 659.25],
+  success: [659.25, 880],
+  failure: [440, 311.13]
+};
+
+function playTone(tone, volume) {
+  const notes = TONES[tone] || TONES.failure;
+  const context = new AudioContext();
+  const gain = context.createGain();
+  gain.connect(context.destination);
+
+  notes.forEach((frequency, index) => {
+    const start = context.currentTime + index * 0.18;
+    const oscillator = context.createOscillator();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    oscillator.connect(gain);
+    gain.gain.setValueAtTime(volume * 0.4, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.17);
+    oscillator.start(start);
+    oscillator.stop(start + 0.17);
+  });
+
+  setTimeout(() => context.close(), 1000);
+}
+
+function playSound(sound) {
+  if (sound.url) {
+    const audio = new Audio(sound.url);
+    audio.volume = sound.volume;
+    // An unreadable file still gets the built-in tone
+    audio.play().catch(() => playTone(sound.tone, sound.volume));
+  } else {
+    playTone(sound.tone, sound.volume);
+  }
+}
+
+function speak(text, volume) {
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.volume = volume;
+  speechSynthesis.speak(utterance);
+}
+
+api.onShow((data) => {
+  if (data.sound) playSound(data.sound);
+  if (data.speech) speak(data.speech.text, data.speech.volume);
+
+  const status = document.getElementById('status');
+  status.textContent = data.status;
+  status.classList.add(String(data.status).toLowerCase());
+
+  // Media packs may contain videos as well as GIFs and images
+  const gif = document.getElementById('gif');
+  if (data.gif && data.gif.url && data.gif.type === 'video') {
+    const video = document.getElementById('video');
+    video.src = data.gif.url;
+    video.classList.remove('hidden');
+    gif.classList.add('hidden');
+  } else if (data.gif && data.gif.url) {
+    gif.src = data.gif.url;
+  } else {
+    gif.classList.add('hidden');
+  }
+
+  // Bursts arrive as one summary listing every run
+  if (data.summary) {
+    setText('repo', data.summary);
+    const items = document.getElementById('items');
+    for (const item of data.items || []) {
+      const li = document.createElement('li');
+      li.textContent = item;
+      items.appendChild(li);
+    }
+    items.classList.remove('hidden');
+    return;
+  }
+
+  setText('repo', data.repo);
+  setText('workflow', data.workflow);
+  setText('commit', data.commitMessage);
+  setText('branch', data.branch);
+  setText('actor', data.actor);
+  setText('duration', data.duration);
+
+  // Re-run, cancel, ... whatever the provider supports for this run
+  const runActions = document.getElementById('runActions');
+  for (const action of data.runActions || []) {
+    const button = document.createElement('button');
+    button.className = 'run-action';
+    button.textContent = action.label;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      runActions.querySelectorAll('button').forEach(other => {
+        other.disabled = true;
+      });
+      api.runAction(action.name);
+    });
+    runActions.appendChild(button);
+  }
+  document.getElementById('logs').classList.toggle('hidden', !data.canViewLogs);
+});
+
+api.onUpdate((data) => {
+  setText('message', data.message);
+});
+
+document.getElementById('card').addEventListener('click', () => api.open());
+
+document.getElementById('logs').addEventListener('click', (event) => {
+  event.stopPropagation();
+  api.viewLogs();
+});
+
+document.getElementById('dismiss').addEventListener('click', (event) => {
+  event.stopPropagation();
+  api.dismiss();
+});
+
+// Keep the popup up while the pointer is over it
+document.body.addEventListener('mouseenter', () => api.hold());
+document.body.addEventListener('mouseleave', () => api.release());
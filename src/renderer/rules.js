@@ -0,0 +1,153 @@
+// Notification rules editor: one card per rule, saved as a whole
+const api = window.rules;
+let rules = [];
+
+const TEXT_FIELDS = [
+  { field: 'source', label: 'Source', placeholder: 'acme/*' },
+  { field: 'workflow', label: 'Workflow', placeholder: 'deploy.yml' },
+  { field: 'branch', label: 'Branch', placeholder: 'main, release/*' },
+  { field: 'actor', label: 'Actor', placeholder: 'dependabot*' },
+  { field: 'conclusion', label: 'Conclusion', placeholder: 'failure' }
+];
+
+const EVENTS = [
+  { value: '', label: 'Any event' },
+  { value: 'started', label: 'Started' },
+  { value: 'completed', label: 'Completed' }
+];
+
+const ACTIONS = [
+  { value: 'notify', label: 'Notify' },
+  { value: 'ignore', label: 'Ignore' },
+  { value: 'state-change', label: 'Only on state change' }
+];
+
+function showMessage(text, type) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+}
+
+function patternsToText(value) {
+  if (value === undefined) return '';
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+function textToPatterns(text) {
+  const patterns = text.split(',').map(pattern => pattern.trim()).filter(Boolean);
+  if (patterns.length === 0) return undefined;
+  return patterns.length === 1 ? patterns[0] : patterns;
+}
+
+function setMatch(rule, field, value) {
+  rule.match = { ...rule.match };
+  if (value === undefined) {
+    delete rule.match[field];
+  } else {
+    rule.match[field] = value;
+  }
+}
+
+function select(options, selected, onChange) {
+  const element = document.createElement('select');
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selected;
+    element.appendChild(option);
+  }
+  element.addEventListener('change', () => onChange(element.value));
+  return element;
+}
+
+function field(label, control) {
+  const wrapper = document.createElement('label');
+  wrapper.append(label, control);
+  return wrapper;
+}
+
+function smallButton(text, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.className = 'small';
+  button.textContent = text;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function move(index, offset) {
+  const [rule] = rules.splice(index, 1);
+  rules.splice(index + offset, 0, rule);
+  render();
+}
+
+function ruleCard(rule, index) {
+  const card = document.createElement('div');
+  card.className = 'rule';
+
+  const header = document.createElement('div');
+  header.className = 'rule-header';
+  const title = document.createElement('span');
+  title.textContent = `Rule ${index + 1}`;
+  const spacer = document.createElement('span');
+  spacer.className = 'spacer';
+  header.append(
+    title,
+    spacer,
+    smallButton('↑', 'Move up', index === 0, () => move(index, -1)),
+    smallButton('↓', 'Move down', index === rules.length - 1, () => move(index, 1)),
+    smallButton('✕', 'Remove', false, () => {
+      rules.splice(index, 1);
+      render();
+    })
+  );
+
+  const fields = document.createElement('div');
+  fields.className = 'fields';
+  const match = rule.match || {};
+
+  for (const { field: name, label, placeholder } of TEXT_FIELDS) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = placeholder;
+    input.value = patternsToText(match[name]);
+    input.addEventListener('input', () => setMatch(rule, name, textToPatterns(input.value)));
+    fields.appendChild(field(label, input));
+  }
+
+  const event = Array.isArray(match.event) ? match.event[0] : match.event;
+  fields.appendChild(field('Event', select(EVENTS, event || '', value => setMatch(rule, 'event', value || undefined))));
+  fields.appendChild(field('Action', select(ACTIONS, rule.action, value => {
+    rule.action = value;
+  })));
+
+  card.append(header, fields);
+  return card;
+}
+
+function render() {
+  const container = document.getElementById('rules');
+  container.textContent = '';
+  rules.forEach((rule, index) => container.appendChild(ruleCard(rule, index)));
+  document.getElementById('empty').classList.toggle('hidden', rules.length > 0);
+}
+
+document.getElementById('add').addEventListener('click', () => {
+  rules.push({ match: {}, action: 'notify' });
+  render();
+});
+
+document.getElementById('save').addEventListener('click', () => {
+  api.save(rules).then(() => {
+    showMessage('Rules saved', 'success');
+  }).catch(err => {
+    showMessage(err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''), 'error');
+  });
+});
+
+api.get().then(stored => {
+  rules = structuredClone(stored);
+  render();
+});
@@ -0,0 +1,146 @@
+// Settings window: one card per section of the settings schema
+const api = window.settings;
+let schema = {};
+const inputs = []; // { section, key, field, control }
+
+function cleanError(err) {
+  return err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+function showMessage(text, type) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = `message ${type || ''}`;
+}
+
+// "bottom-right" -> "Bottom right"
+function choiceLabel(choice) {
+  const words = choice.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function control(field) {
+  if (field.type === 'days') {
+    const select = document.createElement('select');
+    select.multiple = true;
+    select.size = field.names.length;
+    field.names.forEach((name, day) => {
+      const option = document.createElement('option');
+      option.value = String(day);
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    return select;
+  }
+  if (field.type === 'choice') {
+    const select = document.createElement('select');
+    for (const choice of field.choices) {
+      const option = document.createElement('option');
+      option.value = choice;
+      option.textContent = choiceLabel(choice);
+      select.appendChild(option);
+    }
+    return select;
+  }
+
+  const input = document.createElement('input');
+  if (field.type === 'integer') {
+    input.type = 'number';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = 1;
+  } else if (field.type === 'time') {
+    input.type = 'time';
+  } else {
+    input.type = 'text';
+    input.maxLength = field.maxLength;
+  }
+  return input;
+}
+
+function setValues(values) {
+  for (const { section, key, field, control } of inputs) {
+    if (field.type === 'days') {
+      for (const option of control.options) {
+        option.selected = values[section][key].includes(Number(option.value));
+      }
+    } else {
+      control.value = String(values[section][key]);
+    }
+  }
+}
+
+function defaults() {
+  const values = {};
+  for (const [section, { fields }] of Object.entries(schema)) {
+    values[section] = {};
+    for (const [key, field] of Object.entries(fields)) {
+      values[section][key] = field.default;
+    }
+  }
+  return values;
+}
+
+// Numbers are sent as typed; the main process rejects anything out of range
+function readValues() {
+  const values = {};
+  for (const { section, key, field, control } of inputs) {
+    values[section] = values[section] || {};
+    if (field.type === 'days') {
+      values[section][key] = [...control.selectedOptions].map(option => Number(option.value));
+    } else {
+      values[section][key] = field.type === 'integer' && control.value.trim() !== ''
+        ? Number(control.value)
+        : control.value;
+    }
+  }
+  return values;
+}
+
+function render(values) {
+  const container = document.getElementById('sections');
+  container.textContent = '';
+  inputs.length = 0;
+
+  for (const [section, { label, fields }] of Object.entries(schema)) {
+    const card = document.createElement('div');
+    card.className = 'section';
+
+    const header = document.createElement('div');
+    header.className = 'section-title';
+    header.textContent = label;
+
+    const grid = document.createElement('div');
+    grid.className = 'fields';
+    for (const [key, field] of Object.entries(fields)) {
+      const input = control(field);
+      inputs.push({ section, key, field, control: input });
+
+      const wrapper = document.createElement('label');
+      wrapper.append(field.unit ? `${field.label} (${field.unit})` : field.label, input);
+      grid.appendChild(wrapper);
+    }
+
+    card.append(header, grid);
+    container.appendChild(card);
+  }
+  setValues(values);
+}
+
+document.getElementById('defaults').addEventListener('click', () => {
+  setValues(defaults());
+  showMessage('Defaults restored, save to apply them');
+});
+
+document.getElementById('save').addEventListener('click', () => {
+  api.save(readValues())
+    .then(() => showMessage('Saved', 'success'))
+    .catch(err => showMessage(cleanError(err), 'error'));
+});
+
+api.get()
+  .then(data => {
+    schema = data.schema;
+    render(data.values);
+  })
+  .catch(err => showMessage(cleanError(err), 'error'));
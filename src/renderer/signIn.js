@@ -0,0 +1,28 @@
+// GitHub sign in: shows the device code and opens GitHub's verification page
+const api = window.signIn;
+let verificationUri = '';
+
+document.getElementById('open').addEventListener('click', () => {
+  navigator.clipboard.writeText(document.getElementById('code').textContent);
+  api.openVerification(verificationUri);
+});
+
+api.onStatus((update) => {
+  const message = document.getElementById('message');
+  const code = document.getElementById('code');
+  const open = document.getElementById('open');
+
+  message.classList.toggle('error', update.state === 'error');
+
+  if (update.state === 'code') {
+    verificationUri = update.verificationUri;
+    message.textContent = 'Enter this code on GitHub to connect FailWhale:';
+    code.textContent = update.userCode;
+    code.classList.remove('hidden');
+    open.classList.remove('hidden');
+  } else {
+    message.textContent = update.message;
+    code.classList.add('hidden');
+    open.classList.add('hidden');
+  }
+});
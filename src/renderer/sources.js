@@ -0,0 +1,369 @@
+// Sources window: add, edit, group and order sources, and manage tokens
+const api = window.sources;
+let sources = [];
+let credentials = [];
+let editing = null; // index of the source being edited
+
+const RUN_ICONS = {
+  success: '✅',
+  failure: '❌',
+  cancelled: '⚪',
+  in_progress: '🔄',
+  queued: '⏳'
+};
+
+const CHECKS_OPTIONS = [
+  { value: 'off', label: 'Checks: off' },
+  { value: 'branch', label: 'Checks: default branch' },
+  { value: 'mine', label: 'Checks: branch + my PRs' },
+  { value: 'all', label: 'Checks: branch + all PRs' }
+];
+
+function cleanError(err) {
+  return err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+function showMessage(element, text, type) {
+  element.textContent = text;
+  element.className = `message ${type || ''}`;
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function button(text, className, onClick) {
+  const node = element('button', className, text);
+  node.addEventListener('click', onClick);
+  return node;
+}
+
+function select(options, selected, onChange) {
+  const node = document.createElement('select');
+  for (const { value, label } of options) {
+    const option = element('option', '', label);
+    option.value = value;
+    option.selected = value === selected;
+    node.appendChild(option);
+  }
+  node.addEventListener('change', () => onChange(node.value));
+  return node;
+}
+
+function credentialOptions() {
+  return [{ value: '', label: 'Default token' }]
+    .concat(credentials.map(credential => ({ value: credential.id, label: credential.label })));
+}
+
+function soundOptions(sound) {
+  const options = [
+    { value: 'default', label: 'Default sound' },
+    { value: 'off', label: 'No sound' }
+  ];
+  if (typeof sound === 'string' || (sound && typeof sound === 'object')) {
+    options.push({ value: 'custom', label: typeof sound === 'string' ? sound.split(/[\\/]/).pop() : 'Custom sounds' });
+  }
+  options.push({ value: 'choose', label: 'Choose file…' });
+  return options;
+}
+
+function soundChoice(sound) {
+  if (sound === undefined) return 'default';
+  return sound === false ? 'off' : 'custom';
+}
+
+function checksChoice(checks) {
+  if (!checks) return 'off';
+  if (checks.branches || !['mine', 'all', undefined].includes(checks.pullRequests)) return 'custom';
+  return checks.pullRequests || 'branch';
+}
+
+function relativeTime(timestamp) {
+  const minutes = Math.round((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return `${Math.round(minutes / (24 * 60))}d ago`;
+}
+
+function statusText(run) {
+  if (!run) return 'No runs yet';
+  const icon = run.status === 'completed' ? (RUN_ICONS[run.conclusion] || '⚠️') : (RUN_ICONS[run.status] || '⏳');
+  const where = [run.workflow, run.branch && `on ${run.branch}`].filter(Boolean).join(' ');
+  return `${icon} ${where}${run.updatedAt ? ` · ${relativeTime(run.updatedAt)}` : ''}`;
+}
+
+function repositoryText(source) {
+  const repository = source.repository;
+  if (!repository) return source.providerLabel;
+  const parts = [source.providerLabel];
+  if (repository.defaultBranch) parts.push(`default branch ${repository.defaultBranch}`);
+  if (repository.workflows && repository.workflows.length > 0) {
+    parts.push(`${repository.workflows.length} workflow${repository.workflows.length === 1 ? '' : 's'}: ${repository.workflows.join(', ')}`);
+  }
+  if (source.importedFrom) parts.push(`imported from ${source.importedFrom}`);
+  return parts.join(' · ');
+}
+
+// Runs a change and re-renders, showing a failure in the given element
+function change(promise, messageElement) {
+  return promise
+    .then(() => render())
+    .catch(err => showMessage(messageElement, cleanError(err), 'error'));
+}
+
+function isFirstOrLast(index, offset) {
+  const group = sources[index].group || '';
+  for (let other = index + offset; other >= 0 && other < sources.length; other += offset) {
+    if ((sources[other].group || '') === group) return false;
+  }
+  return true;
+}
+
+function editFields(source, index, message) {
+  const fields = element('div', 'edit-fields');
+  const url = element('input');
+  url.type = 'url';
+  url.value = source.url;
+  const label = element('input');
+  label.type = 'text';
+  label.value = source.label || '';
+  label.placeholder = 'Label (optional)';
+  const group = element('input');
+  group.type = 'text';
+  group.value = source.group || '';
+  group.placeholder = 'Group (optional)';
+  group.setAttribute('list', 'groups');
+
+  const save = button('Save', '', () => {
+    save.disabled = true;
+    showMessage(message, url.value.trim() !== source.url ? 'Checking…' : '');
+    api.update(index, { url: url.value.trim(), label: label.value, group: group.value })
+      .then(() => {
+        editing = null;
+        return render();
+      })
+      .catch(err => {
+        save.disabled = false;
+        showMessage(message, cleanError(err), 'error');
+      });
+  });
+  const cancel = button('Cancel', 'small', () => {
+    editing = null;
+    render();
+  });
+
+  const actions = element('div', 'row');
+  actions.append(message, cancel, save);
+  fields.append(url, label, group, actions);
+  return fields;
+}
+
+function sourceCard(source, index) {
+  const card = element('div', 'card source-item');
+  const message = element('span', 'message');
+
+  const header = element('div', 'source-header');
+  header.append(element('span', 'source-name', source.label || (source.repository && source.repository.name) || source.name));
+  if (source.authError) {
+    header.append(element('span', 'badge-error', 'Token invalid/expired'));
+  }
+  header.append(element('span', 'status', statusText(source.lastRun)));
+  card.append(header);
+
+  if (editing === index) {
+    card.append(editFields(source, index, message));
+    return card;
+  }
+
+  card.append(element('div', 'source-url', source.url));
+  card.append(element('div', 'source-details', repositoryText(source)));
+
+  const meta = element('div', 'source-meta');
+  meta.append(select(credentialOptions(), source.credential || '', id => change(api.setCredential(index, id), message)));
+  meta.append(select(soundOptions(source.sound), soundChoice(source.sound), choice => {
+    if (choice !== 'custom') change(api.setSound(index, choice), message);
+  }));
+  if (source.supportsChecks) {
+    const choice = checksChoice(source.checks);
+    const options = choice === 'custom' ? CHECKS_OPTIONS.concat({ value: 'custom', label: 'Checks: custom' }) : CHECKS_OPTIONS;
+    meta.append(select(options, choice, value => {
+      if (value !== 'custom') change(api.setChecks(index, value), message);
+    }));
+  }
+
+  const mute = element('label', 'mute-toggle');
+  const checkbox = element('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = !!source.muted;
+  checkbox.addEventListener('change', () => change(api.setMuted(index, checkbox.checked), message));
+  mute.append(checkbox, ' Mute');
+  meta.append(mute);
+
+  const up = button('↑', 'small', () => change(api.move(index, -1), message));
+  up.title = 'Move up';
+  up.disabled = isFirstOrLast(index, -1);
+  const down = button('↓', 'small', () => change(api.move(index, 1), message));
+  down.title = 'Move down';
+  down.disabled = isFirstOrLast(index, 1);
+  meta.append(
+    up,
+    down,
+    button('Edit', 'small', () => {
+      editing = index;
+      render();
+    }),
+    button('Remove', 'small danger', () => change(api.remove(index), message))
+  );
+  card.append(meta, message);
+  return card;
+}
+
+// Sources are listed by group, in the order the groups first appear
+function renderSources() {
+  const container = document.getElementById('sourcesList');
+  container.textContent = '';
+  document.getElementById('empty').classList.toggle('hidden', sources.length > 0);
+
+  const groups = [];
+  sources.forEach((source, index) => {
+    const name = source.group || '';
+    let group = groups.find(candidate => candidate.name === name);
+    if (!group) {
+      group = { name, indexes: [] };
+      groups.push(group);
+    }
+    group.indexes.push(index);
+  });
+
+  const named = groups.some(group => group.name);
+  for (const group of groups) {
+    if (named) {
+      container.append(element('div', 'group-title', group.name || 'Ungrouped'));
+    }
+    group.indexes.forEach(index => container.append(sourceCard(sources[index], index)));
+  }
+
+  const datalist = document.getElementById('groups');
+  datalist.textContent = '';
+  groups.filter(group => group.name).forEach(group => {
+    const option = document.createElement('option');
+    option.value = group.name;
+    datalist.append(option);
+  });
+}
+
+function renderCredentials() {
+  const container = document.getElementById('credentialsList');
+  container.textContent = '';
+  const message = document.getElementById('credentialMessage');
+
+  for (const credential of credentials) {
+    const item = element('div', 'credential-item');
+    const text = element('span', '', `${credential.label} `);
+    text.append(element('small', '', `${credential.id} · updated ${new Date(credential.updated).toLocaleDateString()}`));
+
+    const actions = element('span', 'row');
+    actions.append(
+      button('Rotate', 'small', () => {
+        document.getElementById('credentialId').value = credential.id;
+        document.getElementById('credentialLabel').value = credential.label;
+        document.getElementById('credentialToken').focus();
+      }),
+      button('Remove', 'small danger', () => change(api.removeCredential(credential.id), message))
+    );
+    item.append(text, actions);
+    container.append(item);
+  }
+
+  const addCredential = document.getElementById('sourceCredential');
+  const selected = addCredential.value;
+  addCredential.textContent = '';
+  for (const { value, label } of credentialOptions()) {
+    const option = element('option', '', label);
+    option.value = value;
+    option.selected = value === selected;
+    addCredential.append(option);
+  }
+}
+
+async function render() {
+  [sources, credentials] = await Promise.all([api.list(), api.credentials()]);
+  if (editing !== null && editing >= sources.length) editing = null;
+  renderCredentials();
+  renderSources();
+}
+
+function addSource() {
+  const url = document.getElementById('sourceUrl');
+  const label = document.getElementById('sourceLabel');
+  const group = document.getElementById('sourceGroup');
+  const message = document.getElementById('addMessage');
+  const add = document.getElementById('add');
+  if (!url.value.trim()) {
+    showMessage(message, 'Enter a repository, pipeline or job URL', 'error');
+    return;
+  }
+
+  add.disabled = true;
+  showMessage(message, 'Checking…');
+  api.add(url.value.trim(), document.getElementById('sourceProvider').value, {
+    label: label.value,
+    group: group.value,
+    credential: document.getElementById('sourceCredential').value
+  })
+    .then(source => {
+      url.value = '';
+      label.value = '';
+      const name = (source.repository && source.repository.name) || source.url;
+      const branch = source.repository && source.repository.defaultBranch;
+      showMessage(message, `Added ${name}${branch ? ` (default branch ${branch})` : ''}`, 'success');
+      return render();
+    })
+    .catch(err => showMessage(message, cleanError(err), 'error'))
+    .finally(() => {
+      add.disabled = false;
+    });
+}
+
+function saveCredential() {
+  const id = document.getElementById('credentialId');
+  const label = document.getElementById('credentialLabel');
+  const token = document.getElementById('credentialToken');
+  const message = document.getElementById('credentialMessage');
+
+  api.saveCredential(id.value.trim(), label.value.trim(), token.value)
+    .then(() => {
+      id.value = '';
+      label.value = '';
+      token.value = '';
+      showMessage(message, 'Token saved', 'success');
+      return render();
+    })
+    .catch(err => showMessage(message, cleanError(err), 'error'));
+}
+
+document.getElementById('add').addEventListener('click', addSource);
+document.getElementById('sourceUrl').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') addSource();
+});
+document.getElementById('saveCredential').addEventListener('click', saveCredential);
+
+api.onUpdated(() => {
+  // Don't throw away an edit in progress
+  if (editing === null) render();
+});
+
+api.providers().then(providers => {
+  const providerSelect = document.getElementById('sourceProvider');
+  providers.forEach(provider => {
+    const option = element('option', '', provider.label);
+    option.value = provider.name;
+    providerSelect.append(option);
+  });
+});
+
+render().catch(err => showMessage(document.getElementById('addMessage'), cleanError(err), 'error'));
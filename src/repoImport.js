@@ -0,0 +1,64 @@
+// Bulk import of the repositories of a GitHub org or user
+//
+// An import can be kept in sync: it remembers every repo it has offered, so a
+// later sync only adds repos created since, not the ones that were left out
+// or removed on purpose.
+//
+//   { "owner": "acme", "topic": "payments", "includeArchived": false,
+//     "requireWorkflows": true, "group": "Payments team", "credential": "acme-pat",
+//     "sync": true, "known": ["acme/shop", ...], "lastSync": "2025-09-01T10:00:00.000Z" }
+
+const SYNC_INTERVAL = 6 * 60 * 60 * 1000;
+
+// GitHub login rules: alphanumerics and single hyphens, at most 39 characters
+const OWNER_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+
+// Returns the cleaned import options or throws a message to show
+function validateImport(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Invalid import');
+  }
+  const owner = typeof spec.owner === 'string' ? spec.owner.trim() : '';
+  if (!OWNER_PATTERN.test(owner)) {
+    throw new Error('Enter the name of a GitHub organisation or user');
+  }
+  const topic = typeof spec.topic === 'string' ? spec.topic.trim().toLowerCase() : '';
+  if (topic && !/^[a-z0-9][a-z0-9-]{0,49}$/.test(topic)) {
+    throw new Error('Topics are lowercase letters, numbers and hyphens');
+  }
+  return {
+    owner,
+    topic: topic || undefined,
+    includeArchived: spec.includeArchived === true,
+    requireWorkflows: spec.requireWorkflows === true
+  };
+}
+
+// Applies the topic and archived filters. Repos without workflows are only
+// dropped once `hasWorkflows` has been looked up.
+function filterRepos(repos, { topic, includeArchived = false, requireWorkflows = false } = {}) {
+  return repos.filter(repo =>
+    (includeArchived || !repo.archived) &&
+    (!topic || (repo.topics || []).includes(topic)) &&
+    (!requireWorkflows || repo.hasWorkflows !== false)
+  );
+}
+
+// Repos a sync should add: not offered before and not watched already
+function newRepos(repos, imported, isWatched) {
+  const known = new Set((imported.known || []).map(name => name.toLowerCase()));
+  return repos.filter(repo => !known.has(repo.name.toLowerCase()) && !isWatched(repo));
+}
+
+function isSyncDue(imported, now = Date.now(), interval = SYNC_INTERVAL) {
+  if (!imported.sync) return false;
+  return !imported.lastSync || now - new Date(imported.lastSync).getTime() >= interval;
+}
+
+module.exports = {
+  SYNC_INTERVAL,
+  validateImport,
+  filterRepos,
+  newRepos,
+  isSyncDue
+};
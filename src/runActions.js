@@ -0,0 +1,77 @@
+// Actions on a run: re-run failed jobs, re-run all jobs and cancel
+//
+// Each action is offered when the provider implements it and the run is in
+// a state where it makes sense.
+
+const RUN_ACTIONS = [
+  {
+    name: 'rerun',
+    label: 'Re-run failed jobs',
+    method: 'rerunFailedJobs',
+    done: 'Re-run of failed jobs requested',
+    when: run => run.status === 'completed' && ['failure', 'timed_out', 'cancelled'].includes(run.conclusion)
+  },
+  {
+    name: 'rerun-all',
+    label: 'Re-run all jobs',
+    method: 'rerunAll',
+    done: 'Re-run requested',
+    when: run => run.status === 'completed'
+  },
+  {
+    name: 'cancel',
+    label: 'Cancel run',
+    method: 'cancelRun',
+    done: 'Cancellation requested',
+    when: run => run.status !== 'completed'
+  }
+];
+
+// Check suites share the provider of the repo but not its run endpoints
+function availableActions(provider, run) {
+  if (!provider || !run || run.kind === 'check_suite') return [];
+  return RUN_ACTIONS
+    .filter(action => typeof provider[action.method] === 'function' && action.when(run))
+    .map(({ name, label }) => ({ name, label }));
+}
+
+// Turns API errors into something a person can act on. Write endpoints
+// answer 403 (or 404 for repos the token can't see) when the token lacks
+// the actions:write permission.
+function describeActionError(err, { provider, repo, action = 'run this action' }) {
+  if (err.status === 401) {
+    return `The token for ${repo} was rejected. Sign in again or update the token.`;
+  }
+  if (err.status === 403 || err.status === 404) {
+    if (provider.name === 'github') {
+      return `The token for ${repo} isn't allowed to ${action}. It needs the actions:write permission (or the repo scope for classic tokens).`;
+    }
+    return `The token for ${repo} isn't allowed to ${action}. Check that it has API write access.`;
+  }
+  return `Couldn't ${action} on ${repo}: ${err.message}`;
+}
+
+// Runs the named action and resolves with a message to show. Failures
+// reject with the described error.
+async function performRunAction(name, { provider, info, run, token }) {
+  const action = RUN_ACTIONS.find(candidate => candidate.name === name);
+  if (!action || typeof provider[action.method] !== 'function' || run.kind === 'check_suite') {
+    throw new Error(`${provider.label} doesn't support ${action ? action.label.toLowerCase() : name}`);
+  }
+
+  try {
+    await provider[action.method](info, run, { token });
+    return action.done;
+  } catch (err) {
+    const error = new Error(describeActionError(err, { provider, repo: info.name, action: action.label.toLowerCase() }));
+    error.status = err.status;
+    throw error;
+  }
+}
+
+module.exports = {
+  RUN_ACTIONS,
+  availableActions,
+  describeActionError,
+  performRunAction
+};
@@ -0,0 +1,38 @@
+// Human readable details shown in notifications
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return '';
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+function runDuration(run) {
+  if (run.status !== 'completed' || !run.startedAt || !run.updatedAt) return '';
+  return formatDuration(new Date(run.updatedAt) - new Date(run.startedAt));
+}
+
+// Everything the notification popup shows about a run
+function describeRun(repoName, run) {
+  return {
+    repo: repoName,
+    workflow: run.workflow || '',
+    branch: run.branch || '',
+    commitMessage: (run.commitMessage || '').split('\n')[0],
+    sha: run.sha ? run.sha.slice(0, 7) : '',
+    actor: run.actor || '',
+    duration: runDuration(run),
+    htmlUrl: run.htmlUrl || ''
+  };
+}
+
+module.exports = {
+  formatDuration,
+  runDuration,
+  describeRun
+};
@@ -0,0 +1,135 @@
+// Local run history
+//
+// Records every observed run transition (queued, in_progress, completed with
+// its conclusion) and the tracked run state of each source, so a restart
+// doesn't lose track of runs that finished while FailWhale was closed.
+const { readJsonFile, writeJsonFile } = require('./dataFiles');
+
+const VERSION = 1;
+
+function createRunHistory({ filePath, maxEntries = 10000, maxAgeDays = 90 }) {
+  let transitions = [];
+  let tracked = {}; // source key -> [[run key, state], ...]
+  const lastStates = new Map(); // source key#run id -> last recorded transition
+
+  function stateKey(sourceKey, runId) {
+    return `${sourceKey}#${runId}`;
+  }
+
+  function load() {
+    try {
+      const data = readJsonFile(filePath);
+      if (data) {
+        transitions = Array.isArray(data.transitions) ? data.transitions : [];
+        tracked = data.tracked || {};
+      }
+    } catch (err) {
+      console.error('Error loading run history:', err);
+      transitions = [];
+      tracked = {};
+    }
+
+    for (const transition of transitions) {
+      lastStates.set(stateKey(transition.sourceKey, transition.runId), transition);
+    }
+  }
+
+  function prune() {
+    const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    transitions = transitions.filter(transition => transition.at >= cutoff).slice(-maxEntries);
+  }
+
+  function save() {
+    prune();
+    writeJsonFile(filePath, { version: VERSION, tracked, transitions }, { space: 0 });
+  }
+
+  // Records the run when its status or conclusion differs from the last time
+  // it was seen. `source` is { sourceKey, repo, provider }. Returns whether
+  // anything was recorded.
+  function observe(source, run) {
+    const key = stateKey(source.sourceKey, run.id);
+    const last = lastStates.get(key);
+    if (last && last.status === run.status && last.conclusion === run.conclusion) {
+      return false;
+    }
+
+    const transition = {
+      sourceKey: source.sourceKey,
+      repo: source.repo,
+      provider: source.provider,
+      runId: run.id,
+      kind: run.kind || 'run',
+      number: run.number ?? null,
+      workflow: run.workflow || '',
+      workflowFile: run.workflowFile || '',
+      branch: run.branch || '',
+      sha: run.sha || '',
+      actor: run.actor || '',
+      status: run.status,
+      conclusion: run.conclusion,
+      htmlUrl: run.htmlUrl || '',
+      startedAt: run.startedAt || null,
+      updatedAt: run.updatedAt || null,
+      at: new Date().toISOString()
+    };
+    transitions.push(transition);
+    lastStates.set(key, transition);
+    return true;
+  }
+
+  // Latest state of the most recently changed runs, newest first
+  function recent(limit = 20) {
+    const seen = new Set();
+    const result = [];
+    for (let i = transitions.length - 1; i >= 0 && result.length < limit; i--) {
+      const transition = transitions[i];
+      const key = stateKey(transition.sourceKey, transition.runId);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      result.push(lastStates.get(key) || transition);
+    }
+    return result;
+  }
+
+  // Last recorded state of a single run
+  function latest(sourceKey, runId) {
+    return lastStates.get(stateKey(sourceKey, runId)) || null;
+  }
+
+  function all() {
+    return transitions.slice();
+  }
+
+  function getTracked() {
+    return new Map(Object.entries(tracked).map(([sourceKey, runs]) => [sourceKey, new Map(runs)]));
+  }
+
+  // Replaces the tracked runs of a source (null forgets them). Returns
+  // whether they differ from before, i.e. whether the file needs saving.
+  function setTracked(sourceKey, runs) {
+    const before = JSON.stringify(tracked[sourceKey] || null);
+    if (runs) {
+      tracked[sourceKey] = [...runs];
+    } else {
+      delete tracked[sourceKey];
+    }
+    return JSON.stringify(tracked[sourceKey] || null) !== before;
+  }
+
+  load();
+
+  return {
+    observe,
+    recent,
+    latest,
+    all,
+    getTracked,
+    setTracked,
+    save
+  };
+}
+
+module.exports = {
+  createRunHistory
+};
@@ -0,0 +1,280 @@
+// Versioned settings file: the watched sources plus the behaviour that used
+// to be fixed in code (polling, popups, network, Giphy tags) and the quiet
+// hours schedule
+//
+//   { "version": 2,
+//     "sources": [{ "url": "https://github.com/acme/shop", "provider": "github" }],
+//     "polling": { "activeInterval": 10000, "idleInterval": 60000 },
+//     "popup": { "displayTime": 5000, "animationDuration": 500, "position": "bottom-right", "margin": 10 },
+//     "network": { "retries": 3, "timeout": 10000 },
+//     "giphy": { "start": "lets get started", "success": "success", "failure": "failure" },
+//     "quietHours": { "start": "22:00", "end": "08:00", "days": [0, 1, 2, 3, 4, 5, 6] } }
+//
+// Files written by an older version are upgraded by MIGRATIONS on load; a
+// bare array is the sources.json of before there was a settings file.
+const fs = require('fs');
+const { readJsonFile, writeJsonFile, setAside } = require('./dataFiles');
+const { canonicalSource } = require('./sourceList');
+
+const SETTINGS_VERSION = 2;
+
+const POPUP_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Every editable setting by section. The Settings window is built from this.
+const SCHEMA = {
+  polling: {
+    label: 'Polling',
+    fields: {
+      activeInterval: { label: 'Interval while a run is in progress', type: 'integer', unit: 'ms', min: 2000, max: 10 * 60 * 1000, default: 10 * 1000 },
+      idleInterval: { label: 'Interval when idle', type: 'integer', unit: 'ms', min: 5000, max: 60 * 60 * 1000, default: 60 * 1000 }
+    }
+  },
+  popup: {
+    label: 'Popups',
+    fields: {
+      displayTime: { label: 'Display time', type: 'integer', unit: 'ms', min: 1000, max: 60 * 1000, default: 5000 },
+      animationDuration: { label: 'Slide animation', type: 'integer', unit: 'ms', min: 0, max: 2000, default: 500 },
+      position: { label: 'Position', type: 'choice', choices: POPUP_POSITIONS, default: 'bottom-right' },
+      margin: { label: 'Distance from the screen edge', type: 'integer', unit: 'px', min: 0, max: 200, default: 10 }
+    }
+  },
+  network: {
+    label: 'Network',
+    fields: {
+      retries: { label: 'Attempts per request', type: 'integer', min: 1, max: 10, default: 3 },
+      timeout: { label: 'Request timeout', type: 'integer', unit: 'ms', min: 1000, max: 120 * 1000, default: 10 * 1000 }
+    }
+  },
+  giphy: {
+    label: 'Giphy tags',
+    fields: {
+      start: { label: 'Run started', type: 'text', maxLength: 50, default: 'lets get started' },
+      success: { label: 'Run passed', type: 'text', maxLength: 50, default: 'success' },
+      failure: { label: 'Run failed', type: 'text', maxLength: 50, default: 'failure' }
+    }
+  },
+  // Turned on and off from the tray's do not disturb menu, see doNotDisturb.js
+  quietHours: {
+    label: 'Quiet hours',
+    fields: {
+      start: { label: 'Start', type: 'time', default: '22:00' },
+      end: { label: 'End', type: 'time', default: '08:00' },
+      days: { label: 'Starting on', type: 'days', names: DAY_NAMES, default: [0, 1, 2, 3, 4, 5, 6] }
+    }
+  }
+};
+
+// Each entry upgrades a file from the version before it
+const MIGRATIONS = {
+  1: (data) => ({ sources: Array.isArray(data) ? data : [] }),
+  // Sources added before the Sources window looked them up hold whatever link
+  // was pasted
+  2: (data) => ({ ...data, sources: Array.isArray(data.sources) ? data.sources.map(canonicalSource) : data.sources })
+};
+
+function defaultSettings() {
+  const settings = { version: SETTINGS_VERSION, sources: [] };
+  for (const [section, { fields }] of Object.entries(SCHEMA)) {
+    settings[section] = Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, structuredClone(field.default)]));
+  }
+  return settings;
+}
+
+// Returns the cleaned value of one field or throws a message to show
+function validateField(field, value) {
+  if (field.type === 'integer') {
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`${field.label} must be a whole number from ${field.min} to ${field.max}${field.unit ? ` ${field.unit}` : ''}`);
+    }
+    return value;
+  }
+  if (field.type === 'time') {
+    const match = /^(\d{1,2}):([0-5]\d)$/.exec(typeof value === 'string' ? value.trim() : '');
+    if (!match || Number(match[1]) > 23) {
+      throw new Error(`${field.label} must be a time from 00:00 to 23:59`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+  if (field.type === 'days') {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error(`${field.label} must be one or more days from 0 (Sunday) to 6 (Saturday)`);
+    }
+    return [...new Set(value)].sort((a, b) => a - b);
+  }
+  if (field.type === 'choice') {
+    if (!field.choices.includes(value)) {
+      throw new Error(`${field.label} must be one of ${field.choices.join(', ')}`);
+    }
+    return value;
+  }
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text || text.length > field.maxLength) {
+    throw new Error(`${field.label} must be text of 1 to ${field.maxLength} characters`);
+  }
+  return text;
+}
+
+function validateSources(sources) {
+  if (!Array.isArray(sources) || !sources.every(source => source && typeof source === 'object' && typeof source.url === 'string')) {
+    throw new Error('Sources must be a list of objects with a url');
+  }
+  return sources;
+}
+
+// Checks a patch of { section: { key: value } } (and `sources`) against the
+// schema. Returns the cleaned patch or throws on the first invalid value.
+function validateSettings(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Settings must be an object');
+  }
+  const cleaned = {};
+  for (const [section, values] of Object.entries(patch)) {
+    if (section === 'sources') {
+      cleaned.sources = validateSources(values);
+      continue;
+    }
+    const schema = SCHEMA[section];
+    if (!schema) {
+      throw new Error(`Unknown settings section: ${section}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`${schema.label} settings must be an object`);
+    }
+    cleaned[section] = {};
+    for (const [key, value] of Object.entries(values)) {
+      const field = schema.fields[key];
+      if (!field) {
+        throw new Error(`Unknown setting: ${section}.${key}`);
+      }
+      cleaned[section][key] = validateField(field, value);
+    }
+  }
+  return cleaned;
+}
+
+// Brings stored data up to SETTINGS_VERSION
+function migrate(data) {
+  const version = Array.isArray(data) ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('Settings file has no valid version');
+  }
+  if (version > SETTINGS_VERSION) {
+    throw new Error(`Settings file is from a newer version of FailWhale (version ${version})`);
+  }
+  let migrated = data;
+  for (let next = version + 1; next <= SETTINGS_VERSION; next++) {
+    migrated = { ...MIGRATIONS[next](migrated), version: next };
+  }
+  return migrated;
+}
+
+// Defaults overlaid with every stored value that is still valid, so one bad
+// hand edit doesn't throw away the rest of the file
+function fromStored(data) {
+  const settings = defaultSettings();
+  try {
+    settings.sources = validateSources(data.sources || []);
+  } catch (err) {
+    console.error('Ignoring stored sources:', err.message);
+  }
+  for (const [section, { fields }] of Object.entries(SCHEMA)) {
+    const stored = data[section] && typeof data[section] === 'object' ? data[section] : {};
+    for (const [key, field] of Object.entries(fields)) {
+      if (stored[key] === undefined) continue;
+      try {
+        settings[section][key] = validateField(field, stored[key]);
+      } catch (err) {
+        console.error(`Ignoring setting ${section}.${key}:`, err.message);
+      }
+    }
+  }
+  return settings;
+}
+
+// `legacySourcesPath` is read once, when there is no settings file yet.
+// Files are written atomically with a backup, see dataFiles.js.
+// `onChange(settings, sections)` listeners hear about every save.
+function createSettings({ filePath, legacySourcesPath }) {
+  let settings = defaultSettings();
+  const listeners = [];
+
+  function write() {
+    try {
+      writeJsonFile(filePath, settings);
+    } catch (err) {
+      console.error('Error saving settings:', err);
+    }
+  }
+
+  function load() {
+    let data = null;
+    let fromLegacy = false;
+    try {
+      // A corrupt settings file with no usable backup mustn't bring back
+      // the sources of long ago
+      const firstRun = !fs.existsSync(filePath);
+      data = readJsonFile(filePath);
+      if (firstRun && legacySourcesPath) {
+        data = readJsonFile(legacySourcesPath);
+        fromLegacy = data !== null;
+      }
+    } catch (err) {
+      console.error('Error loading settings:', err);
+      return;
+    }
+    if (data === null) return;
+
+    const version = Array.isArray(data) ? 0 : data.version;
+    try {
+      settings = fromStored(migrate(data));
+    } catch (err) {
+      // e.g. a file from a newer version: keep it rather than save over it
+      setAside(fromLegacy ? legacySourcesPath : filePath, `could not be loaded (${err.message})`);
+      return;
+    }
+    if (fromLegacy || version !== SETTINGS_VERSION) {
+      console.log(`Migrated settings to version ${SETTINGS_VERSION}`);
+      write();
+    }
+  }
+
+  function get() {
+    return settings;
+  }
+
+  // Validates and merges a patch such as { popup: { displayTime: 8000 } },
+  // saves it and tells the listeners which sections changed
+  function update(patch) {
+    const cleaned = validateSettings(patch);
+    for (const [section, values] of Object.entries(cleaned)) {
+      settings[section] = section === 'sources' ? values : { ...settings[section], ...values };
+    }
+    write();
+    listeners.forEach(listener => listener(settings, Object.keys(cleaned)));
+    return settings;
+  }
+
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  load();
+
+  return {
+    get,
+    update,
+    onChange
+  };
+}
+
+module.exports = {
+  SETTINGS_VERSION,
+  SCHEMA,
+  POPUP_POSITIONS,
+  defaultSettings,
+  validateSettings,
+  migrate,
+  createSettings
+};
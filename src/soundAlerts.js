@@ -0,0 +1,61 @@
+// Sound and speech for notifications
+//
+// Sounds are played by the notification popup: a file chosen for the source,
+// or otherwise a short tone the renderer synthesizes for the event.
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SOUND_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.m4a', '.aac', '.flac', '.webm'];
+
+function isSoundFile(filePath) {
+  return typeof filePath === 'string' &&
+    path.isAbsolute(filePath) &&
+    SOUND_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// A source's `sound` is either off (false), a file for every event, or
+// per event: { "failure": "/path/to/sad-trombone.mp3", "start": false }
+function sourceSound(source, event) {
+  const sound = source ? source.sound : undefined;
+  if (sound === false) return false;
+  if (sound && typeof sound === 'object') return sound[event];
+  return sound;
+}
+
+// What the popup should play, or null for silence
+function resolveSound({ event, source, preferences }) {
+  if (preferences.muted) return null;
+
+  const sound = sourceSound(source, event);
+  if (sound === false) return null;
+
+  return {
+    url: isSoundFile(sound) ? pathToFileURL(sound).href : null,
+    tone: event,
+    volume: Math.min(1, Math.max(0, Number(preferences.volume) || 0))
+  };
+}
+
+const SPOKEN_STATUS = {
+  start: 'started',
+  success: 'passed',
+  failure: 'failed'
+};
+
+// e.g. "deploy on main failed, pushed by alice"
+function speechText(event, details = {}) {
+  if (details.summary) return details.summary;
+
+  const subject = [details.workflow || details.repo || 'build', details.branch && `on ${details.branch}`]
+    .filter(Boolean)
+    .join(' ');
+  const text = `${subject} ${SPOKEN_STATUS[event] || event}`;
+  return details.actor ? `${text}, pushed by ${details.actor}` : text;
+}
+
+module.exports = {
+  SOUND_EXTENSIONS,
+  isSoundFile,
+  resolveSound,
+  speechText
+};
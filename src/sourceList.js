@@ -0,0 +1,99 @@
+// Source list management: the stored form of a source, labels, groups and
+// ordering
+//
+//   { "url": "https://github.com/acme/shop", "provider": "github",
+//     "label": "Shop", "group": "Payments team",
+//     "repository": { "name": "acme/shop", "defaultBranch": "main", "workflows": ["CI"] } }
+//
+// `url` is the provider's canonical URL, so the same repo can't be added
+// twice through different links; `repository` is what the API said when the
+// source was added or edited.
+const { getProvider, detectProvider, resolveSource } = require('./providers');
+
+const MAX_TEXT_LENGTH = 80;
+
+// Optional free text such as a label or group name; empty means unset
+function cleanText(value, field) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be text`);
+  }
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new Error(`${field} is too long (${MAX_TEXT_LENGTH} characters at most)`);
+  }
+  return text || undefined;
+}
+
+// Parses a URL typed by the user. Returns the stored { url, provider } with
+// the resolved provider and info, or throws a message to show.
+function normalizeSource(url, providerName) {
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new Error('Enter a repository, pipeline or job URL');
+  }
+  const provider = providerName ? getProvider(providerName) : detectProvider(url.trim());
+  if (!provider) {
+    throw new Error(providerName ? `Unknown provider: ${providerName}` : 'Unrecognised CI provider URL');
+  }
+  const info = provider.parseUrl(url.trim());
+  if (!info) {
+    throw new Error(`Not a valid ${provider.label} URL`);
+  }
+  return { source: { url: provider.sourceUrl(info), provider: provider.name }, provider, info };
+}
+
+// A stored source in the form normalizeSource() gives, keeping its other
+// settings. Sources saved before URLs were normalised may hold any link to the
+// repo; those no provider recognises are left as they are.
+function canonicalSource(source) {
+  if (!source || typeof source.url !== 'string') return source;
+  try {
+    return { ...source, ...normalizeSource(source.url, source.provider).source };
+  } catch {
+    return source;
+  }
+}
+
+// Index of another source watching the same repo or job, or -1
+function findDuplicate(sources, key, ignoreIndex = -1) {
+  return sources.findIndex((source, index) => {
+    if (index === ignoreIndex) return false;
+    const resolved = resolveSource(source);
+    return !!resolved && resolved.info.key === key;
+  });
+}
+
+// Explains why a repo couldn't be looked up
+function describeLookupError(err, { provider, name }) {
+  if (err.status === 401) {
+    return `The token for ${name} was rejected. Pick another token or sign in again.`;
+  }
+  if (err.status === 403 || err.status === 404) {
+    return `${name} wasn't found on ${provider.label}. Check the URL, or pick a token that can read it.`;
+  }
+  return `Couldn't reach ${provider.label} to check ${name}: ${err.message}`;
+}
+
+// Swaps a source with its neighbour in the same group. Returns false when it
+// is already first or last there.
+function moveSource(sources, index, offset) {
+  const group = sources[index].group || '';
+  let target = index + offset;
+  while (target >= 0 && target < sources.length && (sources[target].group || '') !== group) {
+    target += offset;
+  }
+  if (target < 0 || target >= sources.length) return false;
+
+  [sources[index], sources[target]] = [sources[target], sources[index]];
+  return true;
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  cleanText,
+  normalizeSource,
+  canonicalSource,
+  findDuplicate,
+  describeLookupError,
+  moveSource
+};
@@ -0,0 +1,69 @@
+// Tray icon bitmaps for each build state
+//
+// nativeImage bitmaps are raw BGRA pixels, so colours are written in that
+// order. The running state pulses between two shades.
+
+const STATE_COLORS = {
+  passing: [[40, 167, 69]],
+  failing: [[227, 38, 0]],
+  running: [[0, 122, 255], [120, 180, 255]],
+  unknown: [[0, 122, 255]]
+};
+
+function stateFrames(state) {
+  return STATE_COLORS[state] || STATE_COLORS.unknown;
+}
+
+function setPixel(buffer, offset, [r, g, b], alpha = 255) {
+  buffer[offset] = b;
+  buffer[offset + 1] = g;
+  buffer[offset + 2] = r;
+  buffer[offset + 3] = alpha;
+}
+
+// Fallback icon: a plain square in the state colour
+function solidIcon(size, color) {
+  const buffer = Buffer.alloc(size * size * 4);
+  for (let offset = 0; offset < buffer.length; offset += 4) {
+    setPixel(buffer, offset, color);
+  }
+  return buffer;
+}
+
+// Copy of `bitmap` drawn in a single colour, keeping each pixel's transparency.
+// Pixels are premultiplied, so the colour is scaled by the alpha
+function tinted(bitmap, color) {
+  const buffer = Buffer.from(bitmap);
+  for (let offset = 0; offset < buffer.length; offset += 4) {
+    const alpha = buffer[offset + 3];
+    setPixel(buffer, offset, color.map(channel => Math.round(channel * alpha / 255)), alpha);
+  }
+  return buffer;
+}
+
+// Copy of `bitmap` with a status dot in the bottom-right corner
+function withStatusDot(bitmap, size, color) {
+  const buffer = Buffer.from(bitmap);
+  const radius = Math.max(3, Math.round(size / 4));
+  const center = size - radius - 0.5;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const distance = Math.hypot(x - center, y - center);
+      if (distance <= radius) {
+        setPixel(buffer, (y * size + x) * 4, color);
+      } else if (distance <= radius + 1) {
+        // Transparent ring so the dot stands out from the whale
+        setPixel(buffer, (y * size + x) * 4, [0, 0, 0], 0);
+      }
+    }
+  }
+  return buffer;
+}
+
+module.exports = {
+  stateFrames,
+  solidIcon,
+  tinted,
+  withStatusDot
+};
@@ -0,0 +1,138 @@
+// Local receiver for GitHub webhooks (workflow_run and check_suite)
+//
+// Events are usually forwarded from GitHub through smee.io or a tunnel.
+// Every delivery must carry a valid X-Hub-Signature-256 HMAC for the
+// configured secret; anything else is rejected before it is parsed.
+const http = require('http');
+const crypto = require('crypto');
+const github = require('./providers/github');
+
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function verifySignature(secret, body, signature) {
+  if (!secret || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signPayload(secret, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// check_suite payloads describe all checks reported by one app for a commit.
+// They aren't Actions runs, so the Actions endpoints (re-run, cancel, logs)
+// don't know their ids.
+function normalizeCheckSuite(suite, repository) {
+  return {
+    id: suite.id,
+    provider: 'github',
+    kind: 'check_suite',
+    number: null,
+    workflow: suite.app?.name || 'Checks',
+    workflowFile: '',
+    branch: suite.head_branch,
+    status: suite.status === 'completed' || suite.status === 'in_progress' ? suite.status : 'queued',
+    conclusion: suite.status === 'completed' ? suite.conclusion : null,
+    sha: suite.head_sha,
+    commitMessage: suite.head_commit?.message || '',
+    actor: suite.head_commit?.author?.name || '',
+    htmlUrl: repository.html_url && suite.head_sha ? `${repository.html_url}/commit/${suite.head_sha}/checks` : '',
+    createdAt: suite.created_at,
+    startedAt: suite.created_at,
+    updatedAt: suite.updated_at
+  };
+}
+
+// Turns a webhook delivery into { repo, run } in the common run model,
+// or null for events FailWhale doesn't follow.
+function parseEvent(event, payload) {
+  const repo = payload.repository?.full_name;
+  if (!repo) return null;
+
+  if (event === 'workflow_run' && payload.workflow_run) {
+    return { repo, run: github.normalizeRun(payload.workflow_run) };
+  }
+
+  // GitHub Actions also reports its runs as check suites; those already
+  // arrive as workflow_run events, so only other apps are followed here.
+  if (event === 'check_suite' && payload.check_suite && payload.check_suite.app?.slug !== 'github-actions') {
+    return { repo, run: normalizeCheckSuite(payload.check_suite, payload.repository) };
+  }
+
+  return null;
+}
+
+function createWebhookServer({ secret, onRun }) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' });
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        res.writeHead(413);
+        res.end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks);
+
+      if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+        console.warn('Rejected webhook with invalid signature');
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+
+      const event = req.headers['x-github-event'];
+      if (event === 'ping') {
+        res.writeHead(200);
+        res.end('pong');
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch {
+        res.writeHead(400);
+        res.end();
+        return;
+      }
+
+      const parsed = parseEvent(event, payload);
+      if (!parsed) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      res.writeHead(202);
+      res.end();
+
+      try {
+        await onRun(parsed.repo, parsed.run);
+      } catch (err) {
+        console.error('Error handling webhook:', err);
+      }
+    });
+  });
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  parseEvent,
+  createWebhookServer
+};
@@ -0,0 +1,59 @@
+// Reads the `workflow_dispatch` trigger of a GitHub Actions workflow file
+const YAML = require('yaml');
+
+// Inputs of the workflow_dispatch trigger, or null when the workflow can't be
+// run manually or isn't valid YAML. Inputs are
+// [{ name, description, required, default, type, options }].
+function parseDispatchInputs(yamlText) {
+  let workflow;
+  try {
+    // YAML 1.2, like GitHub: an unquoted `on` key stays "on" rather than true
+    workflow = YAML.parse(yamlText);
+  } catch (err) {
+    console.error('Error reading workflow file:', err.message);
+    return null;
+  }
+  if (!workflow || typeof workflow !== 'object') return null;
+
+  const triggers = workflow.on;
+  if (triggers === 'workflow_dispatch') return [];
+  if (Array.isArray(triggers)) return triggers.includes('workflow_dispatch') ? [] : null;
+  if (!triggers || typeof triggers !== 'object' || !('workflow_dispatch' in triggers)) return null;
+
+  const inputs = triggers.workflow_dispatch?.inputs || {};
+  return Object.entries(inputs).map(([name, input]) => {
+    const spec = input && typeof input === 'object' ? input : {};
+    return {
+      name,
+      description: spec.description ? String(spec.description) : '',
+      required: spec.required === true,
+      default: spec.default ?? null,
+      type: spec.type || 'string',
+      options: Array.isArray(spec.options) ? spec.options.map(String) : []
+    };
+  });
+}
+
+// Dispatch inputs are always sent as strings
+function normalizeInputs(inputs, values) {
+  const result = {};
+  for (const input of inputs) {
+    const value = values[input.name];
+    if (value === undefined || value === null || value === '') {
+      if (input.required && input.default === null) {
+        throw new Error(`${input.name} is required`);
+      }
+      continue;
+    }
+    if (input.type === 'choice' && input.options.length > 0 && !input.options.includes(String(value))) {
+      throw new Error(`${input.name} must be one of ${input.options.join(', ')}`);
+    }
+    result[input.name] = String(value);
+  }
+  return result;
+}
+
+module.exports = {
+  parseDispatchInputs,
+  normalizeInputs
+};
@@ -0,0 +1,131 @@
+// Per-workflow / per-branch run tracking
+//
+// Each source keeps a Map of every run we have seen, keyed by workflow,
+// branch and run id, so concurrent runs on different workflows and branches
+// are all followed until they complete.
+
+// Runs use the common run model produced by the provider adapters
+function runKey(run) {
+  return `${run.workflowFile || run.workflow}:${run.branch}:${run.id}`;
+}
+
+// Supports exact names and simple `*` wildcards, e.g. "release/*"
+function matchesPattern(value, pattern) {
+  if (pattern === '*') return true;
+  if (!pattern.includes('*')) return value === pattern;
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(value);
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// A source may restrict which workflows and branches are watched:
+//   { "url": "...", "workflows": ["deploy.yml"], "branches": ["main"] }
+// Workflows match either the file name or the display name of the workflow.
+function matchesSourceFilters(source, run) {
+  const workflows = toList(source.workflows);
+  const branches = toList(source.branches);
+
+  if (workflows.length > 0) {
+    const matched = workflows.some(pattern =>
+      (run.workflowFile && matchesPattern(run.workflowFile, pattern)) ||
+      (run.workflow && matchesPattern(run.workflow, pattern))
+    );
+    if (!matched) return false;
+  }
+
+  if (branches.length > 0) {
+    if (!run.branch) return false;
+    if (!branches.some(pattern => matchesPattern(run.branch, pattern))) return false;
+  }
+
+  return true;
+}
+
+// Works out which notification, if any, a run's new state deserves
+function transition(before, run) {
+  if (!before) {
+    // New run: it either started, or started and finished between checks
+    return run.status === 'completed' ? 'completed' : 'started';
+  }
+  if (before.status !== 'completed' && run.status === 'completed') {
+    return 'completed';
+  }
+  if (before.status === 'completed' && run.status !== 'completed') {
+    // Same run id going back to queued/in_progress means it was re-run
+    return 'started';
+  }
+  if (before.status === 'completed' && run.status === 'completed' && (before.conclusion !== run.conclusion || rerunAttempt(before, run))) {
+    // Re-run that started and finished between checks
+    return 'completed';
+  }
+  return null;
+}
+
+// Only providers that number their attempts can tell a re-run that ended the
+// same way; states saved before attempts were tracked have none
+function rerunAttempt(before, run) {
+  return before.attempt !== undefined && run.attempt !== undefined && run.attempt !== before.attempt;
+}
+
+function runState(run) {
+  return { id: run.id, kind: run.kind, status: run.status, conclusion: run.conclusion, attempt: run.attempt };
+}
+
+// Tracked runs that haven't completed but aren't among `runs`, e.g. because
+// newer runs pushed them off the fetched page. Returns [key, state] pairs.
+// Check suites only ever arrive by webhook, so they are never missing: a
+// poll can't find them and they have no run to look up.
+function missingRuns(previous, runs) {
+  if (!previous) return [];
+  const keys = new Set(runs.map(runKey));
+  return [...previous].filter(([key, state]) => state.status !== 'completed' && state.kind !== 'check_suite' && !keys.has(key));
+}
+
+// Compares freshly fetched runs against the previously tracked ones.
+// Returns the events to notify about and the new tracked state.
+// When `previous` is undefined the source is seen for the first time: we only
+// record the current runs so existing history doesn't trigger notifications.
+// Unfinished runs missing from `runs` stay tracked, so their completion is
+// still noticed once they are looked up.
+function diffRuns(previous, runs) {
+  const next = new Map();
+  const events = [];
+
+  for (const run of runs) {
+    const key = runKey(run);
+    next.set(key, runState(run));
+
+    if (!previous) continue;
+
+    const type = transition(previous.get(key), run);
+    if (type) events.push({ type, run });
+  }
+
+  for (const [key, state] of missingRuns(previous, runs)) {
+    next.set(key, state);
+  }
+
+  return { events, next };
+}
+
+// Applies a single pushed run update (e.g. from a webhook) to the tracked
+// runs in place. Returns the resulting event, or null when nothing changed.
+function trackRun(tracked, run) {
+  const key = runKey(run);
+  const type = transition(tracked.get(key), run);
+  tracked.set(key, runState(run));
+  return type ? { type, run } : null;
+}
+
+module.exports = {
+  runKey,
+  matchesPattern,
+  matchesSourceFilters,
+  missingRuns,
+  diffRuns,
+  trackRun
+};
@@ -0,0 +1,87 @@
+const { test, expect } = require('@playwright/test');
+const { median, summarizeHealth } = require('../src/buildHealth');
+
+const NOW = new Date('2024-06-30T12:00:00Z').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+function attempt(daysAgo, conclusion, overrides = {}) {
+  const updatedAt = new Date(NOW - daysAgo * DAY).toISOString();
+  const startedAt = new Date(NOW - daysAgo * DAY - 60 * 1000).toISOString();
+  return {
+    sourceKey: 'acme/shop',
+    repo: 'acme/shop',
+    provider: 'github',
+    runId: Math.random(),
+    workflow: 'CI',
+    branch: 'main',
+    sha: `sha-${Math.random()}`,
+    status: 'completed',
+    conclusion,
+    startedAt,
+    updatedAt,
+    at: updatedAt,
+    ...overrides
+  };
+}
+
+test.describe('Build Health', () => {
+  test('should compute the median', () => {
+    expect(median([])).toBeNull();
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  test('should compute success rates and durations for 7 and 30 days', () => {
+    const rows = summarizeHealth([
+      attempt(20, 'failure', { startedAt: new Date(NOW - 20 * DAY - 300 * 1000).toISOString() }),
+      attempt(10, 'failure'),
+      attempt(3, 'success'),
+      attempt(2, 'cancelled'),
+      attempt(1, 'success')
+    ], { now: NOW });
+
+    expect(rows).toHaveLength(1);
+    const [row] = rows;
+    expect(row.trends[7]).toMatchObject({ runs: 2, successRate: 1, medianDuration: 60000, medianDurationLabel: '1m 0s' });
+    expect(row.trends[30]).toMatchObject({ runs: 4, successRate: 0.5, medianDuration: 60000 });
+  });
+
+  test('should report the latest state of each workflow', () => {
+    const rows = summarizeHealth([
+      attempt(2, 'success'),
+      attempt(1, 'failure', { workflow: 'Deploy' }),
+      { ...attempt(0, null, { workflow: 'CI', branch: 'feature' }), status: 'in_progress' }
+    ], { now: NOW });
+
+    expect(rows.map(row => [row.workflow, row.status, row.conclusion, row.branch])).toEqual([
+      ['CI', 'in_progress', null, 'feature'],
+      ['Deploy', 'completed', 'failure', 'main']
+    ]);
+    expect(rows[0].trends[7].runs).toBe(1);
+  });
+
+  test('should flag workflows that pass and fail on the same commit', () => {
+    const rows = summarizeHealth([
+      attempt(3, 'failure', { sha: 'abcdef123456' }),
+      attempt(3, 'success', { sha: 'abcdef123456' }),
+      attempt(2, 'failure', { workflow: 'Lint', sha: 'fedcba654321' }),
+      attempt(1, 'failure', { workflow: 'Lint', sha: 'fedcba654321' })
+    ], { now: NOW });
+
+    const ci = rows.find(row => row.workflow === 'CI');
+    const lint = rows.find(row => row.workflow === 'Lint');
+    expect(ci.flaky).toBe(true);
+    expect(ci.flakyShas).toEqual(['abcdef1']);
+    expect(lint.flaky).toBe(false);
+  });
+
+  test('should ignore flip-flops older than the flaky window', () => {
+    const rows = summarizeHealth([
+      attempt(40, 'failure', { sha: 'abc' }),
+      attempt(40, 'success', { sha: 'abc' })
+    ], { now: NOW });
+
+    expect(rows[0].flaky).toBe(false);
+    expect(rows[0].trends[30]).toMatchObject({ runs: 0, successRate: null, medianDurationLabel: '' });
+  });
+});
@@ -0,0 +1,168 @@
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+const { templateVariables, renderTemplate, buildPayload, validateChannels, createChannelDispatcher } = require('../src/channels');
+const { postJson } = require('../src/providers/http');
+const { httpFetch } = require('./helpers/httpFetch');
+
+const SOURCE = { key: 'acme/shop', name: 'acme/shop' };
+const DETAILS = {
+  repo: 'acme/shop',
+  workflow: 'Deploy',
+  branch: 'main',
+  commitMessage: 'Fix checkout',
+  sha: 'abc1234',
+  actor: 'alice',
+  duration: '2m 5s',
+  htmlUrl: 'https://github.com/acme/shop/actions/runs/1'
+};
+
+function makeEvent(type, conclusion = 'failure', overrides = {}) {
+  return {
+    type,
+    run: {
+      id: 1,
+      workflow: 'Deploy',
+      branch: 'main',
+      status: type === 'completed' ? 'completed' : 'in_progress',
+      conclusion: type === 'completed' ? conclusion : null,
+      updatedAt: '2024-01-01T10:00:00Z',
+      ...overrides
+    }
+  };
+}
+
+// Local stand-in for webhook endpoints. `statuses` are answered in order,
+// then 200 for every further request.
+function createStubServer(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+      res.statusCode = statuses.shift() || 200;
+      res.end(res.statusCode === 200 ? 'ok' : 'error');
+    });
+  });
+  return { server, requests };
+}
+
+test.describe('Channels', () => {
+  test('should render templates', () => {
+    const variables = templateVariables(makeEvent('completed'), DETAILS);
+    expect(renderTemplate('{{icon}} {{workflow}} on {{branch}} {{verb}}{{byActor}}', variables)).toBe('❌ Deploy on main failed by alice');
+    expect(renderTemplate('{{ repo }} {{unknown}} #{{sha}}', variables)).toBe('acme/shop #abc1234');
+
+    const started = templateVariables(makeEvent('started'), { ...DETAILS, actor: '' });
+    expect(renderTemplate('{{icon}} {{workflow}} {{verb}}{{byActor}}', started)).toBe('▶️ Deploy started');
+
+    const timedOut = templateVariables(makeEvent('completed', 'timed_out'), DETAILS);
+    expect(timedOut.verb).toBe('timed out');
+    expect(timedOut.outcome).toBe('failure');
+  });
+
+  test('should build payloads for each service', () => {
+    const variables = templateVariables(makeEvent('completed', 'success'), DETAILS);
+
+    expect(buildPayload('slack', 'hello', variables)).toEqual({ text: 'hello' });
+    expect(buildPayload('discord', 'x'.repeat(2500), variables).content).toHaveLength(2000);
+    expect(buildPayload('teams', 'hello', variables)).toMatchObject({ '@type': 'MessageCard', text: 'hello', themeColor: '28A745' });
+
+    const generic = buildPayload('http', 'hello', variables);
+    expect(generic).toMatchObject({ text: 'hello', repo: 'acme/shop', event: 'completed', conclusion: 'success', url: DETAILS.htmlUrl });
+    expect(generic.icon).toBeUndefined();
+  });
+
+  test('should validate channels', () => {
+    const channel = { id: 'team', type: 'slack', url: 'https://hooks.slack.com/services/x' };
+    expect(validateChannels([channel])).toEqual([channel]);
+    expect(() => validateChannels([{ ...channel, type: 'pager' }])).toThrow('Channel 1 has an unknown type: pager');
+    expect(() => validateChannels([{ ...channel, url: 'ftp://x' }])).toThrow('Channel 1 needs an http(s) URL');
+    expect(() => validateChannels([channel, channel])).toThrow('Channel 2 reuses the id team');
+    expect(() => validateChannels([{ ...channel, rules: [{ action: 'shout' }] }])).toThrow('Channel 1: Rule 1 has an unknown action: shout');
+  });
+
+  test('should remember outcomes across channel updates', async () => {
+    const sent = [];
+    const send = async (url) => { sent.push(url); return 'ok'; };
+    const channel = { id: 'main-only', type: 'slack', url: 'https://hooks.example.com/a', rules: [{ match: { branch: 'main' }, action: 'state-change' }] };
+    const dispatcher = createChannelDispatcher({ send, channels: [channel] });
+
+    await dispatcher.dispatch(SOURCE, makeEvent('completed'), DETAILS);
+    dispatcher.setChannels([{ ...channel, url: 'https://hooks.example.com/b' }, { ...channel, id: 'added', url: 'https://hooks.example.com/c' }]);
+    // Still red for the edited channel; the new one has nothing to compare with
+    await dispatcher.dispatch(SOURCE, makeEvent('completed', 'failure', { id: 2, updatedAt: '2024-01-01T11:00:00Z' }), DETAILS);
+
+    expect(sent).toEqual(['https://hooks.example.com/a', 'https://hooks.example.com/c']);
+  });
+
+  test.describe('delivery', () => {
+    const originalFetch = global.fetch;
+    let stub;
+    let baseUrl;
+
+    async function startStub(statuses) {
+      stub = createStubServer(statuses);
+      await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+    }
+
+    test.beforeEach(() => {
+      global.fetch = httpFetch;
+    });
+
+    test.afterEach(async () => {
+      global.fetch = originalFetch;
+      if (stub) await new Promise(resolve => stub.server.close(resolve));
+      stub = null;
+    });
+
+    test('should post JSON and retry temporary failures', async () => {
+      await startStub([503, 429]);
+      const result = await postJson(`${baseUrl}/hook`, { text: 'hi' }, { backoff: 5 });
+
+      expect(result).toBe('ok');
+      expect(stub.requests).toHaveLength(3);
+      expect(stub.requests[2]).toEqual({ path: '/hook', contentType: 'application/json', body: { text: 'hi' } });
+    });
+
+    test('should give up after the last attempt or on a client error', async () => {
+      await startStub([500, 500, 500, 400]);
+      expect(await postJson(`${baseUrl}/hook`, {}, { backoff: 5 })).toBeNull();
+      expect(stub.requests).toHaveLength(3);
+
+      expect(await postJson(`${baseUrl}/hook`, {}, { backoff: 5 })).toBeNull();
+      expect(stub.requests).toHaveLength(4);
+    });
+
+    test('should send events to the channels whose rules match', async () => {
+      await startStub();
+      const dispatcher = createChannelDispatcher({
+        backoff: 5,
+        channels: [
+          { id: 'everything', type: 'slack', url: `${baseUrl}/slack` },
+          { id: 'main-only', type: 'discord', url: `${baseUrl}/discord`, template: '{{repo}} {{verb}}', rules: [{ match: { branch: 'main' }, action: 'state-change' }] },
+          { id: 'off', type: 'http', url: `${baseUrl}/off`, enabled: false }
+        ]
+      });
+
+      expect(await dispatcher.dispatch(SOURCE, makeEvent('started'), DETAILS)).toEqual([{ id: 'everything', ok: true }]);
+      expect(await dispatcher.dispatch(SOURCE, makeEvent('completed'), DETAILS)).toEqual([
+        { id: 'everything', ok: true },
+        { id: 'main-only', ok: true }
+      ]);
+      // Still red: only the channel without rules hears about it
+      await dispatcher.dispatch(SOURCE, makeEvent('completed', 'failure', { id: 2, updatedAt: '2024-01-01T11:00:00Z' }), DETAILS);
+
+      expect(stub.requests.map(request => request.path)).toEqual(['/slack', '/slack', '/discord', '/slack']);
+      expect(stub.requests[0].body.text).toContain('Deploy on main started in acme/shop by alice');
+      expect(stub.requests[2].body).toEqual({ content: 'acme/shop failed' });
+    });
+
+    test('should report failed deliveries', async () => {
+      await startStub([404]);
+      const dispatcher = createChannelDispatcher({ backoff: 5, channels: [{ id: 'gone', type: 'teams', url: `${baseUrl}/gone` }] });
+      expect(await dispatcher.dispatch(SOURCE, makeEvent('completed'), DETAILS)).toEqual([{ id: 'gone', ok: false }]);
+    });
+  });
+});
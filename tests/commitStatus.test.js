@@ -0,0 +1,146 @@
+const { test, expect } = require('@playwright/test');
+const { combineStatus, mergeability, statusSummary, diffStatuses, statusRun } = require('../src/commitStatus');
+
+function branchTarget(state, extra = {}) {
+  return { key: 'branch:main', kind: 'branch', branch: 'main', mine: false, merge: null, state, total: 3, failing: [], pending: [], ...extra };
+}
+
+function pullTarget(state, merge, extra = {}) {
+  return {
+    key: 'pull:12',
+    kind: 'pull',
+    number: 12,
+    title: 'Add checkout',
+    author: 'octocat',
+    branch: 'feature/checkout',
+    sha: 'abc123',
+    htmlUrl: 'https://github.com/acme/shop/pull/12',
+    mine: true,
+    merge,
+    mergeState: merge === 'blocked' ? 'dirty' : 'clean',
+    state,
+    total: 2,
+    failing: [],
+    pending: [],
+    ...extra
+  };
+}
+
+test.describe('Commit Status', () => {
+  test.describe('combineStatus', () => {
+    test('should fail when any check run or status fails', () => {
+      const result = combineStatus(
+        [
+          { name: 'build', status: 'completed', conclusion: 'success' },
+          { name: 'CodeQL', status: 'completed', conclusion: 'action_required' },
+          { name: 'lint', status: 'in_progress', conclusion: null }
+        ],
+        [{ context: 'ci/circleci', state: 'error' }, { context: 'vercel', state: 'success' }]
+      );
+
+      expect(result).toEqual({ state: 'failure', total: 5, failing: ['CodeQL', 'ci/circleci'], pending: ['lint'] });
+    });
+
+    test('should stay pending while checks are running', () => {
+      const result = combineStatus(
+        [{ name: 'build', status: 'completed', conclusion: 'skipped' }],
+        [{ context: 'vercel', state: 'pending' }]
+      );
+      expect(result.state).toBe('pending');
+      expect(result.pending).toEqual(['vercel']);
+    });
+
+    test('should pass when everything passed and report commits without checks', () => {
+      expect(combineStatus([{ name: 'build', status: 'completed', conclusion: 'neutral' }], []).state).toBe('success');
+      expect(combineStatus([], []).state).toBe('none');
+    });
+  });
+
+  test('should map GitHub merge states', () => {
+    expect(mergeability({ mergeable_state: 'clean' })).toBe('mergeable');
+    expect(mergeability({ mergeable_state: 'unstable' })).toBe('mergeable');
+    expect(mergeability({ mergeable_state: 'blocked' })).toBe('blocked');
+    expect(mergeability({ mergeable_state: 'dirty' })).toBe('blocked');
+    expect(mergeability({ mergeable_state: 'unknown' })).toBeNull();
+  });
+
+  test('should summarize the checks of a target', () => {
+    expect(statusSummary(branchTarget('failure', { failing: ['CodeQL'] }))).toBe('CodeQL failing (1 of 3 checks)');
+    expect(statusSummary(branchTarget('pending', { pending: ['lint', 'vercel'] }))).toBe('2 of 3 checks still running');
+    expect(statusSummary(branchTarget('success'))).toBe('All 3 checks passed');
+  });
+
+  test.describe('diffStatuses', () => {
+    test('should only record the state on the first check', () => {
+      const { events, next } = diffStatuses(undefined, [branchTarget('failure')]);
+      expect(events).toEqual([]);
+      expect(next.get('branch:main')).toEqual({ state: 'failure', merge: null });
+    });
+
+    test('should report settled state changes', () => {
+      let { next } = diffStatuses(undefined, [branchTarget('success')]);
+
+      let result = diffStatuses(next, [branchTarget('pending')]);
+      expect(result.events).toEqual([]);
+
+      result = diffStatuses(result.next, [branchTarget('failure')]);
+      expect(result.events.map(event => [event.type, event.target.state])).toEqual([['status', 'failure']]);
+
+      result = diffStatuses(result.next, [branchTarget('failure')]);
+      expect(result.events).toEqual([]);
+    });
+
+    test('should report new pull requests once their checks settle', () => {
+      const { next } = diffStatuses(undefined, []);
+      const { events } = diffStatuses(next, [pullTarget('success', 'blocked')]);
+      expect(events.map(event => event.type)).toEqual(['status']);
+    });
+
+    test('should report when my pull request becomes mergeable or blocked', () => {
+      let result = diffStatuses(undefined, [pullTarget('pending', 'blocked')]);
+
+      // GitHub recomputes the merge state after every push
+      result = diffStatuses(result.next, [pullTarget('pending', null)]);
+      expect(result.events).toEqual([]);
+      expect(result.next.get('pull:12').merge).toBe('blocked');
+
+      result = diffStatuses(result.next, [pullTarget('pending', 'mergeable')]);
+      expect(result.events.map(event => [event.type, event.target.merge])).toEqual([['merge', 'mergeable']]);
+
+      result = diffStatuses(result.next, [pullTarget('pending', 'blocked')]);
+      expect(result.events.map(event => [event.type, event.target.merge])).toEqual([['merge', 'blocked']]);
+    });
+
+    test('should ignore the merge state of other people\'s pull requests', () => {
+      const { next } = diffStatuses(undefined, [pullTarget('pending', 'blocked', { mine: false })]);
+      const { events } = diffStatuses(next, [pullTarget('pending', 'mergeable', { mine: false })]);
+      expect(events).toEqual([]);
+    });
+
+    test('should keep the previous state of targets that failed to load', () => {
+      const { next } = diffStatuses(undefined, [branchTarget('failure')]);
+      const result = diffStatuses(next, [branchTarget(null)]);
+      expect(result.events).toEqual([]);
+
+      const { events } = diffStatuses(result.next, [branchTarget('failure')]);
+      expect(events).toEqual([]);
+    });
+  });
+
+  test('should turn events into runs for rules and notifications', () => {
+    const status = statusRun({ type: 'status', target: pullTarget('failure', 'blocked', { failing: ['CodeQL'] }) }, 'github');
+    expect(status).toMatchObject({
+      id: 'pull:12',
+      workflow: 'PR #12 Add checkout',
+      branch: 'feature/checkout',
+      status: 'completed',
+      conclusion: 'failure',
+      commitMessage: 'CodeQL failing (1 of 2 checks)',
+      actor: 'octocat'
+    });
+
+    const merge = statusRun({ type: 'merge', target: pullTarget('success', 'blocked') }, 'github');
+    expect(merge).toMatchObject({ id: 'pull:12:merge', conclusion: 'failure', commitMessage: 'Blocked: merge conflicts' });
+    expect(statusRun({ type: 'merge', target: pullTarget('success', 'mergeable') }, 'github').commitMessage).toBe('Ready to merge');
+  });
+});
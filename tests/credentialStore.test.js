@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCredentialStore } = require('../src/credentialStore');
+
+// Stand-in for Electron's safeStorage
+function fakeSafeStorage(available = true) {
+  const flip = buffer => Buffer.from(buffer.map(byte => byte ^ 0x5a));
+  return {
+    isEncryptionAvailable: () => available,
+    encryptString: text => flip(Buffer.from(text, 'utf8')),
+    decryptString: buffer => flip(buffer).toString('utf8')
+  };
+}
+
+test.describe('Credential Store', () => {
+  let dir;
+  let filePath;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-credentials-'));
+    filePath = path.join(dir, 'credentials.json');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should store tokens encrypted and read them back', () => {
+    const store = createCredentialStore({ filePath, safeStorage: fakeSafeStorage() });
+    store.set('acme-pat', { token: 'ghp_secret123', label: 'Acme org' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('ghp_secret123');
+    expect(store.get('acme-pat')).toBe('ghp_secret123');
+
+    const reloaded = createCredentialStore({ filePath, safeStorage: fakeSafeStorage() });
+    expect(reloaded.get('acme-pat')).toBe('ghp_secret123');
+    expect(reloaded.list()).toEqual([{ id: 'acme-pat', label: 'Acme org', updated: expect.any(String) }]);
+  });
+
+  test('should rotate a token while keeping its label', () => {
+    const store = createCredentialStore({ filePath, safeStorage: fakeSafeStorage() });
+    store.set('acme-pat', { token: 'old', label: 'Acme org' });
+    store.set('acme-pat', { token: 'new' });
+
+    expect(store.get('acme-pat')).toBe('new');
+    expect(store.list()[0].label).toBe('Acme org');
+  });
+
+  test('should refuse to store tokens without secure storage', () => {
+    const store = createCredentialStore({ filePath, safeStorage: fakeSafeStorage(false) });
+
+    expect(() => store.set('acme-pat', { token: 'ghp_secret123' })).toThrow('Secure storage is not available');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('should validate names and tokens', () => {
+    const store = createCredentialStore({ filePath, safeStorage: fakeSafeStorage() });
+
+    expect(() => store.set('../evil', { token: 'x' })).toThrow('Credential names');
+    expect(() => store.set('ok', { token: '   ' })).toThrow('Token is required');
+  });
+
+  test('should remove credentials', () => {
+    const store = createCredentialStore({ filePath, safeStorage: fakeSafeStorage() });
+    store.set('acme-pat', { token: 'x' });
+
+    expect(store.remove('acme-pat')).toBe(true);
+    expect(store.get('acme-pat')).toBeNull();
+    expect(store.remove('acme-pat')).toBe(false);
+  });
+});
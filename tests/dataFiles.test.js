@@ -0,0 +1,129 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIGRATION_MARKER, writeJsonFile, readJsonFile, migrateDataDir } = require('../src/dataFiles');
+
+test.describe('Data Files', () => {
+  let dir;
+  let filePath;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-data-'));
+    filePath = path.join(dir, 'rules.json');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const files = () => fs.readdirSync(dir).sort();
+
+  test.describe('writeJsonFile', () => {
+    test('should replace the file and keep the previous version as a backup', () => {
+      writeJsonFile(filePath, [{ action: 'notify' }]);
+      expect(files()).toEqual(['rules.json']);
+
+      writeJsonFile(filePath, [{ action: 'ignore' }]);
+
+      expect(files()).toEqual(['rules.json', 'rules.json.bak']);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual([{ action: 'ignore' }]);
+      expect(JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf8'))).toEqual([{ action: 'notify' }]);
+    });
+
+    test('should create missing folders and skip the backup when asked', () => {
+      const nested = path.join(dir, 'logs', 'github-acme_shop-1.json');
+      writeJsonFile(nested, { id: 1 }, { backup: false });
+      writeJsonFile(nested, { id: 2 }, { backup: false });
+
+      expect(fs.readdirSync(path.join(dir, 'logs'))).toEqual(['github-acme_shop-1.json']);
+    });
+
+    test('should leave the old file alone when writing fails', () => {
+      writeJsonFile(filePath, { saved: true });
+      const circular = {};
+      circular.self = circular;
+
+      expect(() => writeJsonFile(filePath, circular)).toThrow();
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ saved: true });
+      expect(files()).toEqual(['rules.json']);
+    });
+
+    test('should create secrets readable by the user only', () => {
+      test.skip(process.platform === 'win32', 'POSIX permissions');
+      writeJsonFile(filePath, { token: 'secret' }, { mode: 0o600 });
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    });
+  });
+
+  test.describe('readJsonFile', () => {
+    test('should return the fallback when there is no file', () => {
+      expect(readJsonFile(filePath)).toBeNull();
+      expect(readJsonFile(filePath, [])).toEqual([]);
+    });
+
+    test('should keep a corrupt file and restore the backup', () => {
+      writeJsonFile(filePath, ['first']);
+      writeJsonFile(filePath, ['second']);
+      fs.writeFileSync(filePath, '["sec'); // a write cut short
+
+      expect(readJsonFile(filePath, [])).toEqual(['first']);
+
+      const corrupt = files().find(name => name.startsWith('rules.json.corrupt-'));
+      expect(fs.readFileSync(path.join(dir, corrupt), 'utf8')).toBe('["sec');
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(['first']);
+    });
+
+    test('should fall back when there is no usable backup', () => {
+      fs.writeFileSync(filePath, '{');
+
+      expect(readJsonFile(filePath, [])).toEqual([]);
+      expect(files()).toHaveLength(1);
+      expect(files()[0]).toMatch(/^rules\.json\.corrupt-/);
+    });
+  });
+
+  test.describe('migrateDataDir', () => {
+    let appDir;
+    let dataDir;
+    const names = ['sources.json', 'credentials.json', 'logs', 'rules.json'];
+
+    test.beforeEach(() => {
+      appDir = path.join(dir, 'app');
+      dataDir = path.join(dir, 'userData');
+      fs.mkdirSync(path.join(appDir, 'logs'), { recursive: true });
+      fs.writeFileSync(path.join(appDir, 'sources.json'), '[{"url":"https://github.com/acme/shop"}]');
+      fs.writeFileSync(path.join(appDir, 'credentials.json'), '{}', { mode: 0o600 });
+      fs.writeFileSync(path.join(appDir, 'logs', 'github-acme_shop-1.json'), '{}');
+    });
+
+    test('should copy state from the app folder once', () => {
+      expect(migrateDataDir({ from: appDir, to: dataDir, names })).toEqual(['sources.json', 'credentials.json', 'logs']);
+
+      expect(fs.readFileSync(path.join(dataDir, 'sources.json'), 'utf8')).toBe('[{"url":"https://github.com/acme/shop"}]');
+      expect(fs.existsSync(path.join(dataDir, 'logs', 'github-acme_shop-1.json'))).toBe(true);
+      expect(JSON.parse(fs.readFileSync(path.join(dataDir, MIGRATION_MARKER), 'utf8')).copied).toHaveLength(3);
+      // The originals stay for older versions
+      expect(fs.existsSync(path.join(appDir, 'sources.json'))).toBe(true);
+
+      // Later changes in the app folder are not copied again
+      fs.rmSync(path.join(dataDir, 'sources.json'));
+      expect(migrateDataDir({ from: appDir, to: dataDir, names })).toEqual([]);
+      expect(fs.existsSync(path.join(dataDir, 'sources.json'))).toBe(false);
+    });
+
+    test('should not overwrite files already in the data directory', () => {
+      fs.mkdirSync(dataDir);
+      fs.writeFileSync(path.join(dataDir, 'sources.json'), '[]');
+
+      expect(migrateDataDir({ from: appDir, to: dataDir, names })).toEqual(['credentials.json', 'logs']);
+      expect(fs.readFileSync(path.join(dataDir, 'sources.json'), 'utf8')).toBe('[]');
+    });
+
+    test('should do nothing when the app folder is the data directory', () => {
+      expect(migrateDataDir({ from: appDir, to: appDir, names })).toEqual([]);
+      expect(fs.existsSync(path.join(appDir, MIGRATION_MARKER))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { test, expect } = require('@playwright/test');
+const { parseTime, isValidSchedule, quietHoursEnd, snoozeUntil, activeReason, buildDigest } = require('../src/doNotDisturb');
+
+// Local time, 2024-06-05 is a Wednesday
+function at(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 5, day, hours, minutes);
+}
+
+const NIGHTS = { start: '22:00', end: '08:00' };
+const WEEKDAY_LUNCH = { days: [1, 2, 3, 4, 5], start: '12:00', end: '13:00' };
+
+test.describe('Do Not Disturb', () => {
+  test('should parse times and validate schedules', () => {
+    expect(parseTime('07:30')).toBe(450);
+    expect(parseTime('24:00')).toBeNull();
+    expect(parseTime('noon')).toBeNull();
+
+    expect(isValidSchedule(NIGHTS)).toBe(true);
+    expect(isValidSchedule(WEEKDAY_LUNCH)).toBe(true);
+    expect(isValidSchedule({ start: '22:00' })).toBe(false);
+    expect(isValidSchedule({ ...NIGHTS, days: [7] })).toBe(false);
+  });
+
+  test('should find quiet hours running past midnight', () => {
+    expect(quietHoursEnd([NIGHTS], at(5, '23:30'))).toEqual(at(6, '08:00'));
+    expect(quietHoursEnd([NIGHTS], at(5, '03:00'))).toEqual(at(5, '08:00'));
+    expect(quietHoursEnd([NIGHTS], at(5, '08:00'))).toBeNull();
+    expect(quietHoursEnd([NIGHTS], at(5, '21:59'))).toBeNull();
+  });
+
+  test('should respect the days a schedule starts on', () => {
+    expect(quietHoursEnd([WEEKDAY_LUNCH], at(5, '12:30'))).toEqual(at(5, '13:00'));
+    // Saturday
+    expect(quietHoursEnd([WEEKDAY_LUNCH], at(8, '12:30'))).toBeNull();
+
+    // A Friday night period still covers early Saturday
+    const fridayNight = { days: [5], ...NIGHTS };
+    expect(quietHoursEnd([fridayNight], at(8, '02:00'))).toEqual(at(8, '08:00'));
+    expect(quietHoursEnd([fridayNight], at(9, '02:00'))).toBeNull();
+  });
+
+  test('should compute snooze end times', () => {
+    const now = at(5, '15:10');
+    expect(snoozeUntil('30m', now)).toBe(at(5, '15:40').getTime());
+    expect(snoozeUntil('1h', now)).toBe(at(5, '16:10').getTime());
+    expect(snoozeUntil('tomorrow', now)).toBe(at(6, '08:00').getTime());
+    expect(() => snoozeUntil('forever', now)).toThrow('Unknown snooze option');
+  });
+
+  test('should report why notifications are held back', () => {
+    const now = at(5, '23:00');
+    expect(activeReason({ snoozedUntil: at(5, '23:30').getTime() }, now)).toEqual({ type: 'snooze', until: at(5, '23:30').getTime() });
+    expect(activeReason({ snoozedUntil: at(5, '22:30').getTime() }, now)).toBeNull();
+    expect(activeReason({ quietHoursEnabled: false, quietHours: [NIGHTS] }, now)).toBeNull();
+    expect(activeReason({ quietHoursEnabled: true, quietHours: [NIGHTS] }, now)).toEqual({ type: 'quiet-hours', until: at(6, '08:00').getTime() });
+  });
+
+  test('should summarize held back notifications in a digest', () => {
+    const notification = (status, repo) => ({ status, tag: status, context: { details: { repo, workflow: 'CI', branch: 'main' } } });
+    const digest = buildDigest([
+      notification('START', 'acme/shop'),
+      notification('success', 'acme/shop'),
+      notification('failure', 'acme/api'),
+      notification('failure', 'acme/web')
+    ]);
+
+    expect(digest.status).toBe('failure');
+    expect(digest.tag).toBe('failure');
+    expect(digest.context.details.summary).toBe('While you were away: 1 started, 1 passed, 2 failed');
+    expect(digest.context.details.items[2]).toBe('❌ acme/api · CI · main');
+    expect(buildDigest([])).toBeNull();
+  });
+
+  test('should cap the number of digest items', () => {
+    const held = Array.from({ length: 12 }, () => ({ status: 'success', tag: 'success', context: { details: { repo: 'acme/shop' } } }));
+    const { items } = buildDigest(held).context.details;
+    expect(items).toHaveLength(11);
+    expect(items[10]).toBe('…and 2 more');
+  });
+});
@@ -0,0 +1,129 @@
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+const { requestDeviceCode, pollForToken } = require('../src/githubDeviceFlow');
+const { httpFetch } = require('./helpers/httpFetch');
+
+const noWait = async () => {};
+
+// Local stand-in for github.com's device-code and token endpoints
+function createMockGitHub(tokenResponses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      requests.push({ path: req.url, accept: req.headers.accept, params });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/login/device/code') {
+        if (params.client_id !== 'test-client') {
+          res.end(JSON.stringify({ error: 'unauthorized_client', error_description: 'Unknown client' }));
+          return;
+        }
+        res.end(JSON.stringify({
+          device_code: 'device-123',
+          user_code: 'WDJB-MJHT',
+          verification_uri: 'https://github.com/login/device',
+          expires_in: 900,
+          interval: 5
+        }));
+        return;
+      }
+
+      if (req.url === '/login/oauth/access_token') {
+        res.end(JSON.stringify(tokenResponses.shift() || { error: 'expired_token' }));
+        return;
+      }
+
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+  return { server, requests };
+}
+
+test.describe('GitHub Device Flow', () => {
+  const originalFetch = global.fetch;
+  let mock;
+  let baseUrl;
+
+  async function startMock(tokenResponses = []) {
+    mock = createMockGitHub(tokenResponses);
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+  }
+
+  test.beforeEach(() => {
+    global.fetch = httpFetch;
+  });
+
+  test.afterEach(async () => {
+    global.fetch = originalFetch;
+    if (mock) {
+      await new Promise(resolve => mock.server.close(resolve));
+      mock = null;
+    }
+  });
+
+  test('should request a device and user code', async () => {
+    await startMock();
+    const code = await requestDeviceCode({ clientId: 'test-client', baseUrl });
+
+    expect(code).toEqual({
+      deviceCode: 'device-123',
+      userCode: 'WDJB-MJHT',
+      verificationUri: 'https://github.com/login/device',
+      expiresIn: 900,
+      interval: 5
+    });
+    expect(mock.requests[0]).toEqual({ path: '/login/device/code', accept: 'application/json', params: { client_id: 'test-client', scope: 'repo' } });
+  });
+
+  test('should surface device code errors', async () => {
+    await startMock();
+    await expect(requestDeviceCode({ clientId: 'other', baseUrl })).rejects.toThrow('Unknown client');
+  });
+
+  test('should poll until the user authorizes', async () => {
+    await startMock([
+      { error: 'authorization_pending' },
+      { error: 'slow_down', interval: 10 },
+      { access_token: 'gho_token123', token_type: 'bearer', scope: 'repo' }
+    ]);
+
+    const delays = [];
+    const token = await pollForToken({
+      clientId: 'test-client',
+      deviceCode: 'device-123',
+      interval: 5,
+      baseUrl,
+      sleep: async ms => delays.push(ms)
+    });
+
+    expect(token).toBe('gho_token123');
+    expect(delays).toEqual([5000, 5000, 10000]);
+    expect(mock.requests.map(r => r.params.grant_type)).toEqual(Array(3).fill('urn:ietf:params:oauth:grant-type:device_code'));
+  });
+
+  test('should stop when access is denied or the code expires', async () => {
+    await startMock([{ error: 'access_denied' }, { error: 'expired_token' }]);
+    const options = { clientId: 'test-client', deviceCode: 'device-123', baseUrl, sleep: noWait };
+
+    await expect(pollForToken(options)).rejects.toThrow('Access was denied');
+    await expect(pollForToken(options)).rejects.toThrow('The code expired');
+  });
+
+  test('should stop polling when cancelled', async () => {
+    await startMock([{ error: 'authorization_pending' }]);
+
+    await expect(pollForToken({
+      clientId: 'test-client',
+      deviceCode: 'device-123',
+      baseUrl,
+      sleep: noWait,
+      isCancelled: () => true
+    })).rejects.toThrow('Sign in cancelled');
+    expect(mock.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,195 @@
+// Just enough of the DOM to run a renderer script in node. There is no HTML
+// parser: assigning markup through innerHTML, outerHTML, insertAdjacentHTML or
+// document.write throws, so a renderer can only show data as text.
+const fs = require('fs');
+const vm = require('vm');
+
+class FakeClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get values() {
+    return this.element.className.split(/\s+/).filter(Boolean);
+  }
+
+  set values(list) {
+    this.element.className = list.join(' ');
+  }
+
+  add(...names) {
+    this.values = [...new Set([...this.values, ...names])];
+  }
+
+  remove(...names) {
+    this.values = this.values.filter(name => !names.includes(name));
+  }
+
+  toggle(name, force) {
+    const on = force === undefined ? !this.contains(name) : !!force;
+    if (on) this.add(name);
+    else this.remove(name);
+    return on;
+  }
+
+  contains(name) {
+    return this.values.includes(name);
+  }
+}
+
+class FakeText {
+  constructor(text) {
+    this.nodeType = 3;
+    this.data = String(text);
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
+
+function refuseMarkup() {
+  throw new Error('Renderers must not parse markup');
+}
+
+class FakeElement {
+  constructor(tagName) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.className = '';
+    this.classList = new FakeClassList(this);
+    this.childNodes = [];
+    this.attributes = {};
+    this.listeners = {};
+    this.style = {};
+    this.value = '';
+    this.checked = false;
+    this.disabled = false;
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes = text === '' || text === null || text === undefined ? [] : [new FakeText(text)];
+  }
+
+  set innerHTML(html) { refuseMarkup(); }
+  set outerHTML(html) { refuseMarkup(); }
+  insertAdjacentHTML() { refuseMarkup(); }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.childNodes.push(typeof node === 'string' ? new FakeText(node) : node);
+    }
+  }
+
+  appendChild(node) {
+    this.append(node);
+    return node;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatch(type, event = {}) {
+    for (const listener of this.listeners[type] || []) {
+      listener({ stopPropagation() {}, preventDefault() {}, target: this, ...event });
+    }
+  }
+
+  click() {
+    this.dispatch('click');
+  }
+
+  focus() {}
+  scrollIntoView() {}
+
+  // Every element below this one, depth first
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()]);
+  }
+
+  // Only simple ".class" and "tag" selectors
+  querySelectorAll(selector) {
+    const matches = selector.startsWith('.')
+      ? element => element.classList.contains(selector.slice(1))
+      : element => element.tagName === selector.toUpperCase();
+    return this.descendants().filter(matches);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+// A document whose elements with an id spring into existence when first
+// looked up, standing in for the static markup of the page
+function createDocument() {
+  const byId = new Map();
+  const created = [];
+  const document = {
+    body: new FakeElement('body'),
+    createElement(tagName) {
+      const element = new FakeElement(tagName);
+      created.push(element);
+      return element;
+    },
+    createTextNode(text) {
+      return new FakeText(text);
+    },
+    getElementById(id) {
+      if (!byId.has(id)) {
+        const element = new FakeElement('div');
+        element.id = id;
+        byId.set(id, element);
+      }
+      return byId.get(id);
+    },
+    write: refuseMarkup
+  };
+  return { document, created };
+}
+
+// Runs a renderer script against the fake DOM with `api` exposed as
+// window[apiName], the way its preload would
+function loadRenderer(file, apiName, api) {
+  const { document, created } = createDocument();
+  const window = { [apiName]: api };
+  const context = vm.createContext({
+    window,
+    document,
+    console,
+    setTimeout,
+    clearTimeout,
+    Date,
+    Promise,
+    navigator: { clipboard: { writeText: async () => {} } }
+  });
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return { document, created, window };
+}
+
+// Lets pending promise callbacks run
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+module.exports = {
+  loadRenderer,
+  flush
+};
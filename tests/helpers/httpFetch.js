@@ -0,0 +1,33 @@
+// Minimal fetch() over node's http module for tests that talk to local stub
+// servers. main.test.js replaces global.fetch with a mock for the whole worker,
+// so tests needing real requests install this instead.
+const http = require('http');
+
+function httpFetch(url, { method = 'GET', headers = {}, body, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers, signal }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          responseHeaders.set(name, Array.isArray(value) ? value.join(', ') : value);
+        }
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          headers: responseHeaders,
+          text: async () => text,
+          json: async () => JSON.parse(text)
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : String(body));
+  });
+}
+
+module.exports = {
+  httpFetch
+};
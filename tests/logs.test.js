@@ -0,0 +1,81 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cleanLine, extractFailureExcerpt } = require('../src/logExcerpt');
+const { logId, createLogCache } = require('../src/logCache');
+
+const githubLog = fs.readFileSync(path.join(__dirname, 'fixtures', 'logs', 'github-job.log'), 'utf8');
+
+test.describe('Failure Logs', () => {
+  test.describe('extractFailureExcerpt', () => {
+    test('should strip timestamps, colours and GitLab section markers', () => {
+      expect(cleanLine('2025-09-01T10:00:12.0000000Z \x1b[31mFAIL\x1b[39m src/cart.test.js')).toBe('FAIL src/cart.test.js');
+      expect(cleanLine('section_start:1756720800:step_script\r\x1b[0KExecuting "step_script" stage')).toBe('Executing "step_script" stage');
+    });
+
+    test('should end shortly after the last error annotation', () => {
+      const excerpt = extractFailureExcerpt(githubLog, { lines: 6, after: 1 });
+
+      expect(excerpt.errorLine).toBe(16);
+      expect(excerpt.startLine).toBe(12);
+      expect(excerpt.totalLines).toBe(18);
+      expect(excerpt.lines).toEqual([
+        '    expect(received).toBe(expected)',
+        '    Expected: 10.01',
+        '    Received: 10.009999',
+        'Tests: 1 failed, 41 passed, 42 total',
+        '##[error]Process completed with exit code 1.',
+        'Post job cleanup.'
+      ]);
+    });
+
+    test('should fall back to error-looking lines and then the tail', () => {
+      const jenkins = ['Started by user erin', 'npm ERR! Failed at the build script', 'Finished: FAILURE', ''].join('\n');
+      expect(extractFailureExcerpt(jenkins, { after: 0 }).errorLine).toBe(2);
+
+      const quiet = ['one', 'two', 'three'].join('\n');
+      expect(extractFailureExcerpt(quiet, { lines: 2 })).toEqual({ lines: ['two', 'three'], startLine: 2, errorLine: null, totalLines: 3 });
+    });
+  });
+
+  test.describe('createLogCache', () => {
+    let dir;
+
+    test.beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-logs-'));
+    });
+
+    test.afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should build file-safe ids', () => {
+      expect(logId('gitlab', 'gitlab.example.com/platform/api', 987600)).toBe('gitlab-gitlab_example_com_platform_api-987600');
+    });
+
+    test('should save, list and reload cached logs', () => {
+      const cache = createLogCache({ dir });
+      const id = logId('github', 'acme/shop', 1);
+      cache.save({ id, repo: 'acme/shop', job: 'test', excerpt: extractFailureExcerpt(githubLog) });
+
+      expect(cache.has(id)).toBe(true);
+      expect(cache.list()).toEqual([{ id, repo: 'acme/shop', job: 'test', fetchedAt: expect.any(String) }]);
+      expect(createLogCache({ dir }).get(id).excerpt.errorLine).toBe(16);
+    });
+
+    test('should keep only the newest entries', () => {
+      const cache = createLogCache({ dir, maxEntries: 2 });
+      ['2025-09-01T10:00:00Z', '2025-09-01T11:00:00Z', '2025-09-01T12:00:00Z'].forEach((fetchedAt, i) => {
+        cache.save({ id: `log-${i}`, fetchedAt });
+      });
+
+      expect(cache.list().map(entry => entry.id)).toEqual(['log-2', 'log-1']);
+    });
+
+    test('should reject ids that escape the cache directory', () => {
+      const cache = createLogCache({ dir });
+      expect(() => cache.get('../sources')).toThrow('Invalid log id');
+    });
+  });
+});
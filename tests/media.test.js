@@ -0,0 +1,180 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { readMediaSize, fitSize, listPacks, createMediaLibrary } = require('../src/mediaLibrary');
+const { createGiphyProvider, parseGif } = require('../src/giphy');
+const { httpFetch } = require('./helpers/httpFetch');
+
+const BUNDLED = path.join(__dirname, '..', 'media');
+
+function gifHeader(width, height) {
+  const buffer = Buffer.alloc(13);
+  buffer.write('GIF89a', 0, 'ascii');
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+test.describe('Media Library', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-media-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function addFile(pack, event, name, content) {
+    fs.mkdirSync(path.join(dir, pack, event), { recursive: true });
+    fs.writeFileSync(path.join(dir, pack, event, name), content);
+  }
+
+  test('should bundle a default pack for every event', () => {
+    expect(listPacks(BUNDLED)).toContain('default');
+    for (const event of ['success', 'failure', 'start']) {
+      expect(fs.readdirSync(path.join(BUNDLED, 'default', event)).length).toBeGreaterThan(0);
+    }
+  });
+
+  test('should read the size of GIF, PNG and SVG files', () => {
+    addFile('team', 'success', 'a.gif', gifHeader(480, 270));
+    addFile('team', 'success', 'b.png', pngHeader(64, 32));
+
+    expect(readMediaSize(path.join(dir, 'team', 'success', 'a.gif'))).toEqual({ width: 480, height: 270 });
+    expect(readMediaSize(path.join(dir, 'team', 'success', 'b.png'))).toEqual({ width: 64, height: 32 });
+    expect(readMediaSize(path.join(BUNDLED, 'default', 'failure', 'whale.svg'))).toEqual({ width: 400, height: 300 });
+  });
+
+  test('should scale media down to fit the popup', () => {
+    expect(fitSize({ width: 800, height: 400 })).toEqual({ width: 400, height: 200 });
+    expect(fitSize({ width: 200, height: 600 })).toEqual({ width: 100, height: 300 });
+    expect(fitSize({ width: 100, height: 50 })).toEqual({ width: 100, height: 50 });
+    expect(fitSize(null)).toEqual({ width: 400, height: 300 });
+  });
+
+  test('should pick from the chosen pack first', async () => {
+    fs.cpSync(path.join(BUNDLED, 'default'), path.join(dir, 'default'), { recursive: true });
+    addFile('mascot', 'failure', 'sad.mp4', 'video');
+    const giphy = { take: async () => ({ url: 'https://giphy/x.gif', source: 'giphy' }) };
+    const library = createMediaLibrary({ dir, pack: 'mascot', giphy });
+
+    expect(library.packs()).toEqual(['default', 'mascot']);
+    const failure = await library.pick('failure');
+    expect(failure).toMatchObject({ type: 'video', source: 'mascot', width: 400, height: 300 });
+    expect(failure.url).toMatch(/^file:.*sad\.mp4$/);
+
+    // Events the pack has nothing for fall through to Giphy
+    expect((await library.pick('success')).source).toBe('giphy');
+  });
+
+  test('should read packs of the user from the data directory', async () => {
+    const userDir = path.join(dir, 'userData');
+    addFile('bundled/mascot', 'failure', 'old.gif', gifHeader(10, 10));
+    addFile('bundled/mascot', 'success', 'happy.gif', gifHeader(10, 10));
+    addFile('userData/mascot', 'failure', 'new.gif', gifHeader(10, 10));
+    addFile('userData/default', 'failure', 'not-this.gif', gifHeader(10, 10));
+    fs.cpSync(path.join(BUNDLED, 'default'), path.join(dir, 'bundled', 'default'), { recursive: true });
+
+    const library = createMediaLibrary({ dir: path.join(dir, 'bundled'), userDir, pack: 'mascot' });
+
+    expect(library.packs()).toEqual(['default', 'mascot']);
+    expect((await library.pick('failure')).url).toMatch(/userData\/mascot\/failure\/new\.gif$/);
+    expect((await library.pick('success')).url).toMatch(/bundled\/mascot\/success\/happy\.gif$/);
+    expect((await createMediaLibrary({ dir: path.join(dir, 'bundled'), userDir, pack: 'default' }).pick('failure')).url).toMatch(/whale\.svg$/);
+  });
+
+  test('should fall back to the bundled pack when Giphy has nothing', async () => {
+    fs.cpSync(path.join(BUNDLED, 'default'), path.join(dir, 'default'), { recursive: true });
+    const giphy = { take: async () => null };
+
+    const media = await createMediaLibrary({ dir, giphy }).pick('failure');
+    expect(media).toMatchObject({ source: 'default', type: 'image', width: 400, height: 300 });
+  });
+
+  test('should skip Giphy when the default pack is chosen', async () => {
+    fs.cpSync(path.join(BUNDLED, 'default'), path.join(dir, 'default'), { recursive: true });
+    let asked = false;
+    const giphy = { take: async () => { asked = true; return null; } };
+
+    expect((await createMediaLibrary({ dir, pack: 'default', giphy }).pick('start')).source).toBe('default');
+    expect(asked).toBe(false);
+  });
+
+  test('should still resolve without any media at all', async () => {
+    const media = await createMediaLibrary({ dir }).pick('failure');
+    expect(media).toMatchObject({ url: '', height: 0 });
+  });
+});
+
+test.describe('Giphy Provider', () => {
+  const originalFetch = global.fetch;
+  let server;
+  let baseUrl;
+  let requests;
+
+  test.beforeEach(async () => {
+    global.fetch = httpFetch;
+    requests = [];
+    let count = 0;
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(Object.fromEntries(url.searchParams));
+      count++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        data: { images: { downsized_medium: { url: `https://media.giphy.com/${count}.gif`, width: '320', height: '240' } } }
+      }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterEach(async () => {
+    global.fetch = originalFetch;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should prefetch GIFs and serve them from the cache', async () => {
+    const giphy = createGiphyProvider({ apiKey: 'key', baseUrl, prefetch: 2 });
+    await giphy.prefetch('failure');
+    expect(requests).toHaveLength(2);
+
+    const gif = await giphy.take('failure');
+    expect(gif).toEqual({ url: 'https://media.giphy.com/1.gif', width: 320, height: 240, type: 'image', source: 'giphy' });
+    // Taking one from the cache doesn't wait on the API
+    expect(requests).toHaveLength(2);
+
+    await giphy.prefetch('failure');
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should send the rating filter and default to G', async () => {
+    await createGiphyProvider({ apiKey: 'key', baseUrl, rating: 'PG-13' }).take('success');
+    await createGiphyProvider({ apiKey: 'key', baseUrl, rating: 'nsfw' }).take('success');
+
+    expect(requests[0]).toMatchObject({ api_key: 'key', tag: 'success', rating: 'pg-13' });
+    expect(requests.find(request => request.rating === 'g')).toBeTruthy();
+  });
+
+  test('should only take https media URLs', () => {
+    const response = (url) => ({ data: { images: { downsized_medium: { url, width: '320', height: '240' } } } });
+
+    expect(parseGif(response('https://media.giphy.com/1.gif'))).toMatchObject({ url: 'https://media.giphy.com/1.gif' });
+    expect(parseGif(response('javascript:alert(1)'))).toBeNull();
+    expect(parseGif(response('data:text/html,<script>alert(1)</script>'))).toBeNull();
+    expect(parseGif(response({ toString: () => 'https://x' }))).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+const { test, expect } = require('@playwright/test');
+const { nativeNotificationContent } = require('../src/nativeNotification');
+
+const DETAILS = {
+  repo: 'acme/shop',
+  workflow: 'Deploy',
+  branch: 'main',
+  commitMessage: 'Fix checkout',
+  actor: 'alice',
+  duration: '2m 5s'
+};
+
+test.describe('Native Notifications', () => {
+  test('should describe a run', () => {
+    expect(nativeNotificationContent('failure', DETAILS, { platform: 'linux' })).toEqual({
+      title: '❌ acme/shop · Deploy failed',
+      body: 'Fix checkout\nmain · by alice · 2m 5s',
+      actions: []
+    });
+    expect(nativeNotificationContent('START', { repo: 'acme/shop' }).title).toBe('▶️ acme/shop started');
+  });
+
+  test('should describe a summary', () => {
+    const content = nativeNotificationContent('success', { summary: '3 workflows passed', items: ['a', 'b', 'c'] });
+    expect(content).toEqual({ title: '✅ 3 workflows passed', body: 'a\nb\nc', actions: [] });
+  });
+
+  test('should only offer actions on macOS', () => {
+    const capabilities = { runActions: [{ name: 'rerun', label: 'Re-run failed jobs' }], canViewLogs: true };
+    expect(nativeNotificationContent('failure', DETAILS, { ...capabilities, platform: 'darwin' }).actions).toEqual([
+      { name: 'rerun', text: 'Re-run failed jobs' },
+      { name: 'logs', text: 'View logs' }
+    ]);
+    expect(nativeNotificationContent('failure', DETAILS, { canViewLogs: true, platform: 'darwin' }).actions).toEqual([
+      { name: 'logs', text: 'View logs' }
+    ]);
+    expect(nativeNotificationContent('failure', DETAILS, { ...capabilities, platform: 'win32' }).actions).toEqual([]);
+  });
+});
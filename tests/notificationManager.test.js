@@ -0,0 +1,135 @@
+const { test, expect } = require('@playwright/test');
+const { collapseBursts, popupPlacement, createNotificationManager } = require('../src/notificationManager');
+
+function event(status, repo, workflow = 'CI') {
+  return { status, tag: status, context: { details: { repo, workflow, branch: 'main' } } };
+}
+
+// Records popups instead of opening windows
+function fakePopups(height = 100) {
+  const popups = [];
+  const createPopup = async (notification, offset) => {
+    const popup = { notification, offset, closeHandlers: [] };
+    popup.close = () => popup.closeHandlers.forEach(handler => handler());
+    popups.push(popup);
+    return {
+      height,
+      moveTo: (newOffset) => { popup.offset = newOffset; },
+      onClosed: (handler) => popup.closeHandlers.push(handler)
+    };
+  };
+  return { popups, createPopup };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test.describe('Notification Manager', () => {
+  test.describe('collapseBursts', () => {
+    test('should keep small groups as individual notifications', () => {
+      const notifications = [event('failure', 'a'), event('success', 'b'), event('failure', 'c')];
+      expect(collapseBursts(notifications, 3)).toEqual(notifications);
+    });
+
+    test('should collapse a burst of the same status into one summary', () => {
+      const result = collapseBursts([
+        event('failure', 'acme/shop', 'Lint'),
+        event('success', 'acme/api'),
+        event('failure', 'acme/shop', 'Test'),
+        event('failure', 'acme/web', 'Deploy')
+      ], 3);
+
+      expect(result).toHaveLength(2);
+      expect(result[0].status).toBe('failure');
+      expect(result[0].context.details).toEqual({
+        summary: '3 workflows failed',
+        items: ['acme/shop · Lint · main', 'acme/shop · Test · main', 'acme/web · Deploy · main']
+      });
+      expect(result[1].context.details.repo).toBe('acme/api');
+    });
+  });
+
+  test.describe('popupPlacement', () => {
+    const workArea = { x: 0, y: 25, width: 1440, height: 875 };
+
+    test('should stack up from the bottom right corner by default', () => {
+      const placement = popupPlacement({ workArea, width: 400, height: 500 });
+
+      expect(placement.x).toBe(1030);
+      expect(placement.visibleY(0)).toBe(390);
+      expect(placement.visibleY(510)).toBe(-120);
+      expect(placement.hiddenY).toBe(940);
+    });
+
+    test('should stack down from the top for top positions', () => {
+      const placement = popupPlacement({ workArea, width: 400, height: 500, position: 'top-left', margin: 20 });
+
+      expect(placement.x).toBe(20);
+      expect(placement.visibleY(0)).toBe(45);
+      expect(placement.visibleY(510)).toBe(555);
+      expect(placement.hiddenY).toBe(-515);
+    });
+  });
+
+  test.describe('createNotificationManager', () => {
+    test('should give every popup its own status and stack them', async () => {
+      const { popups, createPopup } = fakePopups();
+      const manager = createNotificationManager({ createPopup, burstWindow: 60000 });
+
+      manager.notify(event('failure', 'a'));
+      manager.notify(event('success', 'b'));
+      await manager.flush();
+
+      expect(popups.map(p => [p.notification.status, p.offset])).toEqual([['failure', 0], ['success', 100]]);
+    });
+
+    test('should wait for the burst window before showing anything', async () => {
+      const { popups, createPopup } = fakePopups();
+      const manager = createNotificationManager({ createPopup, burstWindow: 20 });
+
+      manager.notify(event('failure', 'a'));
+      expect(popups).toHaveLength(0);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(popups).toHaveLength(1);
+    });
+
+    test('should cap visible popups and queue the rest', async () => {
+      const { popups, createPopup } = fakePopups();
+      const manager = createNotificationManager({ createPopup, maxVisible: 2, burstThreshold: 10, burstWindow: 60000 });
+
+      ['a', 'b', 'c'].forEach(repo => manager.notify(event('failure', repo)));
+      await manager.flush();
+
+      expect(popups).toHaveLength(2);
+      expect(manager.stats()).toEqual({ pending: 0, queued: 1, visible: 2 });
+
+      // Closing the bottom popup moves the other down and shows the queued one on top
+      popups[0].close();
+      await tick();
+
+      expect(popups[1].offset).toBe(0);
+      expect(popups).toHaveLength(3);
+      expect(popups[2].notification.context.details.repo).toBe('c');
+      expect(popups[2].offset).toBe(100);
+    });
+
+    test('should skip notifications that could not be shown', async () => {
+      const shown = [];
+      const manager = createNotificationManager({
+        burstWindow: 60000,
+        createPopup: async (notification) => {
+          if (notification.context.details.repo === 'broken') return null;
+          shown.push(notification.context.details.repo);
+          return { height: 100, moveTo() {}, onClosed() {} };
+        }
+      });
+
+      manager.notify(event('failure', 'broken'));
+      manager.notify(event('success', 'ok'));
+      await manager.flush();
+
+      expect(shown).toEqual(['ok']);
+      expect(manager.stats().visible).toBe(1);
+    });
+  });
+});
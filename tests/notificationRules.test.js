@@ -0,0 +1,137 @@
+const { test, expect } = require('@playwright/test');
+const { validateRules, matchRule, findRule, createNotificationRules } = require('../src/notificationRules');
+
+const SOURCE = { key: 'acme/shop', name: 'acme/shop' };
+
+function makeEvent(type, overrides = {}) {
+  return {
+    type,
+    run: {
+      id: 1,
+      workflow: 'Deploy',
+      workflowFile: 'deploy.yml',
+      branch: 'main',
+      actor: 'alice',
+      status: type === 'completed' ? 'completed' : 'in_progress',
+      conclusion: type === 'completed' ? 'failure' : null,
+      updatedAt: '2024-01-01T10:00:00Z',
+      ...overrides
+    }
+  };
+}
+
+test.describe('Notification Rules', () => {
+  test.describe('validateRules', () => {
+    test('should accept valid rules', () => {
+      const rules = [
+        { match: { source: 'acme/*', branch: ['main', 'release/*'] }, action: 'state-change' },
+        { action: 'notify' }
+      ];
+      expect(validateRules(rules)).toBe(rules);
+    });
+
+    test('should reject invalid rules', () => {
+      expect(() => validateRules({})).toThrow('Rules must be a list');
+      expect(() => validateRules([{ action: 'shout' }])).toThrow('Rule 1 has an unknown action: shout');
+      expect(() => validateRules([{ action: 'ignore', match: { colour: 'red' } }])).toThrow('Rule 1 matches on an unknown field: colour');
+      expect(() => validateRules([{ action: 'ignore', match: { branch: [''] } }])).toThrow('Rule 1 has an invalid branch pattern');
+      expect(() => validateRules([{ action: 'ignore', match: { event: 'queued' } }])).toThrow('Rule 1 matches on an unknown event: queued');
+    });
+  });
+
+  test.describe('matchRule', () => {
+    test('should match every field', () => {
+      const rule = {
+        action: 'ignore',
+        match: { source: 'acme/*', workflow: 'deploy.yml', branch: 'main', event: 'completed', actor: 'alice', conclusion: 'failure' }
+      };
+      expect(matchRule(rule, SOURCE, makeEvent('completed'))).toBe(true);
+      expect(matchRule(rule, { key: 'other/repo', name: 'other/repo' }, makeEvent('completed'))).toBe(false);
+      expect(matchRule(rule, SOURCE, makeEvent('started'))).toBe(false);
+      expect(matchRule(rule, SOURCE, makeEvent('completed', { actor: 'bob' }))).toBe(false);
+      expect(matchRule(rule, SOURCE, makeEvent('completed', { conclusion: 'success' }))).toBe(false);
+    });
+
+    test('should match workflows by file or display name', () => {
+      expect(matchRule({ action: 'ignore', match: { workflow: 'Deploy' } }, SOURCE, makeEvent('started'))).toBe(true);
+      expect(matchRule({ action: 'ignore', match: { workflow: '*.yml' } }, SOURCE, makeEvent('started'))).toBe(true);
+      expect(matchRule({ action: 'ignore', match: { workflow: 'ci.yml' } }, SOURCE, makeEvent('started'))).toBe(false);
+    });
+
+    test('should match any pattern of a list and everything without a match', () => {
+      const rule = { action: 'ignore', match: { branch: ['develop', 'feature/*'] } };
+      expect(matchRule(rule, SOURCE, makeEvent('started', { branch: 'feature/login' }))).toBe(true);
+      expect(matchRule(rule, SOURCE, makeEvent('started'))).toBe(false);
+      expect(matchRule({ action: 'ignore' }, SOURCE, makeEvent('started'))).toBe(true);
+    });
+
+    test('should not match a field the run does not have', () => {
+      expect(matchRule({ action: 'ignore', match: { actor: '*' } }, SOURCE, makeEvent('started', { actor: '' }))).toBe(false);
+    });
+
+    test('should use the first matching rule', () => {
+      const rules = [
+        { match: { branch: 'main' }, action: 'notify' },
+        { action: 'ignore' }
+      ];
+      expect(findRule(rules, SOURCE, makeEvent('started'))).toBe(rules[0]);
+      expect(findRule(rules, SOURCE, makeEvent('started', { branch: 'dev' }))).toBe(rules[1]);
+      expect(findRule([], SOURCE, makeEvent('started'))).toBeNull();
+    });
+  });
+
+  test.describe('decide', () => {
+    test('should notify everything without rules', () => {
+      const engine = createNotificationRules();
+      expect(engine.decide(SOURCE, makeEvent('started'))).toBe('notify');
+      expect(engine.decide(SOURCE, makeEvent('completed'))).toBe('notify');
+    });
+
+    test('should ignore matching events', () => {
+      const engine = createNotificationRules({ rules: [{ match: { event: 'started' }, action: 'ignore' }] });
+      expect(engine.decide(SOURCE, makeEvent('started'))).toBe('ignore');
+      expect(engine.decide(SOURCE, makeEvent('completed'))).toBe('notify');
+    });
+
+    test('should only notify when the outcome changes', () => {
+      const engine = createNotificationRules({ rules: [{ match: { branch: 'main' }, action: 'state-change' }] });
+      const completed = (id, conclusion, minute) =>
+        makeEvent('completed', { id, conclusion, updatedAt: `2024-01-01T10:${minute}:00Z` });
+
+      expect(engine.decide(SOURCE, makeEvent('started'))).toBe('ignore');
+      expect(engine.decide(SOURCE, completed(1, 'success', '01'))).toBe('ignore');
+      expect(engine.decide(SOURCE, completed(2, 'failure', '02'))).toBe('notify');
+      expect(engine.decide(SOURCE, completed(3, 'failure', '03'))).toBe('ignore');
+      expect(engine.decide(SOURCE, completed(4, 'cancelled', '04'))).toBe('ignore');
+      expect(engine.decide(SOURCE, completed(5, 'success', '05'))).toBe('notify');
+      // Branches are tracked separately
+      expect(engine.decide(SOURCE, makeEvent('completed', { branch: 'dev' }))).toBe('notify');
+    });
+
+    test('should track outcomes even for ignored events', () => {
+      const engine = createNotificationRules({
+        rules: [
+          { match: { actor: 'bot' }, action: 'ignore' },
+          { action: 'state-change' }
+        ]
+      });
+      engine.decide(SOURCE, makeEvent('completed', { actor: 'bot', updatedAt: '2024-01-01T10:00:00Z' }));
+      expect(engine.decide(SOURCE, makeEvent('completed', { updatedAt: '2024-01-01T11:00:00Z' }))).toBe('ignore');
+    });
+
+    test('should keep the newest remembered outcome', () => {
+      const engine = createNotificationRules({ rules: [{ action: 'state-change' }] });
+      engine.remember('acme/shop', makeEvent('completed', { updatedAt: '2024-01-01T12:00:00Z' }).run);
+      engine.remember('acme/shop', makeEvent('completed', { conclusion: 'success', updatedAt: '2024-01-01T09:00:00Z' }).run);
+
+      expect(engine.decide(SOURCE, makeEvent('completed', { updatedAt: '2024-01-01T13:00:00Z' }))).toBe('ignore');
+    });
+
+    test('should validate replaced rules', () => {
+      const engine = createNotificationRules();
+      expect(() => engine.setRules([{ action: 'maybe' }])).toThrow('unknown action');
+      engine.setRules([{ action: 'ignore' }]);
+      expect(engine.rules()).toEqual([{ action: 'ignore' }]);
+    });
+  });
+});
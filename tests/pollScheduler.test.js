@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const { createPollScheduler } = require('../src/pollScheduler');
+
+const NOW = 1756720800000; // 2025-09-01T10:00:00Z
+const nowSeconds = NOW / 1000;
+
+test.describe('Poll Scheduler', () => {
+  test('should poll unseen sources straight away', () => {
+    const scheduler = createPollScheduler();
+    expect(scheduler.isDue('acme/shop', 'github', NOW)).toBe(true);
+  });
+
+  test('should use the minimum intervals while the quota is unknown', () => {
+    const scheduler = createPollScheduler();
+
+    expect(scheduler.schedule('acme/shop', 'github', { active: true }, NOW)).toBe(NOW + 10000);
+    expect(scheduler.schedule('acme/api', 'github', { active: false }, NOW)).toBe(NOW + 60000);
+    expect(scheduler.isDue('acme/shop', 'github', NOW + 9999)).toBe(false);
+    expect(scheduler.isDue('acme/shop', 'github', NOW + 10000)).toBe(true);
+  });
+
+  test('should spread the remaining quota across sources until the reset', () => {
+    const scheduler = createPollScheduler({ budgetShare: 1 });
+    // 100 requests left for the next hour, one active and eight idle repos
+    scheduler.updateRateLimit('github', { limit: 5000, remaining: 100, reset: nowSeconds + 3600 });
+
+    scheduler.schedule('repo-active', 'github', { active: true }, NOW);
+    for (let i = 0; i < 8; i++) {
+      scheduler.schedule(`repo-${i}`, 'github', { active: false }, NOW);
+    }
+
+    // total weight 4 + 8 = 12 over 100 requests/hour -> idle every 432s, active every 108s
+    expect(scheduler.intervalFor('repo-0', NOW)).toBeCloseTo(432000, -1);
+    expect(scheduler.intervalFor('repo-active', NOW)).toBeCloseTo(108000, -1);
+  });
+
+  test('should cap intervals for nearly exhausted quotas', () => {
+    const scheduler = createPollScheduler();
+    scheduler.updateRateLimit('github', { limit: 5000, remaining: 1, reset: nowSeconds + 3600 });
+    scheduler.schedule('acme/shop', 'github', {}, NOW);
+
+    expect(scheduler.intervalFor('acme/shop', NOW)).toBe(10 * 60 * 1000);
+  });
+
+  test('should keep buckets independent', () => {
+    const scheduler = createPollScheduler();
+    scheduler.updateRateLimit('github', { limit: 5000, remaining: 0, reset: nowSeconds + 600 });
+
+    expect(scheduler.isDue('acme/shop', 'github', NOW)).toBe(false);
+    expect(scheduler.isDue('gitlab.com/acme/shop', 'gitlab', NOW)).toBe(true);
+  });
+
+  test('should back off completely until the rate limit resets', () => {
+    const scheduler = createPollScheduler();
+    scheduler.schedule('acme/shop', 'github', { active: true }, NOW - 60000);
+    scheduler.updateRateLimit('github', { limit: 5000, remaining: 0, reset: nowSeconds + 600 });
+
+    expect(scheduler.pausedUntil('github', NOW)).toBe(NOW + 600000);
+    expect(scheduler.isDue('acme/shop', 'github', NOW + 599000)).toBe(false);
+    expect(scheduler.pausedUntil('github', NOW + 600000)).toBeNull();
+    expect(scheduler.isDue('acme/shop', 'github', NOW + 600000)).toBe(true);
+  });
+
+  test('should use new intervals from the next poll on', () => {
+    const scheduler = createPollScheduler();
+    expect(scheduler.schedule('acme/shop', 'github', { active: true }, NOW)).toBe(NOW + 10000);
+
+    scheduler.configure({ activeInterval: 30000, idleInterval: 120000 });
+    expect(scheduler.schedule('acme/shop', 'github', { active: true }, NOW)).toBe(NOW + 30000);
+    expect(scheduler.schedule('acme/api', 'github', { active: false }, NOW)).toBe(NOW + 120000);
+  });
+
+  test('should forget removed sources', () => {
+    const scheduler = createPollScheduler();
+    scheduler.schedule('acme/shop', 'github', {}, NOW);
+    scheduler.forget('acme/shop');
+
+    expect(scheduler.isDue('acme/shop', 'github', NOW)).toBe(true);
+  });
+});
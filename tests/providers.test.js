@@ -0,0 +1,613 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { getProvider, detectProvider, resolveSource } = require('../src/providers');
+const { fetchJson, setRequestDefaults } = require('../src/providers/http');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'providers', name), 'utf8'));
+}
+
+// Replays a recorded API response and remembers the request that was made
+function replay(fixture) {
+  const request = {};
+  global.fetch = async (url, options = {}) => {
+    request.url = url;
+    request.headers = options.headers;
+    return { ok: true, status: 200, headers: new Headers(), json: async () => loadFixture(fixture) };
+  };
+  return request;
+}
+
+test.describe('CI Providers', () => {
+  const originalFetch = global.fetch;
+
+  test.afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test.describe('resolveSource', () => {
+    test('should detect the provider from the URL', () => {
+      expect(detectProvider('https://github.com/tnylea/failwhale').name).toBe('github');
+      expect(detectProvider('https://gitlab.com/group/project').name).toBe('gitlab');
+      expect(detectProvider('https://bitbucket.org/team/repo').name).toBe('bitbucket');
+      expect(detectProvider('https://ci.example.com/job/app/').name).toBe('jenkins');
+      expect(detectProvider('https://example.com/some/repo')).toBeNull();
+    });
+
+    test('should honour an explicitly chosen provider', () => {
+      const resolved = resolveSource({ url: 'https://code.example.com/platform/payments/api', provider: 'gitlab' });
+      expect(resolved.provider.name).toBe('gitlab');
+      expect(resolved.info).toEqual({
+        origin: 'https://code.example.com',
+        project: 'platform/payments/api',
+        key: 'code.example.com/platform/payments/api',
+        name: 'platform/payments/api'
+      });
+    });
+
+    test('should reject URLs the provider cannot parse', () => {
+      expect(resolveSource({ url: 'https://github.com/user' })).toBeNull();
+      expect(resolveSource({ url: 'https://gitlab.com/project-without-namespace' })).toBeNull();
+      expect(resolveSource({ url: 'https://github.com/a/b', provider: 'unknown' })).toBeNull();
+    });
+
+    test('should parse provider specific URLs', () => {
+      expect(getProvider('github').parseUrl('https://github.com/facebook/react.git/tree/main')).toMatchObject({ owner: 'facebook', repo: 'react', key: 'facebook/react' });
+      expect(getProvider('gitlab').parseUrl('gitlab.com/group/sub/project/-/pipelines')).toMatchObject({ project: 'group/sub/project' });
+      expect(getProvider('bitbucket').parseUrl('https://bitbucket.org/team/repo/pipelines')).toMatchObject({ workspace: 'team', repo: 'repo' });
+      expect(getProvider('jenkins').parseUrl('https://ci.example.com/job/team/job/app/145/console')).toMatchObject({
+        jobUrl: 'https://ci.example.com/job/team/job/app',
+        job: 'team/app'
+      });
+    });
+  });
+
+  test.describe('github', () => {
+    test('should normalise workflow runs', async () => {
+      const request = replay('github-runs.json');
+      const provider = getProvider('github');
+      const runs = await provider.fetchRuns(provider.parseUrl('https://github.com/acme/shop'), { token: 'ghp_test' });
+
+      expect(request.url).toBe('https://api.github.com/repos/acme/shop/actions/runs?per_page=50');
+      expect(request.headers.Authorization).toBe('Bearer ghp_test');
+      expect(runs).toHaveLength(2);
+      expect(runs[0]).toEqual({
+        id: 6123456789,
+        provider: 'github',
+        number: 318,
+        attempt: 1,
+        workflow: 'Deploy',
+        workflowFile: 'deploy.yml',
+        branch: 'main',
+        status: 'in_progress',
+        conclusion: null,
+        sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        commitMessage: 'Fix checkout total rounding',
+        actor: 'alice',
+        htmlUrl: 'https://github.com/acme/shop/actions/runs/6123456789',
+        createdAt: '2025-09-01T10:00:00Z',
+        startedAt: '2025-09-01T10:00:05Z',
+        updatedAt: '2025-09-01T10:02:10Z'
+      });
+      expect(runs[1]).toMatchObject({ status: 'completed', conclusion: 'failure', branch: 'feature/search', workflowFile: 'lint.yml' });
+    });
+  });
+
+  test.describe('gitlab', () => {
+    test('should normalise pipelines', async () => {
+      const request = replay('gitlab-pipelines.json');
+      const provider = getProvider('gitlab');
+      const runs = await provider.fetchRuns(provider.parseUrl('https://gitlab.example.com/platform/payments/api'), { token: 'glpat-test' });
+
+      expect(request.url).toBe('https://gitlab.example.com/api/v4/projects/platform%2Fpayments%2Fapi/pipelines?per_page=50');
+      expect(request.headers['PRIVATE-TOKEN']).toBe('glpat-test');
+      expect(runs.map(run => [run.id, run.workflow, run.branch, run.status, run.conclusion])).toEqual([
+        [987654, 'Pipeline', 'main', 'in_progress', null],
+        [987600, 'Nightly', 'release/2.4', 'completed', 'failure'],
+        [987599, 'Pipeline', 'release/2.4', 'completed', 'cancelled']
+      ]);
+      expect(runs[0].htmlUrl).toBe('https://gitlab.example.com/platform/payments/api/-/pipelines/987654');
+    });
+  });
+
+  test.describe('bitbucket', () => {
+    test('should normalise pipelines', async () => {
+      const request = replay('bitbucket-pipelines.json');
+      const provider = getProvider('bitbucket');
+      const runs = await provider.fetchRuns(provider.parseUrl('https://bitbucket.org/acme/shop'), { token: 'bb-token' });
+
+      expect(request.url).toBe('https://api.bitbucket.org/2.0/repositories/acme/shop/pipelines/?sort=-created_on&pagelen=50');
+      expect(request.headers.Authorization).toBe('Bearer bb-token');
+      expect(runs[0]).toMatchObject({
+        id: '{3f1d2c4b-9a8e-4f7d-b6c5-a4b3c2d1e0f9}',
+        number: 77,
+        workflow: 'main',
+        branch: 'main',
+        status: 'completed',
+        conclusion: 'success',
+        actor: 'Carol Danvers',
+        htmlUrl: 'https://bitbucket.org/acme/shop/pipelines/results/77'
+      });
+      expect(runs[1]).toMatchObject({ workflow: 'default', branch: 'feature/cart', status: 'in_progress', conclusion: null });
+    });
+
+    test('should use basic auth for app passwords', async () => {
+      const request = replay('bitbucket-pipelines.json');
+      const provider = getProvider('bitbucket');
+      await provider.fetchRuns(provider.parseUrl('https://bitbucket.org/acme/shop'), { token: 'carol:app-password' });
+
+      expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('carol:app-password').toString('base64')}`);
+    });
+  });
+
+  test.describe('jenkins', () => {
+    test('should normalise builds', async () => {
+      const request = replay('jenkins-builds.json');
+      const provider = getProvider('jenkins');
+      const runs = await provider.fetchRuns(provider.parseUrl('https://ci.example.com/job/team/job/app/'), { token: 'erin:api-token' });
+
+      expect(request.url.startsWith('https://ci.example.com/job/team/job/app/api/json?tree=builds')).toBe(true);
+      expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('erin:api-token').toString('base64')}`);
+      expect(runs[0]).toMatchObject({
+        id: 145,
+        workflow: 'team/app',
+        branch: 'main',
+        status: 'in_progress',
+        conclusion: null,
+        sha: 'feedfacefeedfacefeedfacefeedfacefeedface',
+        actor: 'Erin Ops',
+        htmlUrl: 'https://ci.example.com/job/team/job/app/145/'
+      });
+      expect(runs[1]).toMatchObject({
+        status: 'completed',
+        conclusion: 'failure',
+        commitMessage: 'Bump dependencies',
+        actor: 'Frank Lee',
+        startedAt: '2025-09-01T09:00:00.000Z',
+        updatedAt: '2025-09-01T09:01:35.000Z'
+      });
+    });
+  });
+
+  test.describe('rerunFailedJobs', () => {
+    function capture(status = 201) {
+      const request = {};
+      global.fetch = async (url, options = {}) => {
+        Object.assign(request, { url, method: options.method, headers: options.headers });
+        return { ok: status < 300, status, headers: new Headers(), json: async () => ({ message: 'Resource not accessible by integration' }) };
+      };
+      return request;
+    }
+
+    test('should re-run failed GitHub jobs', async () => {
+      const request = capture();
+      const provider = getProvider('github');
+      await provider.rerunFailedJobs(provider.parseUrl('https://github.com/acme/shop'), { id: 42, number: 7 }, { token: 'ghp_test' });
+
+      expect(request).toMatchObject({
+        url: 'https://api.github.com/repos/acme/shop/actions/runs/42/rerun-failed-jobs',
+        method: 'POST',
+        headers: { Authorization: 'Bearer ghp_test' }
+      });
+    });
+
+    test('should retry GitLab pipelines', async () => {
+      const request = capture();
+      const provider = getProvider('gitlab');
+      await provider.rerunFailedJobs(provider.parseUrl('https://gitlab.com/group/project'), { id: 987600 }, { token: 'glpat' });
+
+      expect(request.url).toBe('https://gitlab.com/api/v4/projects/group%2Fproject/pipelines/987600/retry');
+      expect(request.method).toBe('POST');
+    });
+
+    test('should report the status of refused re-runs', async () => {
+      capture(403);
+      const provider = getProvider('github');
+      const error = await provider.rerunFailedJobs(provider.parseUrl('https://github.com/acme/shop'), { id: 42, number: 7 }).catch(err => err);
+
+      expect(error.status).toBe(403);
+      expect(error.message).toContain('Resource not accessible by integration');
+    });
+  });
+
+  test.describe('run actions', () => {
+    function captureAll() {
+      const requests = [];
+      global.fetch = async (url, options = {}) => {
+        requests.push({ url, method: options.method, body: options.body ? JSON.parse(options.body) : undefined });
+        return { ok: true, status: 204, headers: new Headers(), json: async () => null };
+      };
+      return requests;
+    }
+
+    test('should re-run and cancel GitHub runs', async () => {
+      const requests = captureAll();
+      const provider = getProvider('github');
+      const info = provider.parseUrl('https://github.com/acme/shop');
+      await provider.rerunAll(info, { id: 42, number: 7 });
+      await provider.cancelRun(info, { id: 42, number: 7 });
+
+      expect(requests.map(request => [request.method, request.url])).toEqual([
+        ['POST', 'https://api.github.com/repos/acme/shop/actions/runs/42/rerun'],
+        ['POST', 'https://api.github.com/repos/acme/shop/actions/runs/42/cancel']
+      ]);
+    });
+
+    test('should cancel GitLab pipelines and start new ones', async () => {
+      const requests = captureAll();
+      const provider = getProvider('gitlab');
+      const info = provider.parseUrl('https://gitlab.com/group/project');
+      await provider.cancelRun(info, { id: 987600 });
+      await provider.rerunAll(info, { id: 987600, branch: 'release/1.2' });
+
+      expect(requests.map(request => request.url)).toEqual([
+        'https://gitlab.com/api/v4/projects/group%2Fproject/pipelines/987600/cancel',
+        'https://gitlab.com/api/v4/projects/group%2Fproject/pipeline?ref=release%2F1.2'
+      ]);
+    });
+
+    test('should list dispatchable GitHub workflows with their inputs', async () => {
+      const deploy = 'on:\n  workflow_dispatch:\n    inputs:\n      environment:\n        type: choice\n        options: [staging, production]\n';
+      const responses = {
+        'https://api.github.com/repos/acme/shop/actions/workflows?per_page=100': {
+          workflows: [
+            { id: 1, name: 'CI', path: '.github/workflows/ci.yml', state: 'active' },
+            { id: 2, name: 'Deploy', path: '.github/workflows/deploy.yml', state: 'active' },
+            { id: 3, name: 'Old', path: '.github/workflows/old.yml', state: 'disabled_manually' }
+          ]
+        },
+        'https://api.github.com/repos/acme/shop/contents/.github/workflows/ci.yml': { content: Buffer.from('on: [push]').toString('base64') },
+        'https://api.github.com/repos/acme/shop/contents/.github/workflows/deploy.yml': { content: Buffer.from(deploy).toString('base64') }
+      };
+      global.fetch = async (url) => ({
+        ok: url in responses,
+        status: url in responses ? 200 : 404,
+        headers: new Headers(),
+        json: async () => responses[url]
+      });
+
+      const provider = getProvider('github');
+      const workflows = await provider.listDispatchWorkflows(provider.parseUrl('https://github.com/acme/shop'));
+      expect(workflows).toEqual([{
+        id: 2,
+        name: 'Deploy',
+        file: 'deploy.yml',
+        inputs: [{ name: 'environment', description: '', required: false, default: null, type: 'choice', options: ['staging', 'production'] }]
+      }]);
+    });
+
+    test('should dispatch a GitHub workflow on a branch', async () => {
+      const requests = captureAll();
+      const provider = getProvider('github');
+      await provider.dispatchWorkflow(provider.parseUrl('https://github.com/acme/shop'), { id: 2, name: 'Deploy' }, { ref: 'main', inputs: { environment: 'staging' } });
+
+      expect(requests[0]).toEqual({
+        url: 'https://api.github.com/repos/acme/shop/actions/workflows/2/dispatches',
+        method: 'POST',
+        body: { ref: 'main', inputs: { environment: 'staging' } }
+      });
+    });
+  });
+
+  test.describe('fetchRun', () => {
+    test('should look up a single run by id', async () => {
+      const request = {};
+      global.fetch = async (url, options = {}) => {
+        request.url = url;
+        request.method = options.method;
+        return { ok: true, status: 200, headers: new Headers(), json: async () => loadFixture('github-runs.json').workflow_runs[0] };
+      };
+
+      const provider = getProvider('github');
+      const run = await provider.fetchRun(provider.parseUrl('https://github.com/acme/shop'), 6123456789, { token: 'ghp_test' });
+
+      expect(request).toEqual({ url: 'https://api.github.com/repos/acme/shop/actions/runs/6123456789', method: 'GET' });
+      expect(run).toMatchObject({ id: 6123456789, workflowFile: 'deploy.yml', status: 'in_progress' });
+    });
+
+    test('should tell a deleted pipeline from one that couldn\'t be fetched', async () => {
+      const provider = getProvider('gitlab');
+      const info = provider.parseUrl('https://gitlab.example.com/platform/payments/api');
+
+      global.fetch = async () => ({ ok: false, status: 404, headers: new Headers(), json: async () => ({ message: '404 Not found' }) });
+      expect(await provider.fetchRun(info, 987654)).toBeNull();
+
+      global.fetch = async () => ({ ok: false, status: 502, headers: new Headers(), json: async () => ({}) });
+      const err = await provider.fetchRun(info, 987654).catch(error => error);
+      expect(err.status).toBe(502);
+    });
+  });
+
+  test.describe('describeSource', () => {
+    test('should look up the real name, default branch and workflows of a GitHub repo', async () => {
+      const responses = {
+        'https://api.github.com/repos/ACME/Shop': { full_name: 'acme/shop', html_url: 'https://github.com/acme/shop', default_branch: 'main' },
+        'https://api.github.com/repos/ACME/Shop/actions/workflows?per_page=100': { workflows: [{ name: 'CI' }, { name: 'Deploy' }] }
+      };
+      global.fetch = async (url) => ({ ok: true, status: 200, headers: new Headers(), json: async () => responses[url] });
+
+      const provider = getProvider('github');
+      expect(await provider.describeSource(provider.parseUrl('https://github.com/ACME/Shop'))).toEqual({
+        name: 'acme/shop',
+        url: 'https://github.com/acme/shop',
+        defaultBranch: 'main',
+        workflows: ['CI', 'Deploy']
+      });
+    });
+
+    test('should look up Bitbucket repos and Jenkins jobs', async () => {
+      const responses = {
+        'https://api.bitbucket.org/2.0/repositories/acme/Shop': { full_name: 'acme/shop', links: { html: { href: 'https://bitbucket.org/acme/shop' } }, mainbranch: { name: 'main' } },
+        'https://ci.example.com/job/team/job/app/api/json?tree=fullName': { fullName: 'team/app' }
+      };
+      const requested = [];
+      global.fetch = async (url, options) => {
+        requested.push(options.headers);
+        return { ok: true, status: 200, headers: new Headers(), json: async () => responses[url] };
+      };
+
+      const bitbucket = getProvider('bitbucket');
+      expect(await bitbucket.describeSource(bitbucket.parseUrl('https://bitbucket.org/acme/Shop'), { token: 'secret' })).toEqual({
+        name: 'acme/shop',
+        url: 'https://bitbucket.org/acme/shop',
+        defaultBranch: 'main',
+        workflows: []
+      });
+      const jenkins = getProvider('jenkins');
+      expect(await jenkins.describeSource(jenkins.parseUrl('https://ci.example.com/job/team/job/app/'), { token: 'me:token' })).toEqual({
+        name: 'team/app',
+        defaultBranch: null,
+        workflows: []
+      });
+      expect(requested.map(headers => headers.Authorization)).toEqual(['Bearer secret', `Basic ${Buffer.from('me:token').toString('base64')}`]);
+    });
+
+    test('should fail with the HTTP status when the repo can\'t be read', async () => {
+      global.fetch = async () => ({ ok: false, status: 404, headers: new Headers(), json: async () => ({ message: 'Not Found' }) });
+      const provider = getProvider('gitlab');
+      const err = await provider.describeSource(provider.parseUrl('https://gitlab.com/group/missing')).catch(error => error);
+      expect(err.status).toBe(404);
+    });
+  });
+
+  test.describe('listOwnerRepos', () => {
+    function repo(index) {
+      return { full_name: `acme/repo-${index}`, html_url: `https://github.com/acme/repo-${index}`, archived: false, topics: [], default_branch: 'main' };
+    }
+
+    test('should follow the pages of an org\'s repositories', async () => {
+      const requested = [];
+      global.fetch = async (url) => {
+        requested.push(url);
+        let body = { type: 'Organization' };
+        if (url.includes('page=1')) body = Array.from({ length: 100 }, (_, index) => repo(index));
+        if (url.includes('page=2')) body = [repo(100)];
+        return { ok: true, status: 200, headers: new Headers(), json: async () => body };
+      };
+
+      const repos = await getProvider('github').listOwnerRepos('acme');
+      expect(repos).toHaveLength(101);
+      expect(repos[100]).toEqual({ name: 'acme/repo-100', url: 'https://github.com/acme/repo-100', description: '', archived: false, fork: false, topics: [], defaultBranch: 'main' });
+      expect(requested).toEqual([
+        'https://api.github.com/users/acme',
+        'https://api.github.com/orgs/acme/repos?type=all&per_page=100&page=1',
+        'https://api.github.com/orgs/acme/repos?type=all&per_page=100&page=2'
+      ]);
+    });
+
+    test('should list the private repos of the signed in user', async () => {
+      const requested = [];
+      global.fetch = async (url) => {
+        requested.push(url);
+        return { ok: true, status: 200, headers: new Headers(), json: async () => (url.endsWith('/users/octocat') ? { type: 'User' } : []) };
+      };
+
+      await getProvider('github').listOwnerRepos('octocat', { token: 't', login: 'OctoCat' });
+      expect(requested[1]).toBe('https://api.github.com/user/repos?affiliation=owner&per_page=100&page=1');
+    });
+
+    test('should tell whether a repo has workflows', async () => {
+      global.fetch = async () => ({ ok: true, status: 200, headers: new Headers(), json: async () => ({ total_count: 0, workflows: [] }) });
+      const provider = getProvider('github');
+      expect(await provider.hasWorkflows(provider.parseUrl('https://github.com/acme/docs'))).toBe(false);
+    });
+  });
+
+  test.describe('fetchStatusTargets', () => {
+    const api = 'https://api.github.com/repos/acme/shop';
+    const responses = {
+      [api]: { default_branch: 'main' },
+      [`${api}/commits/main/check-runs?per_page=100`]: { check_runs: [{ name: 'CodeQL', status: 'completed', conclusion: 'failure' }] },
+      [`${api}/commits/main/status?per_page=100`]: { statuses: [{ context: 'ci/circleci', state: 'success' }] },
+      [`${api}/pulls?state=open&per_page=50`]: [
+        { number: 12, title: 'Add checkout', html_url: 'https://github.com/acme/shop/pull/12', user: { login: 'octocat' }, head: { ref: 'checkout', sha: 'abc123' } },
+        { number: 13, title: 'Bump deps', html_url: 'https://github.com/acme/shop/pull/13', user: { login: 'dependabot' }, head: { ref: 'deps', sha: 'def456' } }
+      ],
+      [`${api}/commits/abc123/check-runs?per_page=100`]: { check_runs: [{ name: 'build', status: 'in_progress', conclusion: null }] },
+      [`${api}/commits/abc123/status?per_page=100`]: { statuses: [] },
+      [`${api}/pulls/12`]: { number: 12, mergeable_state: 'blocked' }
+    };
+
+    function serve() {
+      const requested = [];
+      global.fetch = async (url) => {
+        requested.push(url);
+        return { ok: url in responses, status: url in responses ? 200 : 404, headers: new Headers(), json: async () => responses[url] };
+      };
+      return requested;
+    }
+
+    test('should combine checks and statuses of the default branch and my pull requests', async () => {
+      const requested = serve();
+      const provider = getProvider('github');
+      const targets = await provider.fetchStatusTargets(provider.parseUrl('https://github.com/acme/shop'), { pullRequests: 'mine' }, { login: 'octocat' });
+
+      expect(targets).toEqual([
+        expect.objectContaining({ key: 'branch:main', branch: 'main', state: 'failure', total: 2, failing: ['CodeQL'] }),
+        expect.objectContaining({ key: 'pull:12', branch: 'checkout', sha: 'abc123', mine: true, merge: 'blocked', state: 'pending', pending: ['build'] })
+      ]);
+      // Somebody else's pull request isn't followed
+      expect(requested.some(url => url.includes('def456'))).toBe(false);
+    });
+
+    test('should mark targets whose checks could not be fetched', async () => {
+      serve();
+      const provider = getProvider('github');
+      const targets = await provider.fetchStatusTargets(provider.parseUrl('https://github.com/acme/shop'), { branches: ['release'] });
+      expect(targets).toEqual([expect.objectContaining({ key: 'branch:release', state: null })]);
+    });
+
+    test('should not keep ETags of pull request commits', async () => {
+      global.fetch = async (url) => ({ ok: url in responses, status: url in responses ? 200 : 404, headers: new Headers({ etag: 'W/"abc"' }), json: async () => responses[url] });
+      const cache = new Map();
+      const provider = getProvider('github');
+      await provider.fetchStatusTargets(provider.parseUrl('https://github.com/acme/shop'), { pullRequests: 'mine' }, { login: 'octocat', cache });
+
+      expect(cache.has(`${api}/commits/main/check-runs?per_page=100`)).toBe(true);
+      expect([...cache.keys()].some(url => url.includes('abc123'))).toBe(false);
+    });
+  });
+
+  test.describe('fetchFailureLog', () => {
+    test('should find the failed GitHub job and step and download its log', async () => {
+      const log = fs.readFileSync(path.join(__dirname, 'fixtures', 'logs', 'github-job.log'), 'utf8');
+      const urls = [];
+      global.fetch = async (url) => {
+        urls.push(url);
+        const body = url.endsWith('/logs') ? log : loadFixture('github-jobs.json');
+        return { ok: true, status: 200, headers: new Headers(), json: async () => body, text: async () => body };
+      };
+
+      const provider = getProvider('github');
+      const failure = await provider.fetchFailureLog(provider.parseUrl('https://github.com/acme/shop'), { id: 6123456789 });
+
+      expect(urls).toEqual([
+        'https://api.github.com/repos/acme/shop/actions/runs/6123456789/jobs?filter=latest&per_page=100',
+        'https://api.github.com/repos/acme/shop/actions/jobs/399444497/logs'
+      ]);
+      expect(failure).toEqual({
+        job: 'test',
+        step: 'Run npm test',
+        log,
+        htmlUrl: 'https://github.com/acme/shop/actions/runs/6123456789/job/399444497'
+      });
+    });
+
+    test('should read the Jenkins console output', async () => {
+      let requested;
+      global.fetch = async (url) => {
+        requested = url;
+        return { ok: true, status: 200, headers: new Headers(), text: async () => 'Finished: FAILURE' };
+      };
+
+      const provider = getProvider('jenkins');
+      const info = provider.parseUrl('https://ci.example.com/job/team/job/app/');
+      // The build URL comes from the API and may point at another host
+      const failure = await provider.fetchFailureLog(info, { number: 144, htmlUrl: 'https://proxy.example.net/job/team/job/app/144/' });
+
+      expect(requested).toBe('https://ci.example.com/job/team/job/app/144/consoleText');
+      expect(failure).toEqual({ job: 'team/app', step: null, log: 'Finished: FAILURE', htmlUrl: 'https://ci.example.com/job/team/job/app/144/console' });
+    });
+
+    test('should not return an empty log when the download fails', async () => {
+      global.fetch = async (url) => {
+        if (url.endsWith('/logs')) return { ok: false, status: 500, headers: new Headers() };
+        return { ok: true, status: 200, headers: new Headers(), json: async () => loadFixture('github-jobs.json') };
+      };
+
+      const provider = getProvider('github');
+      expect(await provider.fetchFailureLog(provider.parseUrl('https://github.com/acme/shop'), { id: 6123456789 })).toBeNull();
+    });
+  });
+
+  test.describe('conditional requests', () => {
+    function respond(status, body, headers = {}) {
+      return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers(headers),
+        json: async () => body
+      };
+    }
+
+    test('should send If-None-Match and reuse the cached body on 304', async () => {
+      const requests = [];
+      const rateLimits = [];
+      const cache = new Map();
+      const responses = [
+        respond(200, { workflow_runs: [{ id: 1 }] }, { etag: 'W/"abc"', 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4999', 'x-ratelimit-reset': '1756724400' }),
+        respond(304, null, { etag: 'W/"abc"', 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4999', 'x-ratelimit-reset': '1756724400' })
+      ];
+      global.fetch = async (url, options) => {
+        requests.push(options.headers);
+        return responses.shift();
+      };
+
+      const options = { cache, onRateLimit: (rateLimit) => rateLimits.push(rateLimit) };
+      const first = await fetchJson('https://api.github.com/repos/a/b/actions/runs', options);
+      const second = await fetchJson('https://api.github.com/repos/a/b/actions/runs', options);
+
+      expect(requests[0]['If-None-Match']).toBeUndefined();
+      expect(requests[1]['If-None-Match']).toBe('W/"abc"');
+      expect(second).toEqual(first);
+      expect(rateLimits).toEqual([
+        { limit: 5000, remaining: 4999, reset: 1756724400 },
+        { limit: 5000, remaining: 4999, reset: 1756724400 }
+      ]);
+    });
+
+    test('should report an exhausted quota without retrying', async () => {
+      let calls = 0;
+      const rateLimits = [];
+      global.fetch = async () => {
+        calls++;
+        return respond(403, {}, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1756724400' });
+      };
+
+      const data = await fetchJson('https://api.github.com/repos/a/b/actions/runs', { onRateLimit: (rateLimit) => rateLimits.push(rateLimit) });
+
+      expect(data).toBeNull();
+      expect(calls).toBe(1);
+      expect(rateLimits).toEqual([{ limit: 60, remaining: 0, reset: 1756724400 }]);
+    });
+
+    test('should use the configured number of attempts', async () => {
+      let calls = 0;
+      global.fetch = async () => {
+        calls++;
+        throw new Error('fetch failed');
+      };
+
+      setRequestDefaults({ retries: 1 });
+      try {
+        expect(await fetchJson('https://api.github.com/repos/a/b/actions/runs')).toBeNull();
+        expect(calls).toBe(1);
+      } finally {
+        setRequestDefaults({ retries: 3 });
+      }
+    });
+  });
+
+  test.describe('errors', () => {
+    test('should return no runs when the API fails', async () => {
+      global.fetch = async () => ({ ok: false, status: 404, headers: new Map() });
+      const provider = getProvider('gitlab');
+      const runs = await provider.fetchRuns(provider.parseUrl('https://gitlab.com/group/project'));
+      expect(runs).toEqual([]);
+    });
+
+    test('should report rejected tokens', async () => {
+      let unauthorized = 0;
+      global.fetch = async () => ({ ok: false, status: 401, headers: new Headers() });
+      const provider = getProvider('github');
+      const runs = await provider.fetchRuns(provider.parseUrl('https://github.com/acme/shop'), {
+        token: 'expired',
+        onUnauthorized: () => unauthorized++
+      });
+
+      expect(runs).toEqual([]);
+      expect(unauthorized).toBe(1);
+    });
+  });
+});
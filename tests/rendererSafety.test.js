@@ -0,0 +1,147 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { loadRenderer, flush } = require('./helpers/fakeDom');
+
+const root = path.join(__dirname, '..');
+const rendererDir = path.join(root, 'src', 'renderer');
+const renderer = (name) => path.join(rendererDir, `${name}.js`);
+
+const PAYLOAD = '<img src=x onerror="require(\'child_process\').exec(\'calc\')"><script>alert(1)</script>';
+
+// Nothing the renderer created may be markup the payload asked for
+function expectNoInjectedElements(created) {
+  const tags = created.map(element => element.tagName);
+  expect(tags).not.toContain('IMG');
+  expect(tags).not.toContain('SCRIPT');
+}
+
+test.describe('Renderer Safety', () => {
+  test('should show a crafted source as text in the Sources window', async () => {
+    const source = {
+      url: `https://github.com/acme/shop${PAYLOAD}`,
+      provider: 'github',
+      name: PAYLOAD,
+      label: PAYLOAD,
+      group: PAYLOAD,
+      providerLabel: 'GitHub Actions',
+      importedFrom: PAYLOAD,
+      repository: { name: PAYLOAD, defaultBranch: PAYLOAD, workflows: [PAYLOAD] },
+      lastRun: { workflow: PAYLOAD, branch: PAYLOAD, status: 'completed', conclusion: 'failure', updatedAt: null }
+    };
+    const api = {
+      list: async () => [source],
+      providers: async () => [{ name: 'github', label: PAYLOAD }],
+      credentials: async () => [{ id: 'acme', label: PAYLOAD, updated: '2025-09-01T10:00:00.000Z' }],
+      onUpdated: () => {}
+    };
+
+    const { document, created } = loadRenderer(renderer('sources'), 'sources', api);
+    await flush();
+
+    const list = document.getElementById('sourcesList');
+    expect(list.querySelector('.source-url').textContent).toBe(source.url);
+    expect(list.querySelector('.source-name').textContent).toBe(PAYLOAD);
+    expect(list.querySelector('.group-title').textContent).toBe(PAYLOAD);
+    expect(document.getElementById('credentialsList').textContent).toContain(PAYLOAD);
+    expectNoInjectedElements(created);
+  });
+
+  test('should show an error message from the main process as text', async () => {
+    const api = {
+      list: async () => [],
+      providers: async () => [],
+      credentials: async () => [],
+      add: async () => {
+        throw new Error(`Error invoking remote method 'add-source': Error: ${PAYLOAD}`);
+      },
+      onUpdated: () => {}
+    };
+
+    const { document, created } = loadRenderer(renderer('sources'), 'sources', api);
+    document.getElementById('sourceUrl').value = 'https://github.com/acme/shop';
+    document.getElementById('add').click();
+    await flush();
+
+    expect(document.getElementById('addMessage').textContent).toBe(PAYLOAD);
+    expectNoInjectedElements(created);
+  });
+
+  test('should show crafted run details as text in a notification popup', () => {
+    let show;
+    const api = { onShow: (callback) => { show = callback; }, onUpdate: () => {} };
+    const { document, created } = loadRenderer(renderer('notification'), 'notification', api);
+
+    show({
+      status: 'FAILURE',
+      repo: PAYLOAD,
+      workflow: PAYLOAD,
+      commitMessage: PAYLOAD,
+      branch: PAYLOAD,
+      actor: PAYLOAD,
+      runActions: [{ name: 'rerun', label: PAYLOAD }]
+    });
+
+    expect(document.getElementById('repo').textContent).toBe(PAYLOAD);
+    expect(document.getElementById('commit').textContent).toBe(PAYLOAD);
+    expect(document.getElementById('runActions').querySelector('button').textContent).toBe(PAYLOAD);
+    expectNoInjectedElements(created);
+  });
+
+  test('should show crafted repository descriptions as text in the import window', async () => {
+    const api = {
+      credentials: async () => [],
+      syncs: async () => [{ owner: PAYLOAD, group: PAYLOAD }],
+      list: async () => [{ name: PAYLOAD, description: PAYLOAD, archived: false, topics: [PAYLOAD], watched: false }]
+    };
+
+    const { document, created } = loadRenderer(renderer('import'), 'importer', api);
+    document.getElementById('list').click();
+    await flush();
+
+    expect(document.getElementById('repos').textContent).toContain(PAYLOAD);
+    expect(document.getElementById('syncs').textContent).toContain(PAYLOAD);
+    expectNoInjectedElements(created);
+  });
+
+  test('should show a sign in error as text', () => {
+    let onStatus;
+    const api = { onStatus: (callback) => { onStatus = callback; }, openVerification: async () => {} };
+    const { document, created } = loadRenderer(renderer('signIn'), 'signIn', api);
+
+    onStatus({ state: 'error', message: PAYLOAD });
+    expect(document.getElementById('message').textContent).toBe(PAYLOAD);
+
+    onStatus({ state: 'code', userCode: PAYLOAD, verificationUri: 'https://github.com/login/device' });
+    expect(document.getElementById('code').textContent).toBe(PAYLOAD);
+    expectNoInjectedElements(created);
+  });
+
+  test('should not parse markup in any renderer script', () => {
+    for (const file of fs.readdirSync(rendererDir).filter(name => name.endsWith('.js'))) {
+      const code = fs.readFileSync(path.join(rendererDir, file), 'utf8');
+      expect(code, file).not.toMatch(/\.(innerHTML|outerHTML)\s*=|insertAdjacentHTML|document\.write|\beval\(|new Function\(/);
+    }
+  });
+
+  test('should declare a Content-Security-Policy on every page', () => {
+    for (const file of fs.readdirSync(rendererDir).filter(name => name.endsWith('.html'))) {
+      const html = fs.readFileSync(path.join(rendererDir, file), 'utf8');
+      const policy = html.match(/http-equiv="Content-Security-Policy" content="([^"]+)"/);
+      expect(policy, file).toBeTruthy();
+      expect(policy[1], file).toContain("default-src 'self'");
+      expect(policy[1], file).toContain("script-src 'self'");
+      expect(html, file).not.toMatch(/<script>|\son[a-z]+=/);
+    }
+  });
+
+  test('should isolate every window from Node', () => {
+    const main = fs.readFileSync(path.join(root, 'main.js'), 'utf8');
+    const windows = main.match(/new BrowserWindow\(/g).length;
+
+    expect(main).not.toMatch(/nodeIntegration:\s*true|contextIsolation:\s*false/);
+    expect(main.match(/contextIsolation: true/g)).toHaveLength(windows);
+    expect(main.match(/preload: path\.join\(__dirname, 'src', 'preload', '[A-Za-z]+\.js'\)/g)).toHaveLength(windows);
+    expect(main).not.toMatch(/loadURL\(`data:/);
+  });
+});
@@ -0,0 +1,43 @@
+const { test, expect } = require('@playwright/test');
+const { SYNC_INTERVAL, validateImport, filterRepos, newRepos, isSyncDue } = require('../src/repoImport');
+
+const REPOS = [
+  { name: 'acme/shop', archived: false, topics: ['payments'], hasWorkflows: true },
+  { name: 'acme/legacy', archived: true, topics: ['payments'], hasWorkflows: true },
+  { name: 'acme/docs', archived: false, topics: [], hasWorkflows: false },
+  { name: 'acme/api', archived: false, topics: ['payments', 'backend'] }
+];
+
+test.describe('Repo Import', () => {
+  test('should validate import options', () => {
+    expect(validateImport({ owner: ' acme ', topic: 'Payments', includeArchived: 'yes' }))
+      .toEqual({ owner: 'acme', topic: 'payments', includeArchived: false, requireWorkflows: false });
+    expect(() => validateImport({ owner: 'acme/shop' })).toThrow('Enter the name of a GitHub organisation or user');
+    expect(() => validateImport({ owner: '-acme' })).toThrow('Enter the name');
+    expect(() => validateImport({ owner: 'acme', topic: 'two words' })).toThrow('Topics are lowercase');
+  });
+
+  test('should filter by topic, archived state and workflows', () => {
+    const names = (options) => filterRepos(REPOS, options).map(repo => repo.name);
+
+    expect(names()).toEqual(['acme/shop', 'acme/docs', 'acme/api']);
+    expect(names({ includeArchived: true, topic: 'payments' })).toEqual(['acme/shop', 'acme/legacy', 'acme/api']);
+    // Repos that haven't been checked for workflows yet are kept
+    expect(names({ requireWorkflows: true })).toEqual(['acme/shop', 'acme/api']);
+  });
+
+  test('should only add repos a sync hasn\'t offered before', () => {
+    const imported = { owner: 'acme', known: ['acme/shop', 'ACME/Docs'] };
+    const watched = new Set(['acme/api']);
+    const added = newRepos(REPOS, imported, repo => watched.has(repo.name));
+    expect(added.map(repo => repo.name)).toEqual(['acme/legacy']);
+  });
+
+  test('should know when a sync is due', () => {
+    const now = Date.parse('2025-09-01T12:00:00Z');
+    expect(isSyncDue({ sync: false }, now)).toBe(false);
+    expect(isSyncDue({ sync: true }, now)).toBe(true);
+    expect(isSyncDue({ sync: true, lastSync: new Date(now - 60000).toISOString() }, now)).toBe(false);
+    expect(isSyncDue({ sync: true, lastSync: new Date(now - SYNC_INTERVAL).toISOString() }, now)).toBe(true);
+  });
+});
@@ -0,0 +1,126 @@
+const { test, expect } = require('@playwright/test');
+const { availableActions, describeActionError, performRunAction } = require('../src/runActions');
+const { parseDispatchInputs, normalizeInputs } = require('../src/workflowDispatch');
+
+const GITHUB = {
+  name: 'github',
+  label: 'GitHub Actions',
+  rerunFailedJobs: async () => {},
+  rerunAll: async () => {},
+  cancelRun: async () => {}
+};
+const INFO = { key: 'acme/shop', name: 'acme/shop' };
+
+function httpError(status, message = `failed: ${status}`) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+test.describe('Run Actions', () => {
+  test('should offer actions that fit the run', () => {
+    const names = run => availableActions(GITHUB, run).map(action => action.name);
+    expect(names({ status: 'completed', conclusion: 'failure' })).toEqual(['rerun', 'rerun-all']);
+    expect(names({ status: 'completed', conclusion: 'success' })).toEqual(['rerun-all']);
+    expect(names({ status: 'in_progress', conclusion: null })).toEqual(['cancel']);
+    expect(availableActions({ name: 'jenkins' }, { status: 'in_progress' })).toEqual([]);
+    expect(availableActions(GITHUB, null)).toEqual([]);
+  });
+
+  test('should offer nothing for check suites of other apps', async () => {
+    const suite = { id: 9876543, kind: 'check_suite', status: 'completed', conclusion: 'failure' };
+    expect(availableActions(GITHUB, suite)).toEqual([]);
+
+    const error = await performRunAction('rerun', { provider: GITHUB, info: INFO, run: suite }).catch(err => err);
+    expect(error.message).toBe("GitHub Actions doesn't support re-run failed jobs");
+  });
+
+  test('should perform an action', async () => {
+    let called = null;
+    const provider = { ...GITHUB, cancelRun: async (info, run, options) => { called = { info, run, options }; } };
+    const message = await performRunAction('cancel', { provider, info: INFO, run: { id: 1 }, token: 't' });
+
+    expect(message).toBe('Cancellation requested');
+    expect(called).toEqual({ info: INFO, run: { id: 1 }, options: { token: 't' } });
+  });
+
+  test('should explain missing permissions', async () => {
+    const provider = { ...GITHUB, rerunAll: async () => { throw httpError(403, 'Resource not accessible by personal access token'); } };
+    const error = await performRunAction('rerun-all', { provider, info: INFO, run: { id: 1 } }).catch(err => err);
+
+    expect(error.status).toBe(403);
+    expect(error.message).toBe("The token for acme/shop isn't allowed to re-run all jobs. It needs the actions:write permission (or the repo scope for classic tokens).");
+  });
+
+  test('should describe other errors', () => {
+    const gitlab = { name: 'gitlab' };
+    expect(describeActionError(httpError(404), { provider: gitlab, repo: 'group/project', action: 'cancel run' }))
+      .toBe("The token for group/project isn't allowed to cancel run. Check that it has API write access.");
+    expect(describeActionError(httpError(401), { provider: GITHUB, repo: 'acme/shop' })).toContain('was rejected');
+    expect(describeActionError(httpError(409, 'Run already finished'), { provider: GITHUB, repo: 'acme/shop', action: 'cancel run' }))
+      .toBe("Couldn't cancel run on acme/shop: Run already finished");
+  });
+
+  test('should refuse unsupported actions', async () => {
+    const error = await performRunAction('cancel', { provider: { label: 'Jenkins' }, info: INFO, run: {} }).catch(err => err);
+    expect(error.message).toBe("Jenkins doesn't support cancel run");
+  });
+});
+
+test.describe('Workflow Dispatch', () => {
+  const WORKFLOW = `
+name: Deploy
+on:
+  push:
+    branches: [main]
+  workflow_dispatch:
+    inputs:
+      environment:
+        description: "Where to deploy" # staging or production
+        required: true
+        type: choice
+        options:
+          - staging
+          - production
+      dry_run:
+        type: boolean
+        default: false
+      note:
+        description: 'It''s optional'
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    steps:
+      - run: |
+          echo "deploying"
+`;
+
+  test('should read workflow_dispatch inputs', () => {
+    expect(parseDispatchInputs(WORKFLOW)).toEqual([
+      { name: 'environment', description: 'Where to deploy', required: true, default: null, type: 'choice', options: ['staging', 'production'] },
+      { name: 'dry_run', description: '', required: false, default: false, type: 'boolean', options: [] },
+      { name: 'note', description: "It's optional", required: false, default: null, type: 'string', options: [] }
+    ]);
+  });
+
+  test('should recognise the short trigger forms', () => {
+    expect(parseDispatchInputs('on: workflow_dispatch')).toEqual([]);
+    expect(parseDispatchInputs('on: [push, workflow_dispatch]')).toEqual([]);
+    expect(parseDispatchInputs('"on":\n  workflow_dispatch:\n  push:\n')).toEqual([]);
+    expect(parseDispatchInputs('on:\n  push:\n    branches: [main]\n')).toBeNull();
+    expect(parseDispatchInputs('')).toBeNull();
+  });
+
+  test('should read flow mappings and skip files that aren\'t valid YAML', () => {
+    expect(parseDispatchInputs('on:\n  workflow_dispatch: { inputs: { target: { type: string, default: "host: a" } } }\n'))
+      .toEqual([{ name: 'target', description: '', required: false, default: 'host: a', type: 'string', options: [] }]);
+    expect(parseDispatchInputs('on: [push, workflow_dispatch')).toBeNull();
+  });
+
+  test('should validate and stringify input values', () => {
+    const inputs = parseDispatchInputs(WORKFLOW);
+    expect(normalizeInputs(inputs, { environment: 'staging', dry_run: true, note: '' })).toEqual({ environment: 'staging', dry_run: 'true' });
+    expect(() => normalizeInputs(inputs, {})).toThrow('environment is required');
+    expect(() => normalizeInputs(inputs, { environment: 'moon' })).toThrow('environment must be one of staging, production');
+  });
+});
@@ -0,0 +1,43 @@
+const { test, expect } = require('@playwright/test');
+const { formatDuration, runDuration, describeRun } = require('../src/runDetails');
+
+test.describe('Run Details', () => {
+  test('should format durations', () => {
+    expect(formatDuration(42 * 1000)).toBe('42s');
+    expect(formatDuration((3 * 60 + 7) * 1000)).toBe('3m 7s');
+    expect(formatDuration((2 * 3600 + 15 * 60) * 1000)).toBe('2h 15m');
+    expect(formatDuration(-1)).toBe('');
+    expect(formatDuration(NaN)).toBe('');
+  });
+
+  test('should only report durations for completed runs', () => {
+    const run = { status: 'completed', startedAt: '2025-09-01T10:00:05Z', updatedAt: '2025-09-01T10:06:10Z' };
+    expect(runDuration(run)).toBe('6m 5s');
+    expect(runDuration({ ...run, status: 'in_progress' })).toBe('');
+  });
+
+  test('should describe a run for the popup', () => {
+    const details = describeRun('acme/shop', {
+      workflow: 'Deploy',
+      branch: 'main',
+      commitMessage: 'Fix checkout total rounding\n\nLonger explanation',
+      sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+      actor: 'alice',
+      status: 'completed',
+      startedAt: '2025-09-01T10:00:05Z',
+      updatedAt: '2025-09-01T10:00:50Z',
+      htmlUrl: 'https://github.com/acme/shop/actions/runs/1'
+    });
+
+    expect(details).toEqual({
+      repo: 'acme/shop',
+      workflow: 'Deploy',
+      branch: 'main',
+      commitMessage: 'Fix checkout total rounding',
+      sha: 'a1b2c3d',
+      actor: 'alice',
+      duration: '45s',
+      htmlUrl: 'https://github.com/acme/shop/actions/runs/1'
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunHistory } = require('../src/runHistory');
+
+const SOURCE = { sourceKey: 'acme/shop', repo: 'acme/shop', provider: 'github' };
+
+function makeRun(overrides = {}) {
+  return { id: 1, workflow: 'CI', branch: 'main', status: 'queued', conclusion: null, ...overrides };
+}
+
+test.describe('Run History', () => {
+  let dir;
+  let filePath;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-history-'));
+    filePath = path.join(dir, 'history.json');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should record each transition once', () => {
+    const history = createRunHistory({ filePath });
+
+    expect(history.observe(SOURCE, makeRun())).toBe(true);
+    expect(history.observe(SOURCE, makeRun())).toBe(false);
+    expect(history.observe(SOURCE, makeRun({ status: 'in_progress' }))).toBe(true);
+    expect(history.observe(SOURCE, makeRun({ status: 'completed', conclusion: 'failure' }))).toBe(true);
+
+    expect(history.all().map(t => [t.status, t.conclusion])).toEqual([
+      ['queued', null],
+      ['in_progress', null],
+      ['completed', 'failure']
+    ]);
+  });
+
+  test('should list the latest state of recent runs, newest first', () => {
+    const history = createRunHistory({ filePath });
+    history.observe(SOURCE, makeRun({ id: 1 }));
+    history.observe(SOURCE, makeRun({ id: 2 }));
+    history.observe(SOURCE, makeRun({ id: 1, status: 'completed', conclusion: 'success' }));
+    history.observe(SOURCE, makeRun({ id: 3 }));
+
+    expect(history.recent(2).map(t => [t.runId, t.status])).toEqual([[3, 'queued'], [1, 'completed']]);
+    expect(history.recent().map(t => t.runId)).toEqual([3, 1, 2]);
+    expect(history.latest('acme/shop', 1).conclusion).toBe('success');
+    expect(history.latest('acme/shop', 4)).toBeNull();
+  });
+
+  test('should persist transitions and tracked runs across restarts', () => {
+    const history = createRunHistory({ filePath });
+    history.observe(SOURCE, makeRun({ status: 'in_progress' }));
+    history.setTracked('acme/shop', new Map([['ci.yml:main:1', { id: 1, status: 'in_progress', conclusion: null }]]));
+    history.save();
+
+    const reloaded = createRunHistory({ filePath });
+    expect(reloaded.getTracked().get('acme/shop').get('ci.yml:main:1').status).toBe('in_progress');
+    // A known state isn't recorded again after a restart
+    expect(reloaded.observe(SOURCE, makeRun({ status: 'in_progress' }))).toBe(false);
+    expect(reloaded.observe(SOURCE, makeRun({ status: 'completed', conclusion: 'failure' }))).toBe(true);
+  });
+
+  test('should tell whether the tracked runs changed', () => {
+    const history = createRunHistory({ filePath });
+    const runs = () => new Map([['ci.yml:main:1', { id: 1, status: 'in_progress', conclusion: null }]]);
+
+    expect(history.setTracked('acme/shop', runs())).toBe(true);
+    expect(history.setTracked('acme/shop', runs())).toBe(false);
+    expect(history.setTracked('acme/shop', null)).toBe(true);
+    expect(history.setTracked('acme/shop', null)).toBe(false);
+  });
+
+  test('should cap the number of stored transitions', () => {
+    const history = createRunHistory({ filePath, maxEntries: 2 });
+    [1, 2, 3].forEach(id => history.observe(SOURCE, makeRun({ id })));
+    history.save();
+
+    expect(createRunHistory({ filePath }).all().map(t => t.runId)).toEqual([2, 3]);
+  });
+
+  test('should start empty when the file is unreadable', () => {
+    fs.writeFileSync(filePath, 'not json');
+    expect(createRunHistory({ filePath }).all()).toEqual([]);
+  });
+});
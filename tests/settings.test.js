@@ -0,0 +1,175 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SETTINGS_VERSION, defaultSettings, validateSettings, migrate, createSettings } = require('../src/settings');
+
+const SOURCES = [
+  { url: 'https://github.com/acme/shop', provider: 'github', added: '2025-09-01T10:00:00.000Z' },
+  { url: 'https://gitlab.com/acme/api', provider: 'gitlab', muted: true }
+];
+
+test.describe('Settings', () => {
+  let dir;
+  let filePath;
+  let legacySourcesPath;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-settings-'));
+    filePath = path.join(dir, 'settings.json');
+    legacySourcesPath = path.join(dir, 'sources.json');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.describe('validateSettings', () => {
+    test('should accept values within the schema', () => {
+      expect(validateSettings({ popup: { displayTime: 8000, position: 'top-left' }, giphy: { start: '  go go go ' } }))
+        .toEqual({ popup: { displayTime: 8000, position: 'top-left' }, giphy: { start: 'go go go' } });
+    });
+
+    test('should explain what is wrong with a value', () => {
+      expect(() => validateSettings({ polling: { activeInterval: 500 } }))
+        .toThrow('Interval while a run is in progress must be a whole number from 2000 to 600000 ms');
+      expect(() => validateSettings({ network: { retries: 2.5 } })).toThrow('Attempts per request must be a whole number');
+      expect(() => validateSettings({ network: { timeout: '10000' } })).toThrow('Request timeout must be a whole number');
+      expect(() => validateSettings({ popup: { position: 'center' } })).toThrow('Position must be one of bottom-right, bottom-left, top-right, top-left');
+      expect(() => validateSettings({ giphy: { failure: '' } })).toThrow('Run failed must be text of 1 to 50 characters');
+    });
+
+    test('should check the quiet hours schedule', () => {
+      expect(validateSettings({ quietHours: { start: '7:30', end: '18:00', days: [5, 1, 1, 3] } }))
+        .toEqual({ quietHours: { start: '07:30', end: '18:00', days: [1, 3, 5] } });
+      expect(() => validateSettings({ quietHours: { start: '24:00' } })).toThrow('Start must be a time from 00:00 to 23:59');
+      expect(() => validateSettings({ quietHours: { end: '8am' } })).toThrow('End must be a time');
+      expect(() => validateSettings({ quietHours: { days: [] } })).toThrow('Starting on must be one or more days');
+      expect(() => validateSettings({ quietHours: { days: [7] } })).toThrow('Starting on must be one or more days');
+    });
+
+    test('should refuse unknown sections and settings', () => {
+      expect(() => validateSettings({ theme: {} })).toThrow('Unknown settings section: theme');
+      expect(() => validateSettings({ popup: { opacity: 1 } })).toThrow('Unknown setting: popup.opacity');
+      expect(() => validateSettings({ sources: [{ name: 'no url' }] })).toThrow('Sources must be a list of objects with a url');
+      expect(() => validateSettings([])).toThrow('Settings must be an object');
+    });
+  });
+
+  test.describe('migrate', () => {
+    test('should turn a sources.json array into the current version', () => {
+      expect(migrate(SOURCES)).toEqual({ version: SETTINGS_VERSION, sources: SOURCES });
+    });
+
+    test('should store the sources of older files in their canonical form', () => {
+      const stored = [
+        { url: 'github.com/acme/shop/tree/main', muted: true },
+        { url: 'https://ci.example.com/job/app/42/console', provider: 'jenkins' },
+        { url: 'https://example.com/acme/shop' }
+      ];
+      expect(migrate({ version: 1, sources: stored }).sources).toEqual([
+        { url: 'https://github.com/acme/shop', provider: 'github', muted: true },
+        { url: 'https://ci.example.com/job/app/', provider: 'jenkins' },
+        { url: 'https://example.com/acme/shop' }
+      ]);
+      expect(migrate(stored.slice(0, 1)).sources).toEqual([{ url: 'https://github.com/acme/shop', provider: 'github', muted: true }]);
+    });
+
+    test('should leave current files alone and refuse newer ones', () => {
+      const current = { ...defaultSettings(), sources: SOURCES };
+      expect(migrate(current)).toBe(current);
+      expect(() => migrate({ version: SETTINGS_VERSION + 1 })).toThrow('newer version of FailWhale');
+      expect(() => migrate({ sources: [] })).toThrow('no valid version');
+    });
+  });
+
+  test.describe('createSettings', () => {
+    test('should start from the defaults', () => {
+      const settings = createSettings({ filePath, legacySourcesPath });
+      expect(settings.get()).toEqual(defaultSettings());
+      expect(settings.get().polling.activeInterval).toBe(10000);
+      expect(settings.get().popup).toEqual({ displayTime: 5000, animationDuration: 500, position: 'bottom-right', margin: 10 });
+      expect(settings.get().quietHours).toEqual({ start: '22:00', end: '08:00', days: [0, 1, 2, 3, 4, 5, 6] });
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('should migrate sources.json into a new settings file', () => {
+      fs.writeFileSync(legacySourcesPath, JSON.stringify(SOURCES));
+
+      const settings = createSettings({ filePath, legacySourcesPath });
+
+      expect(settings.get().sources).toEqual(SOURCES);
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved.version).toBe(SETTINGS_VERSION);
+      expect(saved.sources).toEqual(SOURCES);
+      expect(saved.network).toEqual({ retries: 3, timeout: 10000 });
+      // The old file stays for anyone going back to an older version
+      expect(fs.existsSync(legacySourcesPath)).toBe(true);
+    });
+
+    test('should prefer the settings file over sources.json', () => {
+      fs.writeFileSync(legacySourcesPath, JSON.stringify(SOURCES));
+      fs.writeFileSync(filePath, JSON.stringify({ ...defaultSettings(), sources: [SOURCES[1]] }));
+
+      expect(createSettings({ filePath, legacySourcesPath }).get().sources).toEqual([SOURCES[1]]);
+    });
+
+    test('should keep a corrupt file aside without going back to sources.json', () => {
+      fs.writeFileSync(legacySourcesPath, JSON.stringify(SOURCES));
+      fs.writeFileSync(filePath, '{"version": 1, "sour');
+
+      const settings = createSettings({ filePath, legacySourcesPath });
+
+      expect(settings.get().sources).toEqual([]);
+      expect(fs.readdirSync(dir).some(name => name.startsWith('settings.json.corrupt-'))).toBe(true);
+    });
+
+    test('should not save over a file from a newer version', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ version: SETTINGS_VERSION + 1, sources: SOURCES }));
+
+      createSettings({ filePath, legacySourcesPath }).update({ popup: { displayTime: 8000 } });
+
+      const kept = fs.readdirSync(dir).find(name => name.startsWith('settings.json.corrupt-'));
+      expect(JSON.parse(fs.readFileSync(path.join(dir, kept), 'utf8')).version).toBe(SETTINGS_VERSION + 1);
+    });
+
+    test('should keep the valid values of a hand edited file', () => {
+      fs.writeFileSync(filePath, JSON.stringify({
+        version: SETTINGS_VERSION,
+        sources: SOURCES,
+        popup: { displayTime: 8000, margin: -5 },
+        network: 'fast'
+      }));
+
+      const settings = createSettings({ filePath, legacySourcesPath });
+
+      expect(settings.get().popup).toEqual({ displayTime: 8000, animationDuration: 500, position: 'bottom-right', margin: 10 });
+      expect(settings.get().network).toEqual({ retries: 3, timeout: 10000 });
+      expect(settings.get().sources).toEqual(SOURCES);
+    });
+
+    test('should save changes and tell listeners which sections changed', () => {
+      const settings = createSettings({ filePath, legacySourcesPath });
+      const changes = [];
+      settings.onChange((values, sections) => changes.push({ sections, displayTime: values.popup.displayTime }));
+
+      settings.update({ popup: { displayTime: 12000 } });
+
+      expect(changes).toEqual([{ sections: ['popup'], displayTime: 12000 }]);
+      expect(settings.get().popup.position).toBe('bottom-right');
+      expect(createSettings({ filePath, legacySourcesPath }).get().popup.displayTime).toBe(12000);
+    });
+
+    test('should not save invalid changes', () => {
+      const settings = createSettings({ filePath, legacySourcesPath });
+      const changes = [];
+      settings.onChange(() => changes.push(true));
+
+      expect(() => settings.update({ popup: { displayTime: 8000, margin: 1000 } })).toThrow('Distance from the screen edge');
+
+      expect(settings.get().popup.displayTime).toBe(5000);
+      expect(changes).toEqual([]);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+});
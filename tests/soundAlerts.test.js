@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isSoundFile, resolveSound, speechText } = require('../src/soundAlerts');
+const { createPreferences } = require('../src/preferences');
+
+const PREFERENCES = { muted: false, volume: 0.5, speech: false };
+const SOUND_FILE = path.join(os.tmpdir(), 'sad-trombone.mp3');
+
+test.describe('Sound Alerts', () => {
+  test('should only accept absolute paths to audio files', () => {
+    expect(isSoundFile(SOUND_FILE)).toBe(true);
+    expect(isSoundFile('sad-trombone.mp3')).toBe(false);
+    expect(isSoundFile(path.join(os.tmpdir(), 'script.sh'))).toBe(false);
+    expect(isSoundFile(undefined)).toBe(false);
+  });
+
+  test('should play the built-in tone by default', () => {
+    expect(resolveSound({ event: 'failure', source: { url: 'x' }, preferences: PREFERENCES }))
+      .toEqual({ url: null, tone: 'failure', volume: 0.5 });
+    expect(resolveSound({ event: 'start', preferences: PREFERENCES }).tone).toBe('start');
+  });
+
+  test('should play the sound file chosen for the source', () => {
+    const sound = resolveSound({ event: 'success', source: { sound: SOUND_FILE }, preferences: PREFERENCES });
+    expect(sound.url).toMatch(/^file:.*sad-trombone\.mp3$/);
+  });
+
+  test('should support sounds per event', () => {
+    const source = { sound: { failure: SOUND_FILE, start: false } };
+    expect(resolveSound({ event: 'failure', source, preferences: PREFERENCES }).url).toMatch(/^file:/);
+    expect(resolveSound({ event: 'success', source, preferences: PREFERENCES }).url).toBeNull();
+    expect(resolveSound({ event: 'start', source, preferences: PREFERENCES })).toBeNull();
+  });
+
+  test('should stay silent when muted or turned off for the source', () => {
+    expect(resolveSound({ event: 'failure', source: {}, preferences: { ...PREFERENCES, muted: true } })).toBeNull();
+    expect(resolveSound({ event: 'failure', source: { sound: false }, preferences: PREFERENCES })).toBeNull();
+  });
+
+  test('should clamp the volume', () => {
+    expect(resolveSound({ event: 'failure', preferences: { volume: 3 } }).volume).toBe(1);
+    expect(resolveSound({ event: 'failure', preferences: { volume: 'loud' } }).volume).toBe(0);
+  });
+
+  test('should describe events for speech', () => {
+    expect(speechText('failure', { workflow: 'deploy', branch: 'main', actor: 'alice' }))
+      .toBe('deploy on main failed, pushed by alice');
+    expect(speechText('success', { repo: 'acme/shop' })).toBe('acme/shop passed');
+    expect(speechText('start', { workflow: 'CI', branch: 'main' })).toBe('CI on main started');
+    expect(speechText('failure', { summary: '3 workflows failed' })).toBe('3 workflows failed');
+  });
+});
+
+test.describe('Preferences', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failwhale-preferences-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should persist updates and fill in new defaults', () => {
+    const filePath = path.join(dir, 'preferences.json');
+    createPreferences({ filePath, defaults: { sound: PREFERENCES } }).update('sound', { muted: true });
+
+    const reloaded = createPreferences({ filePath, defaults: { sound: { ...PREFERENCES, voice: 'default' } } });
+    expect(reloaded.get().sound).toEqual({ muted: true, volume: 0.5, speech: false, voice: 'default' });
+  });
+
+  test('should use the defaults when the file is unreadable', () => {
+    const filePath = path.join(dir, 'preferences.json');
+    fs.writeFileSync(filePath, '{');
+    expect(createPreferences({ filePath, defaults: { sound: PREFERENCES } }).get().sound).toEqual(PREFERENCES);
+  });
+});
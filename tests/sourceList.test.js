@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+const { cleanText, normalizeSource, canonicalSource, findDuplicate, describeLookupError, moveSource } = require('../src/sourceList');
+const { getProvider } = require('../src/providers');
+
+test.describe('Source List', () => {
+  test.describe('normalizeSource', () => {
+    test('should store the same form for every link to a repo', () => {
+      const forms = [
+        'https://github.com/acme/shop',
+        'github.com/acme/shop/tree/main',
+        'https://github.com/acme/shop.git',
+        '  https://github.com/acme/shop/actions?query=branch%3Amain  '
+      ].map(url => normalizeSource(url).source);
+
+      forms.forEach(form => expect(form).toEqual({ url: 'https://github.com/acme/shop', provider: 'github' }));
+    });
+
+    test('should normalise other providers', () => {
+      expect(normalizeSource('https://gitlab.example.com/group/project/-/pipelines').source)
+        .toEqual({ url: 'https://gitlab.example.com/group/project', provider: 'gitlab' });
+      expect(normalizeSource('https://ci.example.com/job/team/job/app/42/console', 'jenkins').source)
+        .toEqual({ url: 'https://ci.example.com/job/team/job/app/', provider: 'jenkins' });
+    });
+
+    test('should explain URLs that can\'t be used', () => {
+      expect(() => normalizeSource('  ')).toThrow('Enter a repository, pipeline or job URL');
+      expect(() => normalizeSource('https://example.com/acme/shop')).toThrow('Unrecognised CI provider URL');
+      expect(() => normalizeSource('https://example.com/acme/shop', 'travis')).toThrow('Unknown provider: travis');
+      expect(() => normalizeSource('https://github.com/acme', 'github')).toThrow('Not a valid GitHub Actions URL');
+    });
+  });
+
+  test('should keep the settings of a source stored in another form', () => {
+    expect(canonicalSource({ url: 'https://github.com/acme/shop.git', label: 'Shop', group: 'Payments team' }))
+      .toEqual({ url: 'https://github.com/acme/shop', provider: 'github', label: 'Shop', group: 'Payments team' });
+    const unknown = { url: 'https://example.com/acme/shop' };
+    expect(canonicalSource(unknown)).toBe(unknown);
+  });
+
+  test('should find sources watching the same repo', () => {
+    const sources = [
+      { url: 'https://github.com/acme/shop/tree/main' },
+      { url: 'https://gitlab.com/acme/shop' }
+    ];
+    expect(findDuplicate(sources, 'acme/shop')).toBe(0);
+    expect(findDuplicate(sources, 'acme/shop', 0)).toBe(-1);
+    expect(findDuplicate(sources, 'acme/other')).toBe(-1);
+  });
+
+  test('should clean labels and group names', () => {
+    expect(cleanText('  Payments team ', 'Group')).toBe('Payments team');
+    expect(cleanText('   ', 'Group')).toBeUndefined();
+    expect(cleanText(undefined, 'Group')).toBeUndefined();
+    expect(() => cleanText(42, 'Label')).toThrow('Label must be text');
+    expect(() => cleanText('x'.repeat(81), 'Label')).toThrow('Label is too long');
+  });
+
+  test('should describe lookup failures', () => {
+    const provider = getProvider('github');
+    const error = (status) => Object.assign(new Error(`failed: ${status}`), { status });
+
+    expect(describeLookupError(error(404), { provider, name: 'acme/shop' }))
+      .toBe('acme/shop wasn\'t found on GitHub Actions. Check the URL, or pick a token that can read it.');
+    expect(describeLookupError(error(401), { provider, name: 'acme/shop' })).toContain('was rejected');
+    expect(describeLookupError(new Error('fetch failed'), { provider, name: 'acme/shop' }))
+      .toBe('Couldn\'t reach GitHub Actions to check acme/shop: fetch failed');
+  });
+
+  test('should move sources within their group', () => {
+    const sources = [
+      { url: 'a', group: 'Payments' },
+      { url: 'b' },
+      { url: 'c', group: 'Payments' },
+      { url: 'd' }
+    ];
+
+    expect(moveSource(sources, 2, -1)).toBe(true);
+    expect(sources.map(source => source.url)).toEqual(['c', 'b', 'a', 'd']);
+
+    expect(moveSource(sources, 0, -1)).toBe(false);
+    expect(moveSource(sources, 2, 1)).toBe(false);
+    expect(moveSource(sources, 1, 1)).toBe(true);
+    expect(sources.map(source => source.url)).toEqual(['c', 'd', 'a', 'b']);
+  });
+});
@@ -0,0 +1,94 @@
+const { test, expect } = require('@playwright/test');
+const { aggregateStatus, describeStatus } = require('../src/buildStatus');
+const { stateFrames, solidIcon, tinted, withStatusDot } = require('../src/trayIcon');
+
+function makeRun(overrides = {}) {
+  return {
+    workflow: 'CI',
+    branch: 'main',
+    status: 'completed',
+    conclusion: 'success',
+    updatedAt: '2024-01-01T10:00:00Z',
+    ...overrides
+  };
+}
+
+test.describe('Tray Status', () => {
+  test('should be unknown without any runs', () => {
+    const status = aggregateStatus([{ name: 'acme/shop', runs: [] }]);
+    expect(status.state).toBe('unknown');
+    expect(describeStatus(status)).toBe('No builds yet');
+  });
+
+  test('should be passing when every latest run succeeded', () => {
+    const status = aggregateStatus([{
+      name: 'acme/shop',
+      runs: [
+        makeRun({ conclusion: 'failure', updatedAt: '2024-01-01T09:00:00Z' }),
+        makeRun()
+      ]
+    }]);
+    expect(status.state).toBe('passing');
+    expect(describeStatus(status)).toBe('All builds passing');
+  });
+
+  test('should list the failing repos and workflows', () => {
+    const status = aggregateStatus([
+      { name: 'acme/shop', runs: [makeRun({ conclusion: 'failure' }), makeRun({ workflow: 'Deploy', conclusion: 'timed_out' })] },
+      { name: 'acme/api', runs: [makeRun(), makeRun({ status: 'in_progress', conclusion: null })] }
+    ]);
+
+    expect(status.state).toBe('failing');
+    expect(status.failing).toEqual([{ repo: 'acme/shop', workflows: ['CI', 'Deploy'] }]);
+    expect(status.running).toBe(1);
+    expect(describeStatus(status)).toBe('Failing: acme/shop (CI, Deploy)');
+  });
+
+  test('should be running when runs are in progress and nothing is failing', () => {
+    const status = aggregateStatus([{
+      name: 'acme/shop',
+      runs: [makeRun(), makeRun({ status: 'queued', conclusion: null }), makeRun({ status: 'in_progress', conclusion: null })]
+    }]);
+    expect(status.state).toBe('running');
+    expect(describeStatus(status)).toBe('2 runs in progress');
+  });
+
+  test('should track branches separately', () => {
+    const status = aggregateStatus([{
+      name: 'acme/shop',
+      runs: [makeRun({ branch: 'feature', conclusion: 'failure' }), makeRun()]
+    }]);
+    expect(status.failing).toEqual([{ repo: 'acme/shop', workflows: ['CI'] }]);
+  });
+
+  test('should draw icons in BGRA order', () => {
+    const [red] = stateFrames('failing');
+    const icon = solidIcon(2, red);
+    expect([...icon.subarray(0, 4)]).toEqual([0, 38, 227, 255]);
+    expect(icon.length).toBe(16);
+
+    expect(stateFrames('running')).toHaveLength(2);
+    expect(stateFrames('bogus')).toEqual(stateFrames('unknown'));
+  });
+
+  test('should add a status dot to the bottom-right corner only', () => {
+    const size = 22;
+    const base = Buffer.alloc(size * size * 4, 0x80);
+    const [green] = stateFrames('passing');
+    const icon = withStatusDot(base, size, green);
+
+    const pixel = (x, y) => [...icon.subarray((y * size + x) * 4, (y * size + x) * 4 + 4)];
+    expect(pixel(size - 3, size - 3)).toEqual([69, 167, 40, 255]);
+    expect(pixel(0, 0)).toEqual([0x80, 0x80, 0x80, 0x80]);
+    // The base bitmap is left untouched
+    expect(base[(size * size - 1) * 4]).toBe(0x80);
+  });
+
+  test('should recolour a bitmap and keep its transparency', () => {
+    const base = Buffer.from([10, 20, 30, 255, 10, 20, 30, 0, 10, 20, 30, 128]);
+    const icon = tinted(base, [255, 255, 255]);
+
+    expect([...icon]).toEqual([255, 255, 255, 255, 0, 0, 0, 0, 128, 128, 128, 128]);
+    expect(base[0]).toBe(10);
+  });
+});
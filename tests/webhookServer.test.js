@@ -0,0 +1,124 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { signPayload, verifySignature, parseEvent, createWebhookServer } = require('../src/webhookServer');
+
+const SECRET = 'test-secret';
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', name), 'utf8');
+}
+
+function deliver(port, { event, body, signature, method = 'POST' }) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json', 'X-GitHub-Event': event };
+    if (signature) headers['X-Hub-Signature-256'] = signature;
+
+    const req = http.request({ host: '127.0.0.1', port, method, headers }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test.describe('Webhook Server', () => {
+  test.describe('verifySignature', () => {
+    test('should accept a matching HMAC and reject anything else', () => {
+      const body = Buffer.from('{"hello":"world"}');
+      const signature = signPayload(SECRET, body);
+
+      expect(signature.startsWith('sha256=')).toBe(true);
+      expect(verifySignature(SECRET, body, signature)).toBe(true);
+      expect(verifySignature('other-secret', body, signature)).toBe(false);
+      expect(verifySignature(SECRET, Buffer.from('{"hello":"there"}'), signature)).toBe(false);
+      expect(verifySignature(SECRET, body, undefined)).toBe(false);
+      expect(verifySignature('', body, signature)).toBe(false);
+    });
+  });
+
+  test.describe('parseEvent', () => {
+    test('should convert workflow_run payloads to the common run model', () => {
+      const parsed = parseEvent('workflow_run', JSON.parse(loadFixture('workflow_run.json')));
+      expect(parsed.repo).toBe('acme/shop');
+      expect(parsed.run).toMatchObject({
+        id: 6123456789,
+        workflow: 'Deploy',
+        workflowFile: 'deploy.yml',
+        branch: 'main',
+        status: 'completed',
+        conclusion: 'failure'
+      });
+    });
+
+    test('should convert check_suite payloads from other apps', () => {
+      const parsed = parseEvent('check_suite', JSON.parse(loadFixture('check_suite.json')));
+      expect(parsed.run).toMatchObject({
+        id: 9876543,
+        kind: 'check_suite',
+        workflow: 'Vercel',
+        branch: 'main',
+        status: 'completed',
+        conclusion: 'success',
+        htmlUrl: 'https://github.com/acme/shop/commit/a1b2c3d4e5f60718293a4b5c6d7e8f9012345678/checks'
+      });
+    });
+
+    test('should ignore GitHub Actions check suites and unrelated events', () => {
+      const payload = JSON.parse(loadFixture('check_suite.json'));
+      payload.check_suite.app.slug = 'github-actions';
+      expect(parseEvent('check_suite', payload)).toBeNull();
+      expect(parseEvent('push', { repository: { full_name: 'acme/shop' } })).toBeNull();
+    });
+  });
+
+  test.describe('createWebhookServer', () => {
+    let server;
+    let port;
+    let received;
+
+    test.beforeEach(async () => {
+      received = [];
+      server = createWebhookServer({ secret: SECRET, onRun: (repo, run) => received.push({ repo, run }) });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    test.afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should feed signed deliveries into the run handler', async () => {
+      const body = loadFixture('workflow_run.json');
+      const status = await deliver(port, { event: 'workflow_run', body, signature: signPayload(SECRET, body) });
+
+      expect(status).toBe(202);
+      expect(received).toHaveLength(1);
+      expect(received[0].repo).toBe('acme/shop');
+      expect(received[0].run.conclusion).toBe('failure');
+    });
+
+    test('should reject unsigned or tampered deliveries', async () => {
+      const body = loadFixture('workflow_run.json');
+
+      expect(await deliver(port, { event: 'workflow_run', body })).toBe(401);
+      expect(await deliver(port, { event: 'workflow_run', body: body.replace('failure', 'success'), signature: signPayload(SECRET, body) })).toBe(401);
+      expect(received).toHaveLength(0);
+    });
+
+    test('should answer pings and skip unrelated events', async () => {
+      const body = '{"zen":"Keep it logically awesome."}';
+      expect(await deliver(port, { event: 'ping', body, signature: signPayload(SECRET, body) })).toBe(200);
+
+      const push = '{"repository":{"full_name":"acme/shop"}}';
+      expect(await deliver(port, { event: 'push', body: push, signature: signPayload(SECRET, push) })).toBe(204);
+      expect(received).toHaveLength(0);
+    });
+
+    test('should only accept POST requests', async () => {
+      expect(await deliver(port, { event: 'ping', method: 'GET' })).toBe(405);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { test, expect } = require('@playwright/test');
+const { runKey, matchesPattern, matchesSourceFilters, missingRuns, diffRuns, trackRun } = require('../src/workflowTracker');
+
+function makeRun(overrides = {}) {
+  return {
+    id: 1,
+    workflow: 'CI',
+    workflowFile: 'ci.yml',
+    branch: 'main',
+    status: 'in_progress',
+    conclusion: null,
+    ...overrides
+  };
+}
+
+test.describe('Workflow Tracker', () => {
+  test.describe('runKey', () => {
+    test('should key runs by workflow, branch and id', () => {
+      expect(runKey(makeRun({ id: 42, branch: 'feature/x' }))).toBe('ci.yml:feature/x:42');
+    });
+
+    test('should fall back to the workflow name without a workflow file', () => {
+      expect(runKey(makeRun({ workflowFile: '' }))).toBe('CI:main:1');
+    });
+  });
+
+  test.describe('matchesPattern', () => {
+    test('should match exact values and wildcards', () => {
+      expect(matchesPattern('main', 'main')).toBe(true);
+      expect(matchesPattern('main', 'mai')).toBe(false);
+      expect(matchesPattern('release/1.2', 'release/*')).toBe(true);
+      expect(matchesPattern('hotfix/1.2', 'release/*')).toBe(false);
+      expect(matchesPattern('anything', '*')).toBe(true);
+    });
+  });
+
+  test.describe('matchesSourceFilters', () => {
+    test('should watch everything without filters', () => {
+      expect(matchesSourceFilters({ url: 'https://github.com/a/b' }, makeRun())).toBe(true);
+    });
+
+    test('should only watch deploy.yml on main', () => {
+      const source = { url: 'https://github.com/a/b', workflows: ['deploy.yml'], branches: ['main'] };
+      const deploy = { workflowFile: 'deploy.yml', workflow: 'Deploy' };
+
+      expect(matchesSourceFilters(source, makeRun(deploy))).toBe(true);
+      expect(matchesSourceFilters(source, makeRun({ ...deploy, branch: 'dev' }))).toBe(false);
+      expect(matchesSourceFilters(source, makeRun())).toBe(false);
+    });
+
+    test('should match workflows by display name', () => {
+      const source = { url: 'https://github.com/a/b', workflows: 'Lint' };
+      expect(matchesSourceFilters(source, makeRun({ workflow: 'Lint', workflowFile: 'lint.yaml' }))).toBe(true);
+    });
+  });
+
+  test.describe('diffRuns', () => {
+    test('should seed state without events on first sight', () => {
+      const { events, next } = diffRuns(undefined, [makeRun(), makeRun({ id: 2, status: 'completed', conclusion: 'success' })]);
+      expect(events).toEqual([]);
+      expect(next.size).toBe(2);
+    });
+
+    test('should notice concurrent runs across workflows and branches', () => {
+      const { next: seeded } = diffRuns(undefined, []);
+      const lint = makeRun({ id: 10, workflow: 'Lint', workflowFile: 'lint.yml' });
+      const test1 = makeRun({ id: 11, branch: 'feature/a' });
+      const deploy = makeRun({ id: 12, workflow: 'Deploy', workflowFile: 'deploy.yml' });
+
+      const started = diffRuns(seeded, [lint, test1, deploy]);
+      expect(started.events.map(e => [e.type, e.run.id])).toEqual([['started', 10], ['started', 11], ['started', 12]]);
+
+      const finished = diffRuns(started.next, [
+        { ...lint, status: 'completed', conclusion: 'success' },
+        test1,
+        { ...deploy, status: 'completed', conclusion: 'failure' }
+      ]);
+      expect(finished.events.map(e => [e.type, e.run.id, e.run.conclusion])).toEqual([
+        ['completed', 10, 'success'],
+        ['completed', 12, 'failure']
+      ]);
+    });
+
+    test('should report runs that started and finished between checks', () => {
+      const { events } = diffRuns(new Map(), [makeRun({ status: 'completed', conclusion: 'failure' })]);
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('completed');
+    });
+
+    test('should treat a re-run of a completed run as a new start', () => {
+      const { next } = diffRuns(undefined, [makeRun({ status: 'completed', conclusion: 'failure' })]);
+      const { events } = diffRuns(next, [makeRun({ status: 'queued' })]);
+      expect(events.map(e => e.type)).toEqual(['started']);
+    });
+
+    test('should not keep looking for check suites in polled runs', () => {
+      const tracked = new Map();
+      trackRun(tracked, makeRun({ id: 9876543, kind: 'check_suite', workflowFile: '', workflow: 'Vercel' }));
+
+      expect(missingRuns(tracked, [])).toEqual([]);
+      expect(diffRuns(tracked, []).next.size).toBe(0);
+    });
+
+    test('should report a re-run that finished between checks', () => {
+      const { next } = diffRuns(undefined, [makeRun({ status: 'completed', conclusion: 'failure', attempt: 1 })]);
+
+      const fixed = diffRuns(next, [makeRun({ status: 'completed', conclusion: 'success', attempt: 2 })]);
+      expect(fixed.events.map(e => [e.type, e.run.conclusion])).toEqual([['completed', 'success']]);
+
+      // Ending the same way again is only told apart by the attempt
+      const again = diffRuns(fixed.next, [makeRun({ status: 'completed', conclusion: 'success', attempt: 3 })]);
+      expect(again.events.map(e => [e.type, e.run.attempt])).toEqual([['completed', 3]]);
+      expect(diffRuns(again.next, [makeRun({ status: 'completed', conclusion: 'success', attempt: 3 })]).events).toEqual([]);
+    });
+
+    test('should not repeat events for unchanged runs', () => {
+      const { next } = diffRuns(undefined, [makeRun()]);
+      expect(diffRuns(next, [makeRun()]).events).toEqual([]);
+    });
+
+    test('should keep following unfinished runs that fell off the fetched page', () => {
+      const { next } = diffRuns(undefined, [makeRun({ id: 1 }), makeRun({ id: 2, status: 'completed', conclusion: 'success' })]);
+      const newer = makeRun({ id: 3 });
+
+      const { next: after } = diffRuns(next, [newer]);
+
+      expect([...after.keys()]).toEqual(['ci.yml:main:3', 'ci.yml:main:1']);
+      expect(missingRuns(after, [newer])).toEqual([['ci.yml:main:1', { id: 1, status: 'in_progress', conclusion: null }]]);
+
+      // Once looked up, its completion is reported as usual
+      const { events } = diffRuns(after, [newer, makeRun({ id: 1, status: 'completed', conclusion: 'failure' })]);
+      expect(events.map(e => [e.type, e.run.id])).toEqual([['completed', 1]]);
+    });
+  });
+
+  test.describe('trackRun', () => {
+    test('should apply single run updates in place', () => {
+      const tracked = new Map();
+
+      expect(trackRun(tracked, makeRun({ status: 'queued' })).type).toBe('started');
+      expect(trackRun(tracked, makeRun({ status: 'in_progress' }))).toBeNull();
+      expect(trackRun(tracked, makeRun({ status: 'completed', conclusion: 'success' })).type).toBe('completed');
+      expect(tracked.get('ci.yml:main:1')).toEqual({ id: 1, status: 'completed', conclusion: 'success' });
+    });
+
+    test('should not repeat a pushed completion on the next poll', () => {
+      const { next } = diffRuns(undefined, [makeRun()]);
+      trackRun(next, makeRun({ status: 'completed', conclusion: 'failure' }));
+
+      expect(diffRuns(next, [makeRun({ status: 'completed', conclusion: 'failure' })]).events).toEqual([]);
+    });
+  });
+});